@@ -1,46 +1,297 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import mondaySdk from 'monday-sdk-js';
-import { MenuButton } from '@vibe/core';
+import { MenuButton, Button, Toast } from '@vibe/core';
 
 // Import necessary hooks and components
 import { useMondayAPI } from './hooks/useMondayAPI';
+import { useRefreshPolicy } from './hooks/useRefreshPolicy';
+import { useEditHistory } from './hooks/useEditHistory';
+import { buildRestorePayload } from './api/columnValues';
+import { runBulkMutations } from './api/bulkMutations';
 import {
     GET_BOARDS_QUERY,
     GET_BOARD_COLUMNS_QUERY,
     GET_BOARD_ITEMS_WITH_COLUMNS_QUERY,
+    GET_NEXT_ITEMS_PAGE_QUERY,
+    GET_BOARD_ACTIVITY_LOGS_QUERY,
+    GET_ITEMS_BY_IDS_QUERY,
+    GET_SUBITEMS_QUERY,
+    UPDATED_SINCE_QUERY_PARAMS,
+    ACTIVE_FILTERS_QUERY_PARAMS,
     UPDATE_ITEM_NAME_QUERY,
-    UPDATE_COLUMN_VALUE_QUERY
+    UPDATE_COLUMN_VALUE_QUERY,
+    CREATE_ITEM_QUERY,
+    MAX_BOARDS_PER_ITEMS_QUERY,
+    MAX_ITEMS_PER_IDS_QUERY
 } from './api/mondayQueries';
+import {
+    getRemovedItemIds,
+    getChangedItemIds,
+    getBoardsWithTruncatedLogs,
+    getBoardsWithSchemaChanges,
+    mergeChangedItems
+} from './api/itemSync';
 import Sidebar from './components/Sidebar/Sidebar';
 import TaskTable from './components/TaskTable/TaskTable';
 
 // Initialize Monday SDK
 const monday = mondaySdk();
 
-// Helper function for exponential backoff retry
-// Increased initial delay and retries for better handling of concurrency limits
-const retry = async (fn, retries = 5, delay = 2000, factor = 2) => {
-    try {
-        return await fn();
-    } catch (error) {
-        // Log the error for debugging
-        console.error(`Retry attempt failed (retries left: ${retries}):`, error);
-
-        // Check if it's a concurrency limit error or a general API error that might benefit from retry
-        const isConcurrencyError = error.message && error.message.includes("Concurrency limit exceeded");
-        const isGraphqlError = error.message && error.message.includes("Graphql validation errors");
-        const isRateLimitStatusCode = error.response && error.response.status === 429;
-        const errorExtensions = error.response && error.response.errors && error.response.errors[0] && error.response.errors[0].extensions;
-        const isFieldLimitExceededCode = errorExtensions && errorExtensions.code === "FIELD_LIMIT_EXCEEDED";
-
-        if (retries > 0 && (isConcurrencyError || isGraphqlError || isRateLimitStatusCode || isFieldLimitExceededCode)) {
-            console.log(`Retrying in ${delay / 1000} seconds...`);
-            await new Promise(res => setTimeout(res, delay));
-            return retry(fn, retries - 1, delay * factor, factor);
-        } else {
-            throw error;
+// monday.com refuses items_page/next_items_page limits above 500
+const ITEMS_PAGE_LIMIT = 500;
+
+// Estimated complexity of one item, and of each column value requested with it. Used to size
+// batched board requests; both err on the high side.
+const ITEM_COMPLEXITY = 20;
+const COLUMN_VALUE_COMPLEXITY = 10;
+// Estimated complexity one batched items request may use, a fraction of monday.com's per-minute budget
+const ITEMS_BATCH_COMPLEXITY_BUDGET = 1000000;
+
+// Polling interval for boards live events don't cover, and the slow safety-net interval used once
+// events arrive for every selected board (events can still be missed)
+const POLLING_INTERVAL_MS = 20000;
+const SAFETY_NET_POLLING_INTERVAL_MS = 5 * 60 * 1000;
+
+// Each incremental poll looks back this far past the previous sync, so changes made while
+// the previous sync was in flight aren't missed
+const SYNC_OVERLAP_MS = 60000;
+
+// How long filter changes settle before items are reloaded with the new server-side filters
+const FILTER_RELOAD_DELAY_MS = 500;
+
+/**
+ * Splits boards into batches whose first items pages can be requested together: boards in a batch
+ * share the same query_params, and the batched query's estimated complexity stays under
+ * ITEMS_BATCH_COMPLEXITY_BUDGET.
+ * @param {string[]} boardIds - The boards to load.
+ * @param {number} pageLimit - Items requested per board.
+ * @param {number} columnCount - Column values requested per item.
+ * @param {function} getQueryParams - Returns the items_page query_params (or null) for a board ID.
+ * @returns {Array<{boardIds: string[], queryParams: object|null}>} The batches, in order of first appearance.
+ */
+const getBoardBatches = (boardIds, pageLimit, columnCount, getQueryParams) => {
+    const boardComplexity = pageLimit * (ITEM_COMPLEXITY + columnCount * COLUMN_VALUE_COMPLEXITY);
+    const batchSize = Math.max(1, Math.min(MAX_BOARDS_PER_ITEMS_QUERY, Math.floor(ITEMS_BATCH_COMPLEXITY_BUDGET / boardComplexity)));
+
+    const boardsByParams = new Map();
+    boardIds.forEach(boardId => {
+        const queryParams = getQueryParams(boardId);
+        const key = JSON.stringify(queryParams);
+        if (!boardsByParams.has(key)) {
+            boardsByParams.set(key, { boardIds: [], queryParams });
+        }
+        boardsByParams.get(key).boardIds.push(boardId);
+    });
+
+    const batches = [];
+    boardsByParams.forEach(group => {
+        for (let offset = 0; offset < group.boardIds.length; offset += batchSize) {
+            batches.push({ boardIds: group.boardIds.slice(offset, offset + batchSize), queryParams: group.queryParams });
+        }
+    });
+    return batches;
+};
+
+/**
+ * Follows an items_page cursor until the board is exhausted or `maxCount` more items have been loaded.
+ * @param {function} queryMonday - The API function from useMondayAPI.
+ * @param {string} cursor - The cursor returned with the board's first page.
+ * @param {string[]} columnIds - Column values to include for each item.
+ * @param {object} [options]
+ * @param {number} [options.maxCount=Infinity] - Stop after this many items.
+ * @param {function} [options.onPage] - Called with the running item count after each page.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining page requests.
+ * @returns {Promise<{items: object[], isTruncated: boolean}>} The items, and whether pages were left unread.
+ */
+const fetchRemainingItemPages = async (queryMonday, cursor, columnIds, { maxCount = Infinity, onPage, signal } = {}) => {
+    let items = [];
+    let nextCursor = cursor;
+
+    while (nextCursor && items.length < maxCount) {
+        const pageLimit = Math.min(ITEMS_PAGE_LIMIT, maxCount - items.length);
+        const itemsData = await queryMonday(GET_NEXT_ITEMS_PAGE_QUERY(nextCursor, columnIds, pageLimit), {}, { signal });
+        const itemsPage = itemsData ? itemsData.next_items_page : null;
+
+        if (!itemsPage || !itemsPage.items) {
+            nextCursor = null;
+            break;
+        }
+
+        items = [...items, ...itemsPage.items];
+        nextCursor = itemsPage.cursor;
+        if (typeof onPage === 'function') {
+            onPage(items.length, !nextCursor);
+        }
+    }
+
+    return { items, isTruncated: Boolean(nextCursor) };
+};
+
+/**
+ * Loads the items of several boards. The first page of each board is requested in batches of
+ * boards (one boards(ids: [...]) query per batch); boards with more pages then follow their own
+ * cursor. Each board is reported through `onBoardLoaded` as soon as it is complete, so the caller
+ * can render batches as they land.
+ * @param {function} queryMonday - The API function from useMondayAPI.
+ * @param {string[]} boardIds - The boards to load, in display order.
+ * @param {string[]} columnIds - Column values to include for each item.
+ * @param {object} [options]
+ * @param {number} [options.maxCount=Infinity] - Stop after this many items across all boards.
+ * @param {function} [options.getQueryParams] - Returns the items_page query_params (or null) for a board ID.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining requests.
+ * @param {function} [options.onProgress] - Called with (boardId, loadedCount, isDone) as pages arrive.
+ * @param {function} [options.onBoardLoaded] - Called with (boardId, items) once a board is complete.
+ * @returns {Promise<{itemsByBoard: Object<string, object[]>, isTruncated: boolean}>} The items per board,
+ * and whether the item limit left some unread.
+ */
+const fetchBoardsItems = async (queryMonday, boardIds, columnIds, { maxCount = Infinity, getQueryParams = () => null, signal, onProgress, onBoardLoaded } = {}) => {
+    const itemsByBoard = {};
+    let remainingItems = maxCount;
+    let isTruncated = false;
+
+    const reportProgress = (boardId, loaded, isDone) => {
+        if (typeof onProgress === 'function') {
+            onProgress(boardId, loaded, isDone);
+        }
+    };
+    const completeBoard = (boardId, isBoardTruncated) => {
+        isTruncated = isTruncated || isBoardTruncated;
+        reportProgress(boardId, itemsByBoard[boardId].length, true);
+        if (typeof onBoardLoaded === 'function') {
+            onBoardLoaded(boardId, itemsByBoard[boardId]);
+        }
+    };
+
+    const batches = getBoardBatches(boardIds, Math.min(ITEMS_PAGE_LIMIT, maxCount), columnIds.length, getQueryParams);
+    for (const { boardIds: batch, queryParams } of batches) {
+        if (remainingItems <= 0) {
+            isTruncated = true;
+            break;
+        }
+
+        batch.forEach(boardId => reportProgress(boardId, 0, false));
+        const pageLimit = Math.min(ITEMS_PAGE_LIMIT, remainingItems);
+        const itemsData = await queryMonday(GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(batch, columnIds, pageLimit, queryParams), {}, { signal });
+        const firstPages = {};
+        ((itemsData && itemsData.boards) || []).forEach(board => {
+            if (board.items_page && board.items_page.items) {
+                firstPages[String(board.id)] = board.items_page;
+            }
+        });
+
+        // Boards share the item limit in display order; those with pages left are continued below
+        const boardsWithMorePages = [];
+        for (const boardId of batch) {
+            const firstPage = firstPages[boardId] || { items: [], cursor: null };
+            const items = firstPage.items.slice(0, Math.max(remainingItems, 0));
+            remainingItems -= items.length;
+            itemsByBoard[boardId] = items;
+
+            if (items.length < firstPage.items.length) {
+                completeBoard(boardId, true);
+            } else if (firstPage.cursor && remainingItems > 0) {
+                reportProgress(boardId, items.length, false);
+                boardsWithMorePages.push({ boardId, cursor: firstPage.cursor });
+            } else {
+                completeBoard(boardId, Boolean(firstPage.cursor));
+            }
+        }
+
+        for (const { boardId, cursor } of boardsWithMorePages) {
+            const firstPageCount = itemsByBoard[boardId].length;
+            const { items, isTruncated: isBoardTruncated } = await fetchRemainingItemPages(queryMonday, cursor, columnIds, {
+                maxCount: remainingItems,
+                signal,
+                onPage: (loaded, isDone) => reportProgress(boardId, firstPageCount + loaded, isDone),
+            });
+            remainingItems -= items.length;
+            itemsByBoard[boardId] = [...itemsByBoard[boardId], ...items];
+            completeBoard(boardId, isBoardTruncated);
         }
     }
+
+    return { itemsByBoard, isTruncated };
+};
+
+/**
+ * Fetches items by ID, MAX_ITEMS_PER_IDS_QUERY at a time. Archived and deleted items are left out.
+ * @param {function} queryMonday - The shared API client call.
+ * @param {string[]} itemIds - The IDs of the items to fetch.
+ * @param {string[]} columnIds - The column IDs to fetch values for.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the remaining requests.
+ * @returns {Promise<object[]>} The items found, in request order.
+ */
+const fetchItemsByIds = async (queryMonday, itemIds, columnIds, { signal } = {}) => {
+    const items = [];
+    for (let i = 0; i < itemIds.length; i += MAX_ITEMS_PER_IDS_QUERY) {
+        if (signal && signal.aborted) break;
+        const batchIds = itemIds.slice(i, i + MAX_ITEMS_PER_IDS_QUERY);
+        const data = await queryMonday(GET_ITEMS_BY_IDS_QUERY(batchIds, columnIds), {}, { signal });
+        items.push(...((data && data.items) || []));
+    }
+    return items;
+};
+
+/**
+ * Returns a copy of an item with one column value replaced, or added when the item didn't carry it.
+ * @param {object} item - The item to update.
+ * @param {string} columnId - The column to set.
+ * @param {object} columnValue - The new `{ text, value }`.
+ * @returns {object} The updated item.
+ */
+const setItemColumnValue = (item, columnId, columnValue) => {
+    const hasColumn = item.column_values.some(cv => cv.id === columnId);
+    return {
+        ...item,
+        column_values: hasColumn
+            ? item.column_values.map(cv => (cv.id === columnId ? { ...cv, ...columnValue, id: columnId } : cv))
+            : [...item.column_values, { ...columnValue, id: columnId }],
+    };
+};
+
+/**
+ * Applies the part of a change_column_value response that a mutation changed: the item name for
+ * renames, otherwise the one column value. Other cells keep their local state, which may hold
+ * newer optimistic changes than the response.
+ * @param {object} item - The displayed item.
+ * @param {object} updatedItem - The mutation's `change_column_value` result.
+ * @param {string} columnId - The mutated column ('name' for renames).
+ * @returns {object} The updated item.
+ */
+const mergeMutationResult = (item, updatedItem, columnId) => {
+    if (columnId === 'name') {
+        return updatedItem.name ? { ...item, name: updatedItem.name } : item;
+    }
+    const updatedValue = (updatedItem.column_values || []).find(cv => cv.id === columnId);
+    return updatedValue ? setItemColumnValue(item, columnId, { text: updatedValue.text, value: updatedValue.value }) : item;
+};
+
+/**
+ * Carries loaded subitems over into a freshly loaded item list, for the parents that are still in it.
+ * @param {object[]} previousItems - The items displayed so far, subitems included.
+ * @param {object[]} nextItems - The newly loaded top-level items.
+ * @returns {object[]} The new items followed by the subitems kept.
+ */
+const keepLoadedSubitems = (previousItems, nextItems) => {
+    const parentIds = new Set(nextItems.map(item => String(item.id)));
+    return [...nextItems, ...previousItems.filter(item => item.parentId && parentIds.has(item.parentId))];
+};
+
+// Returns a copy of an object without one key
+const omitKey = (object, key) => {
+    if (!(key in object)) return object;
+    const rest = { ...object };
+    delete rest[key];
+    return rest;
+};
+
+// Cell that shows a bulk operation's progress and error: the changed column, the group for group moves,
+// or the name for board moves and removals
+const getBulkCellKey = (operation) => {
+    if (operation.type === 'change_column_value') return `${operation.item.id}:${operation.columnId}`;
+    if (operation.type === 'move_item_to_group') return `${operation.item.id}:group_column`;
+    return `${operation.item.id}:item_name_column`;
 };
 
 function App() {
@@ -55,10 +306,30 @@ function App() {
     // States to store IDs of selected boards and columns
     const [selectedBoardIds, setSelectedBoardIds] = useState([]);
     const [selectedColumnIds, setSelectedColumnIds] = useState([]);
+    // Upper bound on the total number of items loaded across all boards (null = no limit)
+    const [maxItems, setMaxItems] = useState(null);
+    // Refresh interval choice from REFRESH_INTERVAL_OPTIONS: 'auto', 'manual' or milliseconds
+    const [refreshInterval, setRefreshInterval] = useState('auto');
+    // True while the user is mid-edit or has a dialog open in the table; refreshes wait meanwhile
+    const [isTableInteracting, setIsTableInteracting] = useState(false);
+    // Table filters: selected values per column ID, plus 'current_user_filter' for "My Tasks". Kept here
+    // rather than in TaskTable so they survive reloads and can be sent along with item queries.
+    const [activeFilters, setActiveFilters] = useState({});
+    const activeFiltersRef = useRef(activeFilters);
+    useEffect(() => {
+        activeFiltersRef.current = activeFilters;
+    }, [activeFilters]);
+    // Filters the displayed items were loaded with, to tell whether a filter change needs a reload
+    const appliedFiltersRef = useRef(activeFilters);
 
     // States to store data about all boards and board items
     const [allBoardsData, setAllBoardsData] = useState({});
     const [boardItems, setBoardItems] = useState([]);
+    // Mirror of boardItems for async code that needs to compare against the latest list
+    const boardItemsRef = useRef(boardItems);
+    useEffect(() => {
+        boardItemsRef.current = boardItems;
+    }, [boardItems]);
 
     // --- NEW STATES FOR LAZY LOADING BOARDS IN SIDEBAR ---
     const [allAvailableBoardsForSidebar, setAllAvailableBoardsForSidebar] = useState([]);
@@ -71,16 +342,91 @@ function App() {
     const [isLoadingColumns, setIsLoadingColumns] = useState(false); // Columns loading (e.g., after filter change)
     const [isLoadingItems, setIsLoadingItems] = useState(false); // Items loading (e.g., after filter change)
     const [isPolling, setIsPolling] = useState(false); // NEW: State for background periodic refresh
+    // Boards a monday live event has arrived for. Events only cover the board the app runs on, so
+    // other boards (and dashboards) never show up here and keep being polled at the normal interval.
+    const [liveEventBoardIds, setLiveEventBoardIds] = useState(() => new Set());
 
     // States for error handling
     const [appError, setAppError] = useState(null);
     const [columnsError, setColumnsError] = useState(null);
     const [itemsError, setItemsError] = useState(null);
 
+    // Per-board progress while item pages stream in: { [boardId]: { boardName, loaded, isDone } }
+    const [itemsLoadProgress, setItemsLoadProgress] = useState({});
+    // Set when loading stopped early because the maxItems bound was reached
+    const [isItemsLimitReached, setIsItemsLimitReached] = useState(false);
+
+    // Undo/redo history of this session's edits; the toast offers to undo the latest one
+    const { record: recordEdit, undo: undoEdit, lastEntry: lastEditEntry } = useEditHistory();
+    const [isUndoToastOpen, setIsUndoToastOpen] = useState(false);
+    useEffect(() => {
+        setIsUndoToastOpen(Boolean(lastEditEntry));
+    }, [lastEditEntry]);
+
+    // Cells with a change in flight, and cells whose last change failed, keyed by `${itemId}:${columnId}`
+    // (item names use the table's 'item_name_column' ID)
+    const [pendingCells, setPendingCells] = useState({});
+    const [cellErrors, setCellErrors] = useState({});
+    // Sequence number of the latest change per cell, so a slow response or rollback can't undo a newer edit
+    const cellChangeSeqRef = useRef({});
+
+    // Column and group metadata per board ({ [boardId]: { id, name, columns, groups } }). Entries are reused across
+    // loads and only refetched when the board is newly selected or its schema changed.
+    const boardMetadataCacheRef = useRef({});
+
+    // Fetches column metadata for the given boards and stores it in the cache
+    const fetchBoardColumns = useCallback(async (boardIds, signal) => {
+        const columnsData = await queryMonday(GET_BOARD_COLUMNS_QUERY(boardIds), {}, { signal });
+        if (columnsData && columnsData.boards) {
+            columnsData.boards.forEach(board => {
+                boardMetadataCacheRef.current[board.id] = {
+                    id: board.id,
+                    name: board.name,
+                    columns: board.columns || [],
+                    groups: board.groups || [],
+                };
+            });
+        }
+    }, [queryMonday]);
+
+    // Column metadata of the subitems boards whose subitems were loaded ({ [boardId]: { id, name, columns } }),
+    // kept apart from the selected boards' cache since those boards aren't loaded or polled themselves
+    const [subitemBoards, setSubitemBoards] = useState({});
+    const subitemBoardsRef = useRef(subitemBoards);
+    useEffect(() => {
+        subitemBoardsRef.current = subitemBoards;
+    }, [subitemBoards]);
+
+    // Columns of the board an item or subitem lives on
+    const getBoardColumns = useCallback((boardId) => (
+        (boardMetadataCacheRef.current[boardId] || subitemBoardsRef.current[boardId] || {}).columns || []
+    ), []);
+
+    // Server-side filter for a board's items, or null when none of the filters can be evaluated by the API
+    // (or the board's columns aren't cached yet). TaskTable still filters whatever arrives.
+    const getFilterQueryParams = useCallback((boardId, filters) => {
+        const board = boardMetadataCacheRef.current[boardId];
+        return board ? ACTIVE_FILTERS_QUERY_PARAMS(board.columns, selectedColumnIds, filters) : null;
+    }, [selectedColumnIds]);
+
+    // Start time of the last successful full load or incremental poll, used as the "changed since" mark
+    const lastSyncRef = useRef(null);
+
+    // Controller of the load or refresh currently running. A new full load aborts it, so results
+    // for a previous board/column selection never land on top of the current one.
+    const loadControllerRef = useRef(null);
+
     // Function to fetch all necessary data (columns and items) for selected boards
     // This function will now manage only its own internal loading (isPolling) and errors,
     // as well as updating the actual data.
-    const fetchBoardData = useCallback(async () => {
+    // Resolves with true when this run is still the current one once it settles, false when it was superseded.
+    // `onItemsAvailable` is called each time a board's items land, so callers can reveal the table early.
+    const fetchBoardData = useCallback(async ({ onItemsAvailable } = {}) => {
+        if (loadControllerRef.current) {
+            loadControllerRef.current.abort();
+            loadControllerRef.current = null;
+        }
+
         if (selectedBoardIds.length === 0) {
             console.log("App.jsx: fetchBoardData - No boards selected, skipping data fetch.");
             setAllBoardsData({});
@@ -88,71 +434,212 @@ function App() {
             setColumnsError(null);
             setItemsError(null);
             // Don't set isLoadingColumns/Items to false here, as they are managed by the useEffect.
-            return;
+            return true;
         }
 
+        const controller = new AbortController();
+        const { signal } = controller;
+        loadControllerRef.current = controller;
+
         // Set polling state on start
         setIsPolling(true);
         setColumnsError(null);
         setItemsError(null);
 
         const newAllBoardsData = {};
-        let fetchedItems = [];
+        const syncStartedAt = Date.now();
+        const filters = activeFiltersRef.current;
+        appliedFiltersRef.current = filters;
 
         try {
-            // Fetch columns first
-            const columnsData = await retry(() => queryMonday(GET_BOARD_COLUMNS_QUERY));
-
-            if (columnsData && columnsData.boards) {
-                columnsData.boards.forEach(board => {
-                    if (selectedBoardIds.includes(board.id)) {
-                        newAllBoardsData[board.id] = {
-                            id: board.id,
-                            name: board.name,
-                            columns: board.columns || [],
-                        };
-                    }
-                });
+            // Fetch columns first, but only for boards that aren't cached yet. Deselected boards are
+            // evicted, since their schema isn't watched while they're not polled.
+            Object.keys(boardMetadataCacheRef.current).forEach(boardId => {
+                if (!selectedBoardIds.includes(boardId)) {
+                    delete boardMetadataCacheRef.current[boardId];
+                }
+            });
+            const uncachedBoardIds = selectedBoardIds.filter(boardId => !boardMetadataCacheRef.current[boardId]);
+            if (uncachedBoardIds.length > 0) {
+                await fetchBoardColumns(uncachedBoardIds, signal);
             }
-            setAllBoardsData(newAllBoardsData);
+            if (signal.aborted) return false;
 
-            // Then fetch items for each selected board
-            for (const boardId of selectedBoardIds) {
-                if (selectedColumnIds.length === 0) {
-                    console.warn(`App.jsx: No columns selected for board ${boardId}, skipping item fetch for this board.`);
-                    continue;
+            selectedBoardIds.forEach(boardId => {
+                if (boardMetadataCacheRef.current[boardId]) {
+                    newAllBoardsData[boardId] = boardMetadataCacheRef.current[boardId];
                 }
+            });
+            setAllBoardsData(newAllBoardsData);
+
+            // Then fetch items, several boards per request. Each board replaces its previous items as soon as
+            // it is complete, so the table fills in batch by batch; boards still loading keep showing what they had.
+            setItemsLoadProgress({});
+            if (selectedColumnIds.length === 0) {
+                console.warn("App.jsx: No columns selected, skipping item fetch.");
+            }
+            const boardIdsToLoad = selectedColumnIds.length > 0 ? selectedBoardIds : [];
+            const loadedItemsByBoard = {};
+            const withBoardInfo = (boardId, items) => {
+                const boardName = newAllBoardsData[boardId]?.name || `Board ${boardId}`;
+                return items.map(item => ({ ...item, boardId, boardName }));
+            };
 
-                const query = GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(String(boardId), selectedColumnIds);
-                const itemsData = await retry(() => queryMonday(query));
+            const { itemsByBoard, isTruncated } = await fetchBoardsItems(queryMonday, boardIdsToLoad, selectedColumnIds, {
+                maxCount: maxItems ? maxItems : Infinity,
+                getQueryParams: boardId => getFilterQueryParams(boardId, filters),
+                signal,
+                onProgress: (boardId, loaded, isDone) => {
+                    if (signal.aborted) return;
+                    const boardName = newAllBoardsData[boardId]?.name || `Board ${boardId}`;
+                    setItemsLoadProgress(prev => ({ ...prev, [boardId]: { boardName, loaded, isDone } }));
+                },
+                onBoardLoaded: (boardId, items) => {
+                    if (signal.aborted) return;
+                    if (items.length === 0) {
+                        console.warn(`App.jsx: No items found for board ${boardId}.`);
+                    }
+                    loadedItemsByBoard[boardId] = withBoardInfo(boardId, items);
+                    setBoardItems(prev => keepLoadedSubitems(prev, selectedBoardIds.flatMap(id => (
+                        loadedItemsByBoard[id] || prev.filter(item => item.boardId === id && !item.parentId)
+                    ))));
+                    if (typeof onItemsAvailable === 'function') {
+                        onItemsAvailable();
+                    }
+                },
+            });
+            if (signal.aborted) return false;
 
-                if (itemsData && itemsData.boards && itemsData.boards[0] && itemsData.boards[0].items_page && itemsData.boards[0].items_page.items) {
-                    const itemsWithBoardInfo = itemsData.boards[0].items_page.items.map(item => ({
-                        ...item,
-                        boardId: boardId,
-                        boardName: newAllBoardsData[boardId]?.name || `Board ${boardId}`
-                    }));
-                    fetchedItems = [...fetchedItems, ...itemsWithBoardInfo];
-                } else {
-                    console.warn(`App.jsx: No items found for board ${boardId}.`);
-                }
+            if (isTruncated) {
+                // Some boards still have pages left, but the item limit cut them short
+                console.warn(`App.jsx: Item limit of ${maxItems} reached.`);
             }
-            setBoardItems(fetchedItems);
+            setIsItemsLimitReached(isTruncated);
+            setBoardItems(prev => keepLoadedSubitems(prev, boardIdsToLoad.flatMap(boardId => withBoardInfo(boardId, itemsByBoard[boardId] || []))));
+            lastSyncRef.current = syncStartedAt;
+            return true;
 
         } catch (error) {
+            if (error.name === 'AbortError' || signal.aborted) {
+                // Superseded by a newer selection; that run reports its own results
+                return false;
+            }
             console.error("App.jsx: Error loading board data (columns or items):", error);
             if (error.message.includes("columns")) { // Try to identify if it was a columns-related error
                 setColumnsError(`Error loading columns: ${error.message}. Please check selected boards.`);
             } else { // Otherwise, assume it's items or general error
                 setItemsError(`Error loading items: ${error.message}.`);
             }
+            return true;
         } finally {
-            // Set polling state off regardless of success or failure
-            setIsPolling(false);
+            // Set polling state off regardless of success or failure, unless a newer run took over
+            if (loadControllerRef.current === controller) {
+                loadControllerRef.current = null;
+                setIsPolling(false);
+            }
             // IMPORTANT: isLoadingColumns and isLoadingItems are NOT set here.
             // They are managed by the specific useEffect that triggers initial/filtered loads.
         }
-    }, [selectedBoardIds, selectedColumnIds, queryMonday]);
+    }, [selectedBoardIds, selectedColumnIds, maxItems, queryMonday, fetchBoardColumns, getFilterQueryParams]);
+
+    // Function for periodic refreshes: reads the activity logs since the last sync, fetches only the items
+    // they name and merges them into boardItems by ID, dropping deleted, archived or moved items.
+    // Boards whose logs were cut off fall back to every item updated since that day.
+    // Resolves with { changed, error } for the refresh policy's backoff.
+    const refreshChangedItems = useCallback(async () => {
+        if (selectedBoardIds.length === 0 || selectedColumnIds.length === 0) {
+            return { changed: false };
+        }
+        if (loadControllerRef.current) {
+            // A full load or another refresh is running; it will pick up the same changes
+            return { changed: false };
+        }
+        if (!lastSyncRef.current) {
+            // Nothing to diff against yet
+            await fetchBoardData();
+            return { changed: true };
+        }
+
+        const controller = new AbortController();
+        const { signal } = controller;
+        loadControllerRef.current = controller;
+
+        const since = new Date(lastSyncRef.current - SYNC_OVERLAP_MS);
+        const syncStartedAt = Date.now();
+
+        setIsPolling(true);
+        setItemsError(null);
+
+        try {
+            const logsData = await queryMonday(GET_BOARD_ACTIVITY_LOGS_QUERY(selectedBoardIds, since), {}, { signal });
+            const logBoards = (logsData && logsData.boards) || [];
+            const removedIds = getRemovedItemIds(logBoards);
+
+            // Refresh cached column metadata only for boards whose schema changed since the last sync
+            const staleBoardIds = getBoardsWithSchemaChanges(logBoards);
+            if (staleBoardIds.size > 0) {
+                console.log("App.jsx: Column schema changed, refreshing columns for boards:", [...staleBoardIds]);
+                await fetchBoardColumns([...staleBoardIds], signal);
+                if (signal.aborted) return { changed: false };
+                setAllBoardsData(prev => {
+                    const updatedBoardsData = { ...prev };
+                    staleBoardIds.forEach(boardId => {
+                        if (boardMetadataCacheRef.current[boardId]) {
+                            updatedBoardsData[boardId] = boardMetadataCacheRef.current[boardId];
+                        }
+                    });
+                    return updatedBoardsData;
+                });
+            }
+
+            // Changed items come back whether or not they still match the server-side filters: one edited out
+            // of a filter must be refreshed too, or it would linger with stale values. TaskTable hides it.
+            // Items fetched by ID report their current board: one moved to an unselected board is left out here
+            // and dropped through removedIds, one moved between selected boards is kept with its new board.
+            const itemsById = await fetchItemsByIds(queryMonday, [...getChangedItemIds(logBoards)], selectedColumnIds, { signal });
+            const changedItems = itemsById
+                .filter(item => item.board && selectedBoardIds.includes(String(item.board.id)))
+                .map(item => {
+                    const boardId = String(item.board.id);
+                    return { ...item, boardId, boardName: allBoardsData[boardId]?.name || item.board.name };
+                });
+
+            const truncatedBoardIds = getBoardsWithTruncatedLogs(logBoards);
+            if (truncatedBoardIds.length > 0) {
+                if (signal.aborted) return { changed: false };
+                console.log("App.jsx: Activity logs cut off, refreshing every item updated since", since, "for boards:", truncatedBoardIds);
+                const { itemsByBoard } = await fetchBoardsItems(queryMonday, truncatedBoardIds, selectedColumnIds, {
+                    getQueryParams: () => UPDATED_SINCE_QUERY_PARAMS(since),
+                    signal,
+                });
+                truncatedBoardIds.forEach(boardId => {
+                    const boardName = allBoardsData[boardId]?.name || `Board ${boardId}`;
+                    (itemsByBoard[boardId] || []).forEach(item => changedItems.push({ ...item, boardId, boardName }));
+                });
+            }
+
+            if (signal.aborted) return { changed: false };
+
+            // A capped list only keeps its own items fresh; appending would push it past maxItems
+            const canAddItems = !isItemsLimitReached;
+            const isItemListChanged = mergeChangedItems(boardItemsRef.current, changedItems, removedIds, canAddItems) !== boardItemsRef.current;
+            setBoardItems(prev => mergeChangedItems(prev, changedItems, removedIds, canAddItems));
+            lastSyncRef.current = syncStartedAt;
+            return { changed: isItemListChanged || staleBoardIds.size > 0 };
+        } catch (error) {
+            if (error.name === 'AbortError' || signal.aborted) {
+                return { changed: false };
+            }
+            console.error("App.jsx: Error refreshing changed items:", error);
+            setItemsError(`Error refreshing items: ${error.message}.`);
+            return { changed: false, error };
+        } finally {
+            if (loadControllerRef.current === controller) {
+                loadControllerRef.current = null;
+                setIsPolling(false);
+            }
+        }
+    }, [selectedBoardIds, selectedColumnIds, allBoardsData, isItemsLimitReached, queryMonday, fetchBoardData, fetchBoardColumns]);
 
     // Effect to load application settings from monday.storage on initial render
     useEffect(() => {
@@ -177,6 +664,12 @@ function App() {
                             if (parsedSettings.selectedColumnIds) {
                                 setSelectedColumnIds(parsedSettings.selectedColumnIds);
                             }
+                            if (typeof parsedSettings.maxItems !== 'undefined') {
+                                setMaxItems(parsedSettings.maxItems);
+                            }
+                            if (typeof parsedSettings.refreshInterval !== 'undefined') {
+                                setRefreshInterval(parsedSettings.refreshInterval);
+                            }
                             if (typeof parsedSettings.isDialogOpen !== 'undefined') {
                                 setIsSidebarOpen(parsedSettings.isDialogOpen);
                             } else if (typeof parsedSettings.isPopoverOpen !== 'undefined') {
@@ -233,6 +726,8 @@ function App() {
                 const settingsToSave = {
                     selectedBoardIds,
                     selectedColumnIds,
+                    maxItems,
+                    refreshInterval,
                     isSidebarOpen,
                 };
                 try {
@@ -247,7 +742,7 @@ function App() {
             };
             saveSettingsAutomatically();
         }
-    }, [selectedBoardIds, selectedColumnIds, isSidebarOpen, isAppLoading]);
+    }, [selectedBoardIds, selectedColumnIds, maxItems, refreshInterval, isSidebarOpen, isAppLoading]);
 
     // Effect to trigger data fetching when selectedBoardIds or selectedColumnIds change, or app loading completes
     // This useEffect is now responsible for setting the "full loading" indicators.
@@ -257,38 +752,121 @@ function App() {
                 // Set full loading states BEFORE calling fetchBoardData
                 setIsLoadingColumns(true);
                 setIsLoadingItems(true);
+                // Turn off full loading states as soon as the first boards land (the rest render as
+                // their batches arrive), or once fetchBoardData completes, unless a newer selection
+                // already started its own load
+                const showContent = () => {
+                    setIsLoadingColumns(false);
+                    setIsLoadingItems(false);
+                };
                 // Call fetchBoardData, which now handles its own isPolling state
-                await fetchBoardData();
-                // Turn off full loading states AFTER fetchBoardData completes
-                setIsLoadingColumns(false);
-                setIsLoadingItems(false);
+                const isCurrent = await fetchBoardData({ onItemsAvailable: showContent });
+                if (isCurrent) {
+                    showContent();
+                }
             }
         };
         loadContentData();
     }, [selectedBoardIds, selectedColumnIds, isAppLoading, fetchBoardData]);
 
+    // Effect to reload items in the background when a filter change alters the server-side filters.
+    // Narrowing takes effect immediately through TaskTable's client-side filtering; the reload
+    // brings in items a wider filter matches and drops what a narrower one no longer transfers.
     useEffect(() => {
-        const pollingInterval = 20000; // 20 seconds
-
-        const intervalId = setInterval(() => {
-            console.log(`App.jsx: Polling for updates (every ${pollingInterval / 1000} seconds)...`);
-            // Only fetch data if the app is not already loading data (initial/filter load)
-            // and if there are selected boards and columns (to avoid unnecessary API calls)
-            if (!isAppLoading && !isLoadingColumns && !isLoadingItems && selectedBoardIds.length > 0 && selectedColumnIds.length > 0) {
-                fetchBoardData(); // fetchBoardData will handle setting and unsetting isPolling
-            } else if (selectedBoardIds.length === 0 || selectedColumnIds.length === 0) {
-                console.log("App.jsx: Skipping polling - no boards or columns selected.");
-            } else if (isAppLoading || isLoadingColumns || isLoadingItems) {
-                console.log("App.jsx: Skipping polling - data is currently loading from initial/filter change.");
-            }
-        }, pollingInterval);
-
-        // Cleanup function to clear the interval when the component unmounts
+        if (isAppLoading || isLoadingColumns || isLoadingItems) return undefined;
+        const getServerFiltersKey = (filters) => JSON.stringify(selectedBoardIds.map(boardId => getFilterQueryParams(boardId, filters)));
+        if (getServerFiltersKey(activeFilters) === getServerFiltersKey(appliedFiltersRef.current)) return undefined;
+
+        const timeoutId = setTimeout(() => {
+            fetchBoardData();
+        }, FILTER_RELOAD_DELAY_MS);
+        return () => clearTimeout(timeoutId);
+    }, [activeFilters, selectedBoardIds, isAppLoading, isLoadingColumns, isLoadingItems, getFilterQueryParams, fetchBoardData]);
+
+    /**
+     * Applies a live event from monday.listen('events') to boardItems in place.
+     * Renames and deletions are patched directly; new items and column value changes refetch
+     * just the affected items, since the event payload doesn't carry display text.
+     * @param {object} res - The event as delivered by the SDK ({ data: { type, boardId, ... } }).
+     */
+    const handleMondayEvent = useCallback(async (res) => {
+        const event = res && res.data;
+        if (!event || !event.type) return;
+
+        const boardId = String(event.boardId);
+        if (!selectedBoardIds.includes(boardId)) return;
+        setLiveEventBoardIds(prev => (prev.has(boardId) ? prev : new Set(prev).add(boardId)));
+
+        const itemIds = (event.itemIds || (event.itemId ? [event.itemId] : [])).map(String);
+        console.log(`App.jsx: Live event ${event.type} for board ${boardId}:`, itemIds);
+
+        switch (event.type) {
+            case 'change_name':
+                setBoardItems(prev => prev.map(item => (
+                    String(item.id) === itemIds[0] ? { ...item, name: event.name } : item
+                )));
+                break;
+            case 'delete_items':
+                setBoardItems(prev => prev.filter(item => !itemIds.includes(String(item.id))));
+                break;
+            case 'change_column_values':
+                if (event.columnId && !selectedColumnIds.includes(event.columnId)) return;
+            // falls through
+            case 'new_items': {
+                if (itemIds.length === 0 || selectedColumnIds.length === 0) return;
+                try {
+                    const data = await queryMonday(GET_ITEMS_BY_IDS_QUERY(itemIds, selectedColumnIds));
+                    const boardName = allBoardsData[boardId]?.name || `Board ${boardId}`;
+                    const changedItems = ((data && data.items) || []).map(item => ({ ...item, boardId, boardName }));
+                    setBoardItems(prev => mergeChangedItems(prev, changedItems, new Set(), !isItemsLimitReached));
+                } catch (error) {
+                    // The next poll will pick the change up
+                    console.error(`App.jsx: Error applying live event ${event.type}:`, error);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }, [selectedBoardIds, selectedColumnIds, allBoardsData, isItemsLimitReached, queryMonday]);
+
+    // Effect to subscribe to live board events once the app is ready
+    useEffect(() => {
+        if (isAppLoading) return undefined;
+
+        let unsubscribe = null;
+        try {
+            unsubscribe = monday.listen('events', handleMondayEvent);
+        } catch (error) {
+            console.error("App.jsx: Could not subscribe to monday events, falling back to polling:", error);
+        }
+
         return () => {
-            console.log("App.jsx: Clearing polling interval.");
-            clearInterval(intervalId);
+            if (typeof unsubscribe === 'function') {
+                unsubscribe();
+            }
         };
-    }, [fetchBoardData, isAppLoading, isLoadingColumns, isLoadingItems, selectedBoardIds, selectedColumnIds]); // Dependencies to re-setup interval if fetchBoardData, loading state, or selections change
+    }, [isAppLoading, handleMondayEvent]);
+
+    // Polling interval in effect: the user's choice, or for 'auto' a slow safety net once live events
+    // have arrived for every selected board, and a fast interval otherwise. null means manual-only.
+    const effectiveRefreshIntervalMs = useMemo(() => {
+        if (refreshInterval === 'manual') return null;
+        if (refreshInterval === 'auto') {
+            const isEveryBoardLive = selectedBoardIds.length > 0 && selectedBoardIds.every(boardId => liveEventBoardIds.has(boardId));
+            return isEveryBoardLive ? SAFETY_NET_POLLING_INTERVAL_MS : POLLING_INTERVAL_MS;
+        }
+        return Number(refreshInterval) || POLLING_INTERVAL_MS;
+    }, [refreshInterval, selectedBoardIds, liveEventBoardIds]);
+
+    // Background refreshes: paused while the app is hidden, backed off after errors or unchanged
+    // results, and deferred while the user is editing or a dialog/the settings panel is open
+    const { refreshNow } = useRefreshPolicy({
+        intervalMs: effectiveRefreshIntervalMs,
+        onRefresh: refreshChangedItems,
+        isEnabled: !isAppLoading && !isLoadingColumns && !isLoadingItems && selectedBoardIds.length > 0 && selectedColumnIds.length > 0,
+        isDeferred: isTableInteracting || isSidebarOpen,
+    });
 
     const fetchBoardsForSidebarSelection = useCallback(async () => {
         if (isFetchingAllBoardsForSidebar) return;
@@ -296,7 +874,7 @@ function App() {
         setIsFetchingAllBoardsForSidebar(true);
         setAllBoardsForSidebarFetchError(null);
         try {
-            const data = await retry(() => queryMonday(GET_BOARDS_QUERY));
+            const data = await queryMonday(GET_BOARDS_QUERY);
             if (data && data.boards) {
                 setAllAvailableBoardsForSidebar(data.boards);
                 console.log("App.jsx: Fetched all boards for sidebar:", data.boards);
@@ -335,7 +913,7 @@ function App() {
         setIsLoadingColumns(true);
         setAllBoardsForSidebarFetchError(null);
         try {
-            const data = await retry(() => queryMonday(GET_BOARDS_QUERY));
+            const data = await queryMonday(GET_BOARDS_QUERY);
             if (data && data.boards) {
                 const allIds = data.boards.map(board => board.id);
                 setSelectedBoardIds(allIds);
@@ -401,7 +979,13 @@ function App() {
         }
     }, []);
 
-    // Memoized list of columns to display in TaskTable, including 'Board' and 'Item Name' columns
+    // Handler for the item limit setting; empty or non-positive input removes the limit
+    const handleMaxItemsChange = useCallback((value) => {
+        const parsedValue = parseInt(value, 10);
+        setMaxItems(Number.isFinite(parsedValue) && parsedValue > 0 ? parsedValue : null);
+    }, []);
+
+    // Memoized list of columns to display in TaskTable, including 'Board', 'Item Name' and 'Group' columns
     const columnsToDisplayInTable = useMemo(() => {
         const filteredColumns = allAvailableColumnsForSelectedBoards.filter(col => selectedColumnIds.includes(col.id));
 
@@ -418,24 +1002,435 @@ function App() {
             type: 'item_name'
         };
 
+        // The item's group on its board; items carry it, so it doesn't need to be selected
+        const groupColumn = {
+            id: 'group_column',
+            title: 'Group',
+            type: 'group'
+        };
+
         // Return combined list of columns
-        return [boardNameColumn, itemNameColumn, ...filteredColumns];
+        return [boardNameColumn, itemNameColumn, groupColumn, ...filteredColumns];
     }, [allAvailableColumnsForSelectedBoards, selectedColumnIds]);
 
+    // Metadata of the selected boards, in selection order, for creating items on them
+    const selectedBoards = useMemo(() => (
+        selectedBoardIds.map(boardId => allBoardsData[boardId]).filter(Boolean)
+    ), [selectedBoardIds, allBoardsData]);
+
+    // Groups of each selected board, for moving items between them
+    const boardGroups = useMemo(() => (
+        Object.fromEntries(Object.entries(allBoardsData).map(([boardId, board]) => [boardId, board.groups || []]))
+    ), [allBoardsData]);
+
     // Determine if content (columns or items) is loading for initial/filter changes
     const isContentLoading = isLoadingColumns || isLoadingItems;
+    // Boards whose batches haven't landed yet while the table already shows the others
+    const pendingBoardNames = useMemo(() => (
+        Object.values(itemsLoadProgress).filter(progress => !progress.isDone).map(progress => progress.boardName)
+    ), [itemsLoadProgress]);
+
+    /**
+     * Applies an edit to boardItems right away, sends the mutation, then settles the cell with the
+     * value from the mutation response, or rolls it back and records an inline error on failure.
+     * @param {object} change
+     * @param {object} change.item - The edited item.
+     * @param {string} change.cellKey - `${itemId}:${columnId}` of the edited cell.
+     * @param {string} change.columnId - The mutated column ('name' for renames).
+     * @param {function(object): object} change.applyChange - Returns the item with the edit applied.
+     * @param {function(object): object} change.revertChange - Returns the item with the edit undone.
+     * @param {function(): object} change.buildRequest - Builds the mutation (may throw on invalid input).
+     * @returns {Promise<boolean>} Whether the change was saved.
+     */
+    const runOptimisticChange = useCallback(async ({ item, cellKey, columnId, applyChange, revertChange, buildRequest }) => {
+        const patchItem = (update) => {
+            setBoardItems(prev => prev.map(current => (String(current.id) === String(item.id) ? update(current) : current)));
+        };
+
+        let request;
+        try {
+            request = buildRequest();
+        } catch (error) {
+            setCellErrors(prev => ({ ...prev, [cellKey]: error.message.replace(/^mondayQueries: /, '') }));
+            return false;
+        }
+
+        const seq = (cellChangeSeqRef.current[cellKey] || 0) + 1;
+        cellChangeSeqRef.current[cellKey] = seq;
+        const isLatest = () => cellChangeSeqRef.current[cellKey] === seq;
+
+        patchItem(applyChange);
+        setPendingCells(prev => ({ ...prev, [cellKey]: true }));
+        setCellErrors(prev => omitKey(prev, cellKey));
+
+        try {
+            const data = await queryMonday(request);
+            const updatedItem = data && data.change_column_value;
+            if (updatedItem && isLatest()) {
+                patchItem(current => mergeMutationResult(current, updatedItem, columnId));
+            }
+            return true;
+        } catch (error) {
+            console.error(`App.jsx: Error saving ${columnId} of item ${item.id}:`, error);
+            if (isLatest()) {
+                patchItem(revertChange);
+                setCellErrors(prev => ({ ...prev, [cellKey]: `Couldn't save: ${error.message}` }));
+            }
+            return false;
+        } finally {
+            if (isLatest()) {
+                setPendingCells(prev => omitKey(prev, cellKey));
+            }
+        }
+    }, [queryMonday]);
+
+    // Latest copy of an item, for history replays that run long after the edit was recorded
+    const getCurrentItem = useCallback((item) => (
+        boardItemsRef.current.find(current => String(current.id) === String(item.id)) || item
+    ), []);
+
+    /**
+     * Changes a column value without recording it in the edit history (used by replays and bulk actions).
+     * @param {object} item - The edited item.
+     * @param {string} columnId - The edited column.
+     * @param {string} valuePayloadString - The JSON payload for change_column_value.
+     * @param {object} optimisticValue - The `{ text, value }` to show until the response arrives.
+     * @returns {Promise<boolean>} Whether the change was saved.
+     */
+    const changeColumnValue = useCallback((item, columnId, valuePayloadString, optimisticValue) => {
+        const previousValue = item.column_values.find(cv => cv.id === columnId) || { text: '', value: null };
+        return runOptimisticChange({
+            item,
+            cellKey: `${item.id}:${columnId}`,
+            columnId,
+            applyChange: current => setItemColumnValue(current, columnId, optimisticValue),
+            revertChange: current => setItemColumnValue(current, columnId, { text: previousValue.text, value: previousValue.value }),
+            buildRequest: () => UPDATE_COLUMN_VALUE_QUERY(item.boardId, item.id, columnId, valuePayloadString),
+        });
+    }, [runOptimisticChange]);
+
+    /**
+     * Builds the history entry for a column change, or null when the column's type can't be restored.
+     * @param {object} item - The item as it was before the change.
+     * @param {string} columnId - The changed column.
+     * @param {string} valuePayloadString - The payload that was saved.
+     * @param {object} optimisticValue - The `{ text, value }` that was shown for it.
+     * @returns {{label: string, undo: function, redo: function}|null} The entry.
+     */
+    const buildColumnChangeEntry = useCallback((item, columnId, valuePayloadString, optimisticValue) => {
+        const column = getBoardColumns(item.boardId).find(col => col.id === columnId);
+        const previousValue = item.column_values.find(cv => cv.id === columnId) || { text: '', value: null };
+        const restorePayload = buildRestorePayload(column ? column.type : null, previousValue);
+        if (!restorePayload) {
+            return null;
+        }
+        const restoredValue = { text: previousValue.text, value: previousValue.value };
+        return {
+            label: `${column ? column.title : columnId} of "${item.name}"`,
+            undo: () => changeColumnValue(getCurrentItem(item), columnId, restorePayload, restoredValue),
+            redo: () => changeColumnValue(getCurrentItem(item), columnId, valuePayloadString, optimisticValue),
+        };
+    }, [changeColumnValue, getCurrentItem, getBoardColumns]);
 
     /**
-     * Callback function for TaskTable to signal that an item has been updated.
-     * This triggers a re-fetch of all relevant data.
-     * @param {string} updatedBoardId - The ID of the board where the item was updated.
-     * @param {string} updatedItemId - The ID of the item that was updated.
+     * Changes a column value from the table and records it for undo.
+     * @param {object} item - The edited item.
+     * @param {string} columnId - The edited column.
+     * @param {string} valuePayloadString - The JSON payload for change_column_value.
+     * @param {object} optimisticValue - The `{ text, value }` to show until the response arrives.
+     * @returns {Promise<boolean>} Whether the change was saved.
      */
-    const handleItemUpdated = useCallback(async (updatedBoardId, updatedItemId) => {
-        console.log(`Item updated: Board ID ${updatedBoardId}, Item ID ${updatedItemId}. Re-fetching data...`);
-        // Re-fetch all data to ensure consistency after an explicit update
-        await fetchBoardData();
-    }, [fetchBoardData]);
+    const handleColumnValueChange = useCallback(async (item, columnId, valuePayloadString, optimisticValue) => {
+        const historyEntry = buildColumnChangeEntry(item, columnId, valuePayloadString, optimisticValue);
+        const isSaved = await changeColumnValue(item, columnId, valuePayloadString, optimisticValue);
+        if (isSaved && historyEntry) {
+            recordEdit(historyEntry);
+        }
+        return isSaved;
+    }, [buildColumnChangeEntry, changeColumnValue, recordEdit]);
+
+    // Renames an item without recording it in the edit history
+    const renameItem = useCallback((item, newName) => {
+        return runOptimisticChange({
+            item,
+            cellKey: `${item.id}:item_name_column`,
+            columnId: 'name',
+            applyChange: current => ({ ...current, name: newName }),
+            revertChange: current => ({ ...current, name: item.name }),
+            buildRequest: () => UPDATE_ITEM_NAME_QUERY(item.boardId, item.id, newName),
+        });
+    }, [runOptimisticChange]);
+
+    /**
+     * Renames an item from the table and records it for undo.
+     * @param {object} item - The edited item.
+     * @param {string} newName - The new name.
+     * @returns {Promise<boolean>} Whether the change was saved.
+     */
+    const handleItemRename = useCallback(async (item, newName) => {
+        const previousName = item.name;
+        const isSaved = await renameItem(item, newName);
+        if (isSaved) {
+            recordEdit({
+                label: `name of "${previousName}"`,
+                undo: () => renameItem(getCurrentItem(item), previousName),
+                redo: () => renameItem(getCurrentItem(item), newName),
+            });
+        }
+        return isSaved;
+    }, [renameItem, recordEdit, getCurrentItem]);
+
+    const handleDismissCellError = useCallback((cellKey) => {
+        setCellErrors(prev => omitKey(prev, cellKey));
+    }, []);
+
+    /**
+     * Applies one operation to each of many items, possibly across boards. Column changes and group
+     * moves show right away and settle per item: failures roll back with an inline error, and archived
+     * or deleted items leave the table once confirmed. Items moved to another board are reloaded, since
+     * their column values now belong to the target board's columns. Nothing is recorded in the edit history.
+     * @param {Array<object>} operations - `{ item, type }` plus `columnId`, `value` and `optimisticValue` for
+     * change_column_value; `group` ({ id, title }) for move_item_to_group; `board` ({ id, name }), `group`
+     * and `columnsMapping` for move_item_to_board. archive_item and delete_item take nothing else.
+     * @returns {Promise<{succeeded: object[], failed: Array<{item: object, error: string}>}>} The items per outcome.
+     */
+    const applyBulkOperations = useCallback(async (operations) => {
+        const failed = [];
+        // Columns are shared by ID across boards, but not every selected board has them
+        const sendableOperations = operations.filter(operation => {
+            if (operation.type !== 'change_column_value') return true;
+            if (getBoardColumns(operation.item.boardId).some(col => col.id === operation.columnId)) return true;
+            failed.push({ item: operation.item, error: `${operation.item.boardName || 'This board'} has no such column` });
+            return false;
+        });
+
+        const seqByCellKey = {};
+        sendableOperations.forEach(operation => {
+            const cellKey = getBulkCellKey(operation);
+            seqByCellKey[cellKey] = (cellChangeSeqRef.current[cellKey] || 0) + 1;
+            cellChangeSeqRef.current[cellKey] = seqByCellKey[cellKey];
+        });
+        const isLatest = (cellKey) => cellChangeSeqRef.current[cellKey] === seqByCellKey[cellKey];
+        const cellKeys = Object.keys(seqByCellKey);
+
+        const operationsByItemId = new Map(sendableOperations.map(operation => [String(operation.item.id), operation]));
+        setBoardItems(prev => prev.map(current => {
+            const operation = operationsByItemId.get(String(current.id));
+            if (operation && operation.type === 'change_column_value') {
+                return setItemColumnValue(current, operation.columnId, operation.optimisticValue);
+            }
+            if (operation && operation.type === 'move_item_to_group') {
+                return { ...current, group: operation.group };
+            }
+            return current;
+        }));
+        setPendingCells(prev => ({ ...prev, ...Object.fromEntries(cellKeys.map(cellKey => [cellKey, true])) }));
+        setCellErrors(prev => cellKeys.reduce(omitKey, prev));
+
+        const results = await runBulkMutations(queryMonday, sendableOperations.map(operation => ({
+            type: operation.type,
+            boardId: operation.board ? operation.board.id : operation.item.boardId,
+            itemId: operation.item.id,
+            columnId: operation.columnId,
+            value: operation.value,
+            groupId: operation.group ? operation.group.id : undefined,
+            columnsMapping: operation.columnsMapping,
+        })));
+
+        const succeeded = [];
+        const removedIds = new Set();
+        const movedToBoardById = new Map();
+        const revertedById = new Map();
+        const newCellErrors = {};
+        sendableOperations.forEach((operation, index) => {
+            const { isSuccessful, error } = results[index];
+            const cellKey = getBulkCellKey(operation);
+            if (isSuccessful) {
+                succeeded.push(operation.item);
+                if (operation.type === 'archive_item' || operation.type === 'delete_item') {
+                    removedIds.add(String(operation.item.id));
+                } else if (operation.type === 'move_item_to_board') {
+                    movedToBoardById.set(String(operation.item.id), operation);
+                }
+                return;
+            }
+            console.error(`App.jsx: Bulk ${operation.type} failed for item ${operation.item.id}:`, error);
+            failed.push({ item: operation.item, error });
+            if (isLatest(cellKey)) {
+                revertedById.set(String(operation.item.id), operation);
+                newCellErrors[cellKey] = `Couldn't save: ${error}`;
+            }
+        });
+
+        setBoardItems(prev => prev.filter(current => !removedIds.has(String(current.id))).map(current => {
+            const operation = revertedById.get(String(current.id));
+            if (operation && operation.type === 'change_column_value') {
+                const previousValue = operation.item.column_values.find(cv => cv.id === operation.columnId) || { text: '', value: null };
+                return setItemColumnValue(current, operation.columnId, { text: previousValue.text, value: previousValue.value });
+            }
+            if (operation && operation.type === 'move_item_to_group') {
+                return { ...current, group: operation.item.group };
+            }
+            return current;
+        }));
+        setCellErrors(prev => ({ ...prev, ...newCellErrors }));
+
+        if (movedToBoardById.size > 0) {
+            let reloadedItems = [];
+            try {
+                const data = await queryMonday(GET_ITEMS_BY_IDS_QUERY(Array.from(movedToBoardById.keys()), selectedColumnIds));
+                reloadedItems = (data && data.items) || [];
+            } catch (error) {
+                console.error("App.jsx: Error reloading items moved to another board:", error);
+            }
+            const reloadedById = new Map(reloadedItems.map(item => [String(item.id), item]));
+            // Items that couldn't be reloaded at least show their new board and group until the next refresh
+            setBoardItems(prev => prev.map(current => {
+                const operation = movedToBoardById.get(String(current.id));
+                if (!operation) return current;
+                const reloadedItem = reloadedById.get(String(current.id));
+                return {
+                    ...(reloadedItem || current),
+                    group: reloadedItem ? reloadedItem.group : operation.group,
+                    boardId: String(operation.board.id),
+                    boardName: operation.board.name,
+                };
+            }));
+        }
+        setPendingCells(prev => cellKeys.filter(isLatest).reduce(omitKey, prev));
+
+        return { succeeded, failed };
+    }, [queryMonday, selectedColumnIds, getBoardColumns]);
+
+    // The operation that takes an item back to how it was before `operation`, or null when that can't be replayed
+    const getInverseBulkOperation = useCallback((operation) => {
+        const { item } = operation;
+        if (operation.type === 'move_item_to_group') {
+            return item.group ? { item, type: operation.type, group: item.group } : null;
+        }
+        if (operation.type !== 'change_column_value') {
+            return null;
+        }
+        const column = getBoardColumns(item.boardId).find(col => col.id === operation.columnId);
+        const previousValue = item.column_values.find(cv => cv.id === operation.columnId) || { text: '', value: null };
+        const restorePayload = buildRestorePayload(column ? column.type : null, previousValue);
+        return restorePayload
+            ? { item, type: operation.type, columnId: operation.columnId, value: restorePayload, optimisticValue: { text: previousValue.text, value: previousValue.value } }
+            : null;
+    }, [getBoardColumns]);
+
+    /**
+     * Runs a bulk action from the table. Column changes and moves that succeeded are recorded as a
+     * single undo step; archiving and deleting can't be undone from here.
+     * @param {{label: string, operations: Array<object>}} action - A label for the history, and the
+     * operations as accepted by applyBulkOperations.
+     * @returns {Promise<{succeeded: object[], failed: Array<{item: object, error: string}>}>} The items per outcome.
+     */
+    const handleBulkAction = useCallback(async ({ label, operations }) => {
+        const summary = await applyBulkOperations(operations);
+
+        const succeededIds = new Set(summary.succeeded.map(item => String(item.id)));
+        const replayable = operations
+            .filter(operation => succeededIds.has(String(operation.item.id)))
+            .map(operation => ({ operation, inverse: getInverseBulkOperation(operation) }))
+            .filter(({ inverse }) => inverse !== null);
+        if (replayable.length > 0) {
+            const replay = async (pickOperation) => {
+                const { failed } = await applyBulkOperations(replayable.map(entry => {
+                    const operation = pickOperation(entry);
+                    return { ...operation, item: getCurrentItem(operation.item) };
+                }));
+                return failed.length === 0;
+            };
+            recordEdit({
+                label,
+                undo: () => replay(entry => entry.inverse),
+                redo: () => replay(entry => entry.operation),
+            });
+        }
+
+        return summary;
+    }, [applyBulkOperations, getInverseBulkOperation, getCurrentItem, recordEdit]);
+
+    /**
+     * Moves an item to another group of its board from the table's group column, and records it for undo.
+     * @param {object} item - The moved item.
+     * @param {{id: string, title: string}} group - The target group.
+     * @returns {Promise<boolean>} Whether the move was saved.
+     */
+    const handleMoveToGroup = useCallback(async (item, group) => {
+        const { failed } = await handleBulkAction({
+            label: `group of "${item.name}"`,
+            operations: [{ item, type: 'move_item_to_group', group }],
+        });
+        return failed.length === 0;
+    }, [handleBulkAction]);
+
+    /**
+     * Loads (or reloads) an item's subitems and puts them into boardItems with a `parentId`, so edits,
+     * optimistic updates and undo work on them like on any other item. TaskTable shows them under their parent.
+     * @param {object} parentItem - The item whose subitems to load.
+     * @returns {Promise<number>} The number of subitems; rejects with the API error.
+     */
+    const handleLoadSubitems = useCallback(async (parentItem) => {
+        const parentId = String(parentItem.id);
+        const data = await queryMonday(GET_SUBITEMS_QUERY([parentId]));
+        const parent = ((data && data.items) || [])[0];
+        const subitems = (parent && parent.subitems) || [];
+
+        const loadedBoards = {};
+        subitems.forEach(subitem => {
+            if (subitem.board) {
+                loadedBoards[subitem.board.id] = { id: subitem.board.id, name: subitem.board.name, columns: subitem.board.columns || [] };
+            }
+        });
+        setSubitemBoards(prev => ({ ...prev, ...loadedBoards }));
+
+        const subitemRows = subitems.map(subitem => ({
+            id: subitem.id,
+            name: subitem.name,
+            boardId: subitem.board ? String(subitem.board.id) : null,
+            boardName: subitem.board ? subitem.board.name : '',
+            group: null,
+            parentId,
+            column_values: subitem.column_values || [],
+        }));
+        setBoardItems(prev => [...prev.filter(item => item.parentId !== parentId), ...subitemRows]);
+        return subitemRows.length;
+    }, [queryMonday]);
+
+    /**
+     * Creates an item from the table and adds it next to its board's other items, without a reload.
+     * @param {object} newItem
+     * @param {string} newItem.boardId - The target board.
+     * @param {string|null} newItem.groupId - The target group, or null for the board's top group.
+     * @param {string} newItem.name - The item name.
+     * @param {object} newItem.columnValues - Initial values by column ID, as create_item expects them.
+     * @returns {Promise<object>} The created item; rejects with the API error.
+     */
+    const handleCreateItem = useCallback(async ({ boardId, groupId, name, columnValues }) => {
+        const data = await queryMonday(CREATE_ITEM_QUERY(boardId, groupId, name, columnValues, selectedColumnIds));
+        if (!data || !data.create_item) {
+            throw new Error('monday.com did not return the new item.');
+        }
+        const boardName = allBoardsData[boardId]?.name || `Board ${boardId}`;
+        const createdItem = { ...data.create_item, boardId: String(boardId), boardName };
+
+        setBoardItems(prev => {
+            // A live event may have delivered it already
+            if (prev.some(item => String(item.id) === String(createdItem.id))) {
+                return prev;
+            }
+            let insertAt = prev.length;
+            prev.forEach((item, index) => {
+                if (String(item.boardId) === createdItem.boardId) {
+                    insertAt = index + 1;
+                }
+            });
+            return [...prev.slice(0, insertAt), createdItem, ...prev.slice(insertAt)];
+        });
+        return createdItem;
+    }, [queryMonday, selectedColumnIds, allBoardsData]);
 
     // Function to toggle sidebar visibility
     const toggleSidebar = useCallback(() => {
@@ -502,33 +1497,73 @@ function App() {
                 flexDirection: 'column',
                 overflowY: 'hidden',
             }}>
-                <h1 style={{ marginBottom: '20px', color: '#222' }}>Monday.com Board Data</h1>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px' }}>
+                    <h1 style={{ margin: 0, color: '#222' }}>Monday.com Board Data</h1>
+                    {selectedBoardIds.length > 0 && selectedColumnIds.length > 0 && !isContentLoading && (
+                        <Button
+                            onClick={refreshNow}
+                            kind={Button.kinds.TERTIARY}
+                            size="small"
+                            loading={isPolling}
+                        >
+                            Refresh
+                        </Button>
+                    )}
+                </div>
 
                 {/* Main Content Loading Indicator */}
                 {isContentLoading ? ( // This shows for initial load or filter changes
-                    <div style={{ flex: 1, display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
+                    <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center' }}>
                         <p style={{ fontSize: '1.2em', color: '#555' }}>Loading board data...</p>
+                        {/* Per-board progress while item pages stream in */}
+                        {Object.entries(itemsLoadProgress).map(([boardId, progress]) => (
+                            <p key={boardId} style={{ margin: '4px 0', color: '#777' }}>
+                                {progress.boardName}: {progress.loaded} items{progress.isDone ? '' : '...'}
+                            </p>
+                        ))}
                     </div>
                 ) : (
                     <>
                         {/* Error Messages */}
                         {columnsError && <p style={{ color: 'red', marginBottom: '10px' }}>{columnsError}</p>}
                         {itemsError && <p style={{ color: 'red', marginBottom: '10px' }}>{itemsError}</p>}
+                        {isItemsLimitReached && (
+                            <p style={{ color: '#777', marginBottom: '10px' }}>
+                                Showing the first {maxItems} items. Raise the item limit in the settings dialog to load more.
+                            </p>
+                        )}
+                        {isPolling && pendingBoardNames.length > 0 && (
+                            <p style={{ color: '#777', marginBottom: '10px' }}>
+                                Still loading: {pendingBoardNames.join(', ')}...
+                            </p>
+                        )}
 
 
                         {selectedBoardIds.length === 0 ? (
                             <p style={{ color: '#777' }}>Please select one or more boards in the settings dialog to view data.</p>
                         ) : selectedColumnIds.length === 0 ? (
                             <p style={{ color: '#777' }}>Please select one or more columns in the settings dialog to view data.</p>
-                        ) : boardItems.length === 0 ? ( // This EmptyState is for when no items exist after loading
-                            <p style={{ color: '#777' }}>No items to display with the selected boards and columns.</p>
                         ) : (
                             <div style={{ flex: 1, overflowX: 'auto', overflowY: 'hidden', minHeight: 0, marginBottom: '20px' }}>
                                 <TaskTable
                                     columnIds={columnsToDisplayInTable.map(col => col.id)}
                                     allBoardColumns={columnsToDisplayInTable}
                                     boardItems={boardItems}
-                                    onItemUpdated={handleItemUpdated}
+                                    onColumnValueChange={handleColumnValueChange}
+                                    onItemRename={handleItemRename}
+                                    onBulkAction={handleBulkAction}
+                                    onCreateItem={handleCreateItem}
+                                    onMoveToGroup={handleMoveToGroup}
+                                    onLoadSubitems={handleLoadSubitems}
+                                    subitemBoards={subitemBoards}
+                                    boards={selectedBoards}
+                                    boardGroups={boardGroups}
+                                    pendingCells={pendingCells}
+                                    cellErrors={cellErrors}
+                                    onDismissCellError={handleDismissCellError}
+                                    onInteractionChange={setIsTableInteracting}
+                                    activeFilters={activeFilters}
+                                    onFiltersChange={setActiveFilters}
                                     // isLoading and error props are no longer directly used by TaskTable for its primary loader/error state.
                                     // App.jsx now manages these states and passes the data directly.
                                     // You can pass `false` or remove the prop as TaskTable's internal loader is removed.
@@ -569,8 +1604,24 @@ function App() {
                     onDeselectAllBoards={handleDeselectAllBoards}
                     onSelectAllColumns={handleSelectAllColumns}
                     onDeselectAllColumns={handleDeselectAllColumns}
+                    maxItems={maxItems}
+                    onMaxItemsChange={handleMaxItemsChange}
+                    refreshInterval={refreshInterval}
+                    onRefreshIntervalChange={setRefreshInterval}
                 />
             </div>
+
+            {/* Offers to undo the latest edit; Ctrl+Z / Ctrl+Shift+Z work at any time */}
+            <div style={{ position: 'fixed', bottom: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: 102 }}>
+                <Toast
+                    open={isUndoToastOpen && Boolean(lastEditEntry)}
+                    onClose={() => setIsUndoToastOpen(false)}
+                    autoHideDuration={6000}
+                    actions={[{ type: 'button', content: 'Undo', onClick: undoEdit }]}
+                >
+                    {lastEditEntry ? `Changed ${lastEditEntry.label}` : ''}
+                </Toast>
+            </div>
         </div>
     );
 }
@@ -0,0 +1,118 @@
+// src/api/bulkMutations.js
+import { BULK_ITEM_MUTATIONS_QUERY, MAX_BULK_MUTATIONS_PER_REQUEST } from './mondayQueries';
+import { isRetryableError } from './mondayClient';
+
+/*
+ * Runs many item mutations (bulk status changes, moves, archives...) with as few requests as
+ * possible while still reporting a result per item.
+ *
+ * Mutations are sent in chunks of aliased fields. monday.com answers a chunk with partial data
+ * when some of its mutations fail, which mondayClient surfaces as an error carrying the response;
+ * each alias is then matched with either its data or the error whose `path` names it. Chunks go
+ * out one after the other through the shared client, so they wait for the complexity budget like
+ * any other request. The client doesn't retry them, though: a throttled chunk may be partly
+ * applied, and sending it again would move, archive or delete those items twice. Only the
+ * mutations that were throttled themselves (or all of them, when the request got no data back)
+ * are sent again, after a backoff.
+ */
+
+// Attempts after a chunk's first send, and the backoff before each (doubling up to the ceiling)
+const MAX_BULK_RETRIES = 5;
+const BULK_RETRY_BASE_DELAY_MS = 1000;
+const BULK_RETRY_MAX_DELAY_MS = 30000;
+
+const getErrorMessage = (error) => String(error && error.message ? error.message : 'Unknown error').replace(/^mondayQueries: /, '');
+
+const waitForRetry = (delayMs, signal) => new Promise((resolve, reject) => {
+  const createAbortError = () => new DOMException('The bulk mutations were aborted.', 'AbortError');
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', handleAbort);
+    resolve();
+  }, delayMs);
+  if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Sends item mutations in batches and reports the outcome of each one.
+ *
+ * @param {function} request - `queryMonday` from useMondayAPI.
+ * @param {Array<object>} mutations - Mutations as accepted by BULK_ITEM_MUTATIONS_QUERY.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the chunks not sent yet.
+ * @param {function(number, number)} [options.onProgress] - Called with the number of settled and total mutations.
+ * @returns {Promise<Array<{isSuccessful: boolean, error: string|null}>>} One result per mutation, in order.
+ */
+export const runBulkMutations = async (request, mutations, { signal, onProgress } = {}) => {
+  const results = new Array(mutations.length);
+
+  // Invalid input fails its own mutation up front instead of the whole chunk it would land in
+  const validIndexes = [];
+  mutations.forEach((mutation, index) => {
+    try {
+      BULK_ITEM_MUTATIONS_QUERY([mutation]);
+      validIndexes.push(index);
+    } catch (error) {
+      results[index] = { isSuccessful: false, error: getErrorMessage(error) };
+    }
+  });
+
+  let settledCount = mutations.length - validIndexes.length;
+  for (let start = 0; start < validIndexes.length; start += MAX_BULK_MUTATIONS_PER_REQUEST) {
+    let pendingIndexes = validIndexes.slice(start, start + MAX_BULK_MUTATIONS_PER_REQUEST);
+    for (let attempt = 0; pendingIndexes.length > 0; attempt += 1) {
+      if (attempt > 0) {
+        await waitForRetry(Math.min(BULK_RETRY_MAX_DELAY_MS, BULK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)), signal);
+      }
+
+      let data = null;
+      let errors = [];
+      let requestError = null;
+      try {
+        data = await request(BULK_ITEM_MUTATIONS_QUERY(pendingIndexes.map(index => mutations[index])), {}, { signal, retry: false });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        data = error.response && error.response.data;
+        errors = error.errors || [];
+        requestError = error;
+      }
+
+      const retryIndexes = [];
+      pendingIndexes.forEach((mutationIndex, aliasIndex) => {
+        const alias = `m${aliasIndex}`;
+        if (data && data[alias]) {
+          results[mutationIndex] = { isSuccessful: true, error: null };
+          return;
+        }
+        const aliasError = errors.find(e => Array.isArray(e.path) && e.path[0] === alias);
+        // Without data or an error of its own, a mutation can only be known not to have run when the whole request failed
+        const isRetryable = aliasError ? isRetryableError(aliasError) : (!data && requestError !== null && isRetryableError(requestError));
+        if (isRetryable && attempt < MAX_BULK_RETRIES) {
+          retryIndexes.push(mutationIndex);
+          return;
+        }
+        results[mutationIndex] = {
+          isSuccessful: false,
+          error: getErrorMessage(aliasError || requestError || { message: 'No result was returned' }),
+        };
+      });
+
+      settledCount += pendingIndexes.length - retryIndexes.length;
+      if (typeof onProgress === 'function') {
+        onProgress(settledCount, mutations.length);
+      }
+      pendingIndexes = retryIndexes;
+    }
+  }
+
+  return results;
+};
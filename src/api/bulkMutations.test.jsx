@@ -0,0 +1,128 @@
+// src/api/bulkMutations.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { runBulkMutations } from './bulkMutations';
+import { MAX_BULK_MUTATIONS_PER_REQUEST } from './mondayQueries';
+
+// mondayClient creates the shared client from the SDK when it's imported
+vi.mock('monday-sdk-js', () => ({ default: () => ({}) }));
+
+const archive = (itemId) => ({ type: 'archive_item', itemId: String(itemId) });
+
+const throttled = (alias) => ({ message: 'Rate limit exceeded', path: [alias], extensions: { code: 'RATE_LIMIT_EXCEEDED' } });
+
+const failed = (alias) => ({ message: 'Item not found', path: [alias], extensions: { code: 'InvalidItemIdException' } });
+
+// An error as mondayClient rejects it for a response carrying errors
+const responseError = (data, errors) => {
+  const error = new Error(errors.map(e => e.message).join('; '));
+  error.response = { data, errors };
+  error.errors = errors;
+  return error;
+};
+
+// Item IDs a request was sent for, in alias order
+const sentItemIds = (request, callIndex) => {
+  const { variables } = request.mock.calls[callIndex][0];
+  return Object.keys(variables).sort().map(key => variables[key]);
+};
+
+describe('runBulkMutations', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('sends mutations in chunks without the client retrying them', async () => {
+    const mutations = Array.from({ length: MAX_BULK_MUTATIONS_PER_REQUEST + 2 }, (_, index) => archive(index + 1));
+    const request = vi.fn(async ({ variables }) => Object.fromEntries(Object.keys(variables).map((key, index) => [`m${index}`, { id: variables[key] }])));
+    const onProgress = vi.fn();
+
+    const results = await runBulkMutations(request, mutations, { onProgress });
+
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(request.mock.calls[0][2]).toEqual({ signal: undefined, retry: false });
+    expect(results.every(result => result.isSuccessful)).toBe(true);
+    expect(onProgress.mock.calls).toEqual([[MAX_BULK_MUTATIONS_PER_REQUEST, mutations.length], [mutations.length, mutations.length]]);
+  });
+
+  it('fails invalid mutations up front and sends the rest', async () => {
+    const request = vi.fn(async () => ({ m0: { id: '2' } }));
+
+    const results = await runBulkMutations(request, [archive('not-an-id'), archive(2)]);
+
+    expect(sentItemIds(request, 0)).toEqual(['2']);
+    expect(results[0]).toEqual({ isSuccessful: false, error: 'Invalid itemId "not-an-id". Expected a numeric ID.' });
+    expect(results[1]).toEqual({ isSuccessful: true, error: null });
+  });
+
+  it('re-sends only the mutations that were throttled themselves', async () => {
+    const request = vi.fn()
+      .mockRejectedValueOnce(responseError({ m0: { id: '1' } }, [throttled('m1'), failed('m2')]))
+      .mockResolvedValueOnce({ m0: { id: '2' } });
+
+    const promise = runBulkMutations(request, [archive(1), archive(2), archive(3)]);
+    await vi.runAllTimersAsync();
+    const results = await promise;
+
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(sentItemIds(request, 1)).toEqual(['2']);
+    expect(results).toEqual([
+      { isSuccessful: true, error: null },
+      { isSuccessful: true, error: null },
+      { isSuccessful: false, error: 'Item not found' },
+    ]);
+  });
+
+  it('re-sends the whole chunk when a throttled request returned no data', async () => {
+    const request = vi.fn()
+      .mockRejectedValueOnce(responseError(null, [{ message: 'Complexity budget exhausted', extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED' } }]))
+      .mockResolvedValueOnce({ m0: { id: '1' }, m1: { id: '2' } });
+
+    const promise = runBulkMutations(request, [archive(1), archive(2)]);
+    await vi.runAllTimersAsync();
+    const results = await promise;
+
+    expect(sentItemIds(request, 1)).toEqual(['1', '2']);
+    expect(results.every(result => result.isSuccessful)).toBe(true);
+  });
+
+  it('does not re-send mutations whose outcome is unknown', async () => {
+    const request = vi.fn().mockRejectedValueOnce(responseError({ m0: { id: '1' } }, [{ message: 'Rate limit exceeded', extensions: { code: 'RATE_LIMIT_EXCEEDED' } }]));
+
+    const results = await runBulkMutations(request, [archive(1), archive(2)]);
+
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(results[0].isSuccessful).toBe(true);
+    expect(results[1]).toEqual({ isSuccessful: false, error: 'Rate limit exceeded' });
+  });
+
+  it('gives up after the last retry', async () => {
+    const request = vi.fn(async () => {
+      throw responseError({}, [throttled('m0')]);
+    });
+
+    const promise = runBulkMutations(request, [archive(1)]);
+    await vi.runAllTimersAsync();
+    const results = await promise;
+
+    expect(request).toHaveBeenCalledTimes(6);
+    expect(results).toEqual([{ isSuccessful: false, error: 'Rate limit exceeded' }]);
+  });
+
+  it('stops waiting for a retry once aborted', async () => {
+    const controller = new AbortController();
+    const request = vi.fn(async () => {
+      throw responseError({}, [throttled('m0')]);
+    });
+
+    const promise = runBulkMutations(request, [archive(1)], { signal: controller.signal });
+    const assertion = expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await assertion;
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
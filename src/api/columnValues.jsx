@@ -0,0 +1,96 @@
+// src/api/columnValues.js
+
+/*
+ * Conversions between the column values items are loaded with (`{ text, value }`, where `value`
+ * is the raw JSON monday.com stores) and the payloads change_column_value accepts. The two
+ * differ: stored values carry bookkeeping such as `changed_at`, and empty cells need an explicit
+ * "clear" payload.
+ */
+
+const parseStoredValue = (value) => {
+  if (value === null || typeof value === 'undefined' || String(value).trim() === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Returns the raw `{ id, kind }` entries (people and teams) stored in a person/people column value.
+ *
+ * @param {string|null} rawValue - The column's stored `value`.
+ * @returns {Array<{id: string|number, kind: string}>} The entries, empty when unassigned or unparsable.
+ */
+export const getPeopleEntries = (rawValue) => {
+  const stored = parseStoredValue(rawValue);
+  if (stored && Array.isArray(stored.personsAndTeams)) {
+    return stored.personsAndTeams;
+  }
+  return Array.isArray(stored) ? stored : [];
+};
+
+/**
+ * Returns the day stored in a date column value.
+ *
+ * @param {{text: string, value: string|null}|null} columnValue - The value as loaded with the item.
+ * @returns {string|null} The date as `YYYY-MM-DD`, or null when the cell is empty.
+ */
+export const getStoredDate = (columnValue) => {
+  const stored = parseStoredValue(columnValue ? columnValue.value : null);
+  if (stored && typeof stored.date === 'string' && stored.date !== '') {
+    return stored.date;
+  }
+  const text = columnValue && columnValue.text ? String(columnValue.text).trim() : '';
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+};
+
+/**
+ * Builds the change_column_value payload assigning exactly the given people and teams.
+ * people columns expect numeric IDs in personsAndTeams, and clear_all to remove everyone.
+ *
+ * @param {Array<{id: string|number, kind: string}>} entries - The assignees.
+ * @returns {string} The JSON payload string.
+ */
+export const buildPeoplePayload = (entries) => (
+  entries.length === 0
+    ? JSON.stringify({ clear_all: true })
+    : JSON.stringify({ personsAndTeams: entries.map(entry => ({ id: Number(entry.id), kind: entry.kind })) })
+);
+
+/**
+ * Builds the change_column_value payload that puts a column back to a previously loaded value,
+ * e.g. to undo an edit.
+ *
+ * @param {string} columnType - The column's type (status, text, numbers, long_text, date, people...).
+ * @param {{text: string, value: string|null}|null} columnValue - The value as loaded with the item.
+ * @returns {string|null} The JSON payload string, or null when the column type can't be restored.
+ */
+export const buildRestorePayload = (columnType, columnValue) => {
+  const stored = parseStoredValue(columnValue ? columnValue.value : null);
+
+  switch (columnType) {
+    case 'status':
+      if (stored && stored.index !== undefined && stored.index !== null) {
+        return JSON.stringify({ index: stored.index });
+      }
+      return JSON.stringify({ label: columnValue && columnValue.text ? columnValue.text : '' });
+    case 'text':
+    case 'numbers':
+      return JSON.stringify(typeof stored === 'string' || typeof stored === 'number' ? String(stored) : '');
+    case 'long_text':
+      return JSON.stringify({ text: stored && typeof stored.text === 'string' ? stored.text : '' });
+    case 'date':
+      if (stored && stored.date) {
+        return JSON.stringify(stored.time ? { date: stored.date, time: stored.time } : { date: stored.date });
+      }
+      return JSON.stringify({});
+    case 'person':
+    case 'people':
+      return buildPeoplePayload(stored && Array.isArray(stored.personsAndTeams) ? stored.personsAndTeams : []);
+    default:
+      return null;
+  }
+};
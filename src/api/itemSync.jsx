@@ -0,0 +1,141 @@
+// src/api/itemSync.js
+import { ACTIVITY_LOGS_LIMIT } from './mondayQueries';
+
+/*
+ * Helpers for incremental polls: reading the boards' activity logs (which items changed or left,
+ * which boards changed their columns) and merging refetched items into the displayed list.
+ */
+
+// Activity log events after which an item no longer belongs to the board that logged them
+const ITEM_REMOVAL_EVENTS = ['delete_pulse', 'archive_pulse', 'move_pulse_from_board', 'batch_delete_pulses', 'batch_archive_pulses'];
+
+// Activity log events that change a board's columns (added, removed, retyped or relabelled).
+// Column *value* changes are logged as update_column_value and don't affect the schema.
+const SCHEMA_CHANGE_EVENT_PATTERN = /^(create|delete|restore|update|change|rename)_column(?!_value)/;
+
+/**
+ * Reads the IDs of the items an activity log entry refers to.
+ * @param {object} log - One entry of a board's `activity_logs`; its `data` is a JSON string.
+ * @returns {string[]} The item IDs, or an empty array when the entry names none.
+ */
+const getActivityLogItemIds = (log) => {
+  try {
+    const data = typeof log.data === 'string' ? JSON.parse(log.data) : log.data;
+    const itemIds = [];
+    if (data && data.pulse_id) {
+      itemIds.push(String(data.pulse_id));
+    }
+    if (data && Array.isArray(data.pulse_ids)) {
+      data.pulse_ids.forEach(id => itemIds.push(String(id)));
+    }
+    return itemIds;
+  } catch (e) {
+    console.warn("itemSync: Could not parse activity log data:", log);
+    return [];
+  }
+};
+
+/**
+ * Collects the IDs of items that left their board (deleted, archived or moved away)
+ * according to the boards' activity logs.
+ * @param {object[]} boards - Boards with their `activity_logs`, as returned by GET_BOARD_ACTIVITY_LOGS_QUERY.
+ * @returns {Set<string>} The removed item IDs.
+ */
+export const getRemovedItemIds = (boards) => {
+  const removedIds = new Set();
+  boards.forEach(board => {
+    (board.activity_logs || []).forEach(log => {
+      if (!ITEM_REMOVAL_EVENTS.includes(log.event)) return;
+      getActivityLogItemIds(log).forEach(id => removedIds.add(id));
+    });
+  });
+  return removedIds;
+};
+
+/**
+ * Collects the IDs of items that were created, edited or moved into a board according to the
+ * boards' activity logs. An item can show up here and in getRemovedItemIds; refetching it tells which applies.
+ * @param {object[]} boards - Boards with their `activity_logs`, as returned by GET_BOARD_ACTIVITY_LOGS_QUERY.
+ * @returns {Set<string>} The changed item IDs.
+ */
+export const getChangedItemIds = (boards) => {
+  const changedIds = new Set();
+  boards.forEach(board => {
+    (board.activity_logs || []).forEach(log => {
+      if (ITEM_REMOVAL_EVENTS.includes(log.event)) return;
+      getActivityLogItemIds(log).forEach(id => changedIds.add(id));
+    });
+  });
+  return changedIds;
+};
+
+/**
+ * Collects the IDs of boards whose activity logs were cut off at ACTIVITY_LOGS_LIMIT,
+ * so changes beyond the last listed entry are unknown.
+ * @param {object[]} boards - Boards with their `activity_logs`, as returned by GET_BOARD_ACTIVITY_LOGS_QUERY.
+ * @returns {string[]} The board IDs.
+ */
+export const getBoardsWithTruncatedLogs = (boards) => boards
+  .filter(board => (board.activity_logs || []).length >= ACTIVITY_LOGS_LIMIT)
+  .map(board => String(board.id));
+
+/**
+ * Collects the IDs of boards whose activity logs show a column schema change.
+ * @param {object[]} boards - Boards with their `activity_logs`, as returned by GET_BOARD_ACTIVITY_LOGS_QUERY.
+ * @returns {Set<string>} The IDs of boards whose column metadata is stale.
+ */
+export const getBoardsWithSchemaChanges = (boards) => {
+  const boardIds = new Set();
+  boards.forEach(board => {
+    if ((board.activity_logs || []).some(log => SCHEMA_CHANGE_EVENT_PATTERN.test(log.event))) {
+      boardIds.add(String(board.id));
+    }
+  });
+  return boardIds;
+};
+
+/**
+ * Merges changed items into the current item list by ID. Removed items are dropped first,
+ * so an item moved between two selected boards ends up with its new board. Unchanged items
+ * keep their object identity, and the original list is returned when nothing changed.
+ * @param {object[]} currentItems - The items currently displayed.
+ * @param {object[]} changedItems - Fresh copies of items that were updated or created.
+ * @param {Set<string>} removedIds - IDs of items to drop.
+ * @param {boolean} [canAddItems=true] - Whether changed items not yet displayed are appended. Pass false
+ *   while the list is capped at maxItems, so refreshes don't grow it past the limit.
+ * @returns {object[]} The merged item list.
+ */
+export const mergeChangedItems = (currentItems, changedItems, removedIds, canAddItems = true) => {
+  const changedById = new Map(changedItems.map(item => [String(item.id), item]));
+  let hasChanges = false;
+
+  const mergedItems = [];
+  currentItems.forEach(item => {
+    const itemId = String(item.id);
+    const changedItem = changedById.get(itemId);
+    if (changedItem) {
+      changedById.delete(itemId);
+      if (JSON.stringify(changedItem) !== JSON.stringify(item)) {
+        hasChanges = true;
+        mergedItems.push(changedItem);
+        return;
+      }
+      mergedItems.push(item);
+    } else if (removedIds.has(itemId)) {
+      hasChanges = true;
+    } else {
+      mergedItems.push(item);
+    }
+  });
+
+  // Whatever is left wasn't displayed before: newly created or moved into a selected board
+  if (!canAddItems) {
+    return hasChanges ? mergedItems : currentItems;
+  }
+  changedById.forEach(item => {
+    hasChanges = true;
+    mergedItems.push(item);
+  });
+
+  return hasChanges ? mergedItems : currentItems;
+};
@@ -0,0 +1,99 @@
+// src/api/itemSync.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  getRemovedItemIds,
+  getChangedItemIds,
+  getBoardsWithTruncatedLogs,
+  getBoardsWithSchemaChanges,
+  mergeChangedItems,
+} from './itemSync';
+import { ACTIVITY_LOGS_LIMIT } from './mondayQueries';
+
+const log = (event, data) => ({ event, data: JSON.stringify(data), created_at: '17000000000000000' });
+
+const item = (id, name = `Item ${id}`, boardId = '1') => ({ id, name, boardId, column_values: [] });
+
+describe('getRemovedItemIds', () => {
+  it('collects items deleted, archived or moved away, single and batched', () => {
+    const boards = [
+      { id: '1', activity_logs: [log('delete_pulse', { pulse_id: 11 }), log('update_column_value', { pulse_id: 12 })] },
+      { id: '2', activity_logs: [log('batch_archive_pulses', { pulse_ids: [21, 22] }), log('move_pulse_from_board', { pulse_id: 23 })] },
+    ];
+    expect(getRemovedItemIds(boards)).toEqual(new Set(['11', '21', '22', '23']));
+  });
+
+  it('skips entries whose data is not valid JSON', () => {
+    const boards = [{ id: '1', activity_logs: [{ event: 'delete_pulse', data: '{oops' }, log('archive_pulse', { pulse_id: 5 })] }];
+    expect(getRemovedItemIds(boards)).toEqual(new Set(['5']));
+  });
+
+  it('handles boards without logs', () => {
+    expect(getRemovedItemIds([{ id: '1' }])).toEqual(new Set());
+  });
+});
+
+describe('getChangedItemIds', () => {
+  it('collects items named by every event except removals', () => {
+    const boards = [{
+      id: '1',
+      activity_logs: [
+        log('create_pulse', { pulse_id: 1 }),
+        log('update_column_value', { pulse_id: 2 }),
+        log('move_pulse_into_board', { pulse_id: 3 }),
+        log('delete_pulse', { pulse_id: 4 }),
+        log('create_column', { column_id: 'status' }),
+      ],
+    }];
+    expect(getChangedItemIds(boards)).toEqual(new Set(['1', '2', '3']));
+  });
+});
+
+describe('getBoardsWithTruncatedLogs', () => {
+  it('returns the boards whose logs reached the limit', () => {
+    const fullLogs = Array.from({ length: ACTIVITY_LOGS_LIMIT }, (_, index) => log('update_name', { pulse_id: index }));
+    const boards = [{ id: 1, activity_logs: fullLogs }, { id: 2, activity_logs: fullLogs.slice(1) }, { id: 3 }];
+    expect(getBoardsWithTruncatedLogs(boards)).toEqual(['1']);
+  });
+});
+
+describe('getBoardsWithSchemaChanges', () => {
+  it('flags column changes but not column value changes', () => {
+    const boards = [
+      { id: 1, activity_logs: [log('create_column', {})] },
+      { id: 2, activity_logs: [log('update_column_value', { pulse_id: 1 })] },
+      { id: 3, activity_logs: [log('update_column_settings', {})] },
+    ];
+    expect(getBoardsWithSchemaChanges(boards)).toEqual(new Set(['1', '3']));
+  });
+});
+
+describe('mergeChangedItems', () => {
+  it('returns the same list when nothing changed', () => {
+    const currentItems = [item('1'), item('2')];
+    expect(mergeChangedItems(currentItems, [item('2')], new Set())).toBe(currentItems);
+  });
+
+  it('replaces changed items in place and keeps the others by identity', () => {
+    const first = item('1');
+    const merged = mergeChangedItems([first, item('2'), item('3')], [item('2', 'Renamed')], new Set());
+    expect(merged.map(current => current.name)).toEqual(['Item 1', 'Renamed', 'Item 3']);
+    expect(merged[0]).toBe(first);
+  });
+
+  it('drops removed items unless they came back changed', () => {
+    const merged = mergeChangedItems([item('1'), item('2'), item('3')], [item('3', 'Moved', '2')], new Set(['1', '3']));
+    expect(merged).toEqual([item('2'), item('3', 'Moved', '2')]);
+  });
+
+  it('appends items that were not displayed yet', () => {
+    const merged = mergeChangedItems([item('1')], [item('2')], new Set());
+    expect(merged.map(current => current.id)).toEqual(['1', '2']);
+  });
+
+  it('does not append new items when adding is off', () => {
+    const currentItems = [item('1')];
+    expect(mergeChangedItems(currentItems, [item('2')], new Set(), false)).toBe(currentItems);
+    const merged = mergeChangedItems(currentItems, [item('1', 'Renamed'), item('2')], new Set(), false);
+    expect(merged).toEqual([item('1', 'Renamed')]);
+  });
+});
@@ -0,0 +1,301 @@
+// src/api/mondayClient.js
+import mondaySdk from 'monday-sdk-js';
+
+/*
+ * Single entry point for every monday.com API call made by the app.
+ *
+ * The client owns:
+ *  - a FIFO queue with a concurrency cap, so bursts of requests don't trip the
+ *    per-account concurrency limit;
+ *  - the complexity budget reported by the API. Every operation is sent with a
+ *    `complexity { before after reset_in_x_seconds }` selection, and once the
+ *    remaining budget drops below a reserve, queued requests are held until the
+ *    budget resets instead of being rejected by monday.com;
+ *  - retries with exponential backoff and full jitter for rate limit, complexity
+ *    and concurrency errors. Requests sent with `retry: false` opt out: bulk
+ *    mutations do, since re-sending a partly applied chunk would repeat its
+ *    mutations, and retry only the ones that failed themselves;
+ *  - cancellation: a request given an aborted AbortSignal leaves the queue (or has its
+ *    response discarded if already sent) and rejects with an AbortError.
+ */
+
+const DEFAULT_OPTIONS = {
+  // Maximum number of requests in flight at once
+  maxConcurrency: 3,
+  // Retry attempts after the first failure
+  maxRetries: 5,
+  // Backoff base and ceiling, in milliseconds
+  baseDelay: 1000,
+  maxDelay: 30000,
+  // Hold requests back once the remaining complexity budget falls below this
+  complexityReserve: 500000,
+};
+
+// Error codes monday.com uses for throttling responses
+const RETRYABLE_ERROR_CODES = [
+  'ComplexityException',
+  'COMPLEXITY_BUDGET_EXHAUSTED',
+  'RATE_LIMIT_EXCEEDED',
+  'IP_RATE_LIMIT_EXCEEDED',
+  'maxConcurrencyExceeded',
+  'FIELD_LIMIT_EXCEEDED',
+];
+
+const RETRYABLE_MESSAGE_PATTERN = /rate limit|concurrency limit|complexity budget|ComplexityException/i;
+const RESET_IN_SECONDS_PATTERN = /reset in (\d+) seconds?/i;
+
+const COMPLEXITY_SELECTION = ' complexity { before after reset_in_x_seconds } ';
+
+/**
+ * Adds the complexity selection to the top level of a GraphQL operation, unless the
+ * operation already asks for it.
+ *
+ * @param {string} query - The GraphQL operation.
+ * @returns {string} The operation including the complexity selection.
+ */
+const withComplexity = (query) => {
+  const selectionStart = query.indexOf('{');
+  if (selectionStart === -1 || /\bcomplexity\s*{/.test(query)) {
+    return query;
+  }
+  return query.slice(0, selectionStart + 1) + COMPLEXITY_SELECTION + query.slice(selectionStart + 1);
+};
+
+/**
+ * Builds an Error from a GraphQL response that carries errors. The response and the
+ * individual errors are attached so callers can inspect them.
+ *
+ * @param {object} response - The raw API response.
+ * @returns {Error} The error.
+ */
+const createResponseError = (response) => {
+  const messages = response.errors
+    ? response.errors.map(e => e.message)
+    : [response.error_message || 'Unknown monday.com API error'];
+  const error = new Error(messages.join('; '));
+  error.response = response;
+  error.errors = response.errors || [];
+  return error;
+};
+
+const createAbortError = () => new DOMException('The monday.com request was aborted.', 'AbortError');
+
+/**
+ * Decides whether a failed request is worth retrying and how long the API asked us to wait.
+ *
+ * @param {Error} error - The error thrown by monday.api or built from the response.
+ * @returns {{isRetryable: boolean, retryAfterMs: number}}
+ */
+const classifyError = (error) => {
+  const response = error.response || {};
+  const errors = error.errors || response.errors || [];
+  const codes = [
+    response.error_code,
+    ...errors.map(e => e.extensions && e.extensions.code),
+  ].filter(Boolean);
+
+  const isRetryable =
+    codes.some(code => RETRYABLE_ERROR_CODES.includes(code)) ||
+    response.status === 429 ||
+    response.status_code === 429 ||
+    RETRYABLE_MESSAGE_PATTERN.test(error.message || '');
+
+  let retryAfterSeconds = 0;
+  errors.forEach(e => {
+    const seconds = e.extensions && e.extensions.retry_in_seconds;
+    if (seconds) {
+      retryAfterSeconds = Math.max(retryAfterSeconds, seconds);
+    }
+  });
+  const resetMatch = String(error.message || '').match(RESET_IN_SECONDS_PATTERN);
+  if (resetMatch) {
+    retryAfterSeconds = Math.max(retryAfterSeconds, parseInt(resetMatch[1], 10));
+  }
+
+  return { isRetryable, retryAfterMs: retryAfterSeconds * 1000 };
+};
+
+/**
+ * Whether a failed request, or one error out of a response's `errors`, is a throttling error
+ * worth sending again later.
+ *
+ * @param {Error|object} error - An error rejected by the client, or a GraphQL error object.
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => (
+  classifyError(error.extensions ? { message: error.message, errors: [error] } : error).isRetryable
+);
+
+/**
+ * Creates a monday.com API client with its own queue and complexity budget.
+ *
+ * @param {object} monday - An initialized monday SDK instance.
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {{request: function(string|{query: string, variables: object}, object=): Promise<object>}}
+ */
+export const createMondayClient = (monday, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  const queue = [];
+  let activeCount = 0;
+  // Requests are held back until this timestamp (budget exhausted or API asked us to wait)
+  let pausedUntil = 0;
+  let wakeTimer = null;
+
+  const backoffDelay = (attempt) => {
+    const ceiling = Math.min(settings.maxDelay, settings.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  };
+
+  const pauseUntil = (timestamp) => {
+    pausedUntil = Math.max(pausedUntil, timestamp);
+  };
+
+  const recordComplexity = (complexity) => {
+    if (!complexity || typeof complexity.after !== 'number') {
+      return;
+    }
+    if (complexity.after < settings.complexityReserve) {
+      const resetInMs = (complexity.reset_in_x_seconds || 1) * 1000;
+      console.warn(`mondayClient: Complexity budget low (${complexity.after} left), holding requests for ${resetInMs / 1000}s.`);
+      pauseUntil(Date.now() + resetInMs);
+    }
+  };
+
+  const release = () => {
+    activeCount -= 1;
+    pump();
+  };
+
+  const pump = () => {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      if (!wakeTimer) {
+        wakeTimer = setTimeout(() => {
+          wakeTimer = null;
+          pump();
+        }, pausedUntil - now);
+      }
+      return;
+    }
+
+    while (activeCount < settings.maxConcurrency && queue.length > 0) {
+      const entry = queue.shift();
+      activeCount += 1;
+      execute(entry).finally(release);
+    }
+  };
+
+  const enqueue = (entry) => {
+    queue.push(entry);
+    pump();
+  };
+
+  const execute = async (entry) => {
+    if (entry.isSettled) {
+      // Aborted while queued or waiting for a retry
+      return;
+    }
+
+    try {
+      const response = await monday.api(entry.query, { variables: entry.variables });
+
+      if (entry.isSettled) {
+        // Aborted while in flight: the budget was still spent, but the data is no longer wanted
+        recordComplexity(response && response.data && response.data.complexity);
+        return;
+      }
+
+      if (!response || response.errors || response.error_code) {
+        throw createResponseError(response || {});
+      }
+
+      const { complexity, ...data } = response.data || {};
+      recordComplexity(complexity);
+      entry.resolve(data);
+    } catch (error) {
+      if (entry.isSettled) {
+        return;
+      }
+      const { isRetryable, retryAfterMs } = classifyError(error);
+      if (isRetryable && retryAfterMs > 0) {
+        // The API told us the whole account has to wait, not just this request
+        pauseUntil(Date.now() + retryAfterMs);
+      }
+
+      if (isRetryable && entry.attempt < entry.maxRetries) {
+        const delay = Math.max(retryAfterMs, backoffDelay(entry.attempt));
+        entry.attempt += 1;
+        console.warn(`mondayClient: Request throttled, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${entry.attempt} of ${entry.maxRetries}).`);
+        entry.retryTimer = setTimeout(() => enqueue(entry), delay);
+        return;
+      }
+
+      console.error("mondayClient: Error with request Monday API:", error);
+      entry.reject(error);
+    }
+  };
+
+  /**
+   * Queues a request.
+   *
+   * @param {string|{query: string, variables: object}} operation - A query string or a builder
+   *   result from mondayQueries.
+   * @param {object} [variables] - Variables merged over the builder's own.
+   * @param {object} [requestOptions]
+   * @param {AbortSignal} [requestOptions.signal] - Cancels the request when aborted.
+   * @param {boolean} [requestOptions.retry=true] - Whether throttling errors are retried; when false
+   *   they are rejected right away (the account-wide pause the API asked for still applies).
+   * @returns {Promise<object>} Resolves with the response `data` (without `complexity`).
+   */
+  const request = (operation, variables = {}, { signal, retry = true } = {}) => {
+    const query = typeof operation === 'string' ? operation : operation.query;
+    const mergedVariables = typeof operation === 'string' ? variables : { ...operation.variables, ...variables };
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const entry = {
+        query: withComplexity(query),
+        variables: mergedVariables,
+        attempt: 0,
+        maxRetries: retry ? settings.maxRetries : 0,
+        isSettled: false,
+        retryTimer: null,
+      };
+      const handleAbort = () => {
+        if (entry.isSettled) return;
+        entry.isSettled = true;
+        clearTimeout(entry.retryTimer);
+        const queuedIndex = queue.indexOf(entry);
+        if (queuedIndex !== -1) {
+          queue.splice(queuedIndex, 1);
+        }
+        reject(createAbortError());
+      };
+      entry.resolve = (data) => {
+        entry.isSettled = true;
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        resolve(data);
+      };
+      entry.reject = (error) => {
+        entry.isSettled = true;
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        reject(error);
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', handleAbort);
+      }
+      enqueue(entry);
+    });
+  };
+
+  return { request };
+};
+
+// Shared client: the queue and the complexity budget are per account, so the whole app uses one instance
+export const mondayClient = createMondayClient(mondaySdk());
@@ -1,5 +1,213 @@
 // src/api/mondayQueries.js
 
+/*
+ * Every query or mutation that takes input is built from a fixed GraphQL document plus
+ * typed variables. Builders validate their arguments and return `{ query, variables }`,
+ * which `useMondayAPI.queryMonday` accepts directly. Nothing user-controlled is ever
+ * spliced into the query text.
+ */
+
+const ID_PATTERN = /^\d+$/;
+const COLUMN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// monday.com caps item names at 255 characters
+const MAX_ITEM_NAME_LENGTH = 255;
+// monday.com refuses items_page/next_items_page limits above 500
+const MAX_PAGE_LIMIT = 500;
+// Largest number of users or teams requested in one directory lookup
+export const MAX_DIRECTORY_BATCH_SIZE = 100;
+// Number of users returned by one people picker search
+const USER_SEARCH_LIMIT = 20;
+const MAX_SEARCH_TEXT_LENGTH = 100;
+// Largest number of boards whose items are requested in one boards(ids: [...]) query
+export const MAX_BOARDS_PER_ITEMS_QUERY = 25;
+// Largest number of item mutations sent in one bulk request
+export const MAX_BULK_MUTATIONS_PER_REQUEST = 25;
+// Largest number of items whose update counts are requested at once (items(ids) caps its limit at 100)
+export const MAX_ITEMS_PER_UPDATE_COUNTS_QUERY = 100;
+// Largest number of items requested in one GET_ITEMS_BY_IDS_QUERY, for the same reason
+export const MAX_ITEMS_PER_IDS_QUERY = 100;
+// Activity log entries returned per board; a board that hits it may have more changes than listed
+export const ACTIVITY_LOGS_LIMIT = 1000;
+// Updates counted per item for the table badge; items with more show "25+"
+export const MAX_COUNTED_UPDATES = 25;
+// Updates loaded in the updates panel, newest first
+const UPDATES_PANEL_LIMIT = 50;
+// monday.com rejects update bodies over 20,000 characters
+const MAX_UPDATE_BODY_LENGTH = 20000;
+
+/**
+ * Validates a monday.com ID (board, item, user...) and normalizes it to a string.
+ *
+ * @param {string|number} value - The ID to validate.
+ * @param {string} name - Argument name used in the error message.
+ * @returns {string} The ID as a string.
+ */
+const validateId = (value, name) => {
+  const id = String(value ?? '').trim();
+  if (!ID_PATTERN.test(id)) {
+    throw new Error(`mondayQueries: Invalid ${name} "${value}". Expected a numeric ID.`);
+  }
+  return id;
+};
+
+/**
+ * Validates a list of monday.com IDs.
+ *
+ * @param {Array<string|number>} values - The IDs to validate.
+ * @param {string} name - Argument name used in the error message.
+ * @returns {string[]} The IDs as strings.
+ */
+const validateIdList = (values, name) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error(`mondayQueries: ${name} must be a non-empty array of IDs.`);
+  }
+  return values.map(value => validateId(value, name));
+};
+
+/**
+ * Validates a column ID. Column IDs are short slugs such as "status", "person" or "date4".
+ *
+ * @param {string} value - The column ID to validate.
+ * @param {string} [name='columnId'] - Argument name used in the error message.
+ * @returns {string} The column ID.
+ */
+const validateColumnId = (value, name = 'columnId') => {
+  if (typeof value !== 'string' || !COLUMN_ID_PATTERN.test(value)) {
+    throw new Error(`mondayQueries: Invalid ${name} "${value}".`);
+  }
+  return value;
+};
+
+/**
+ * Validates a list of column IDs.
+ *
+ * @param {string[]} values - The column IDs to validate.
+ * @returns {string[]} The column IDs.
+ */
+const validateColumnIds = (values) => {
+  if (!Array.isArray(values)) {
+    throw new Error('mondayQueries: columnIds must be an array.');
+  }
+  return values.map(value => validateColumnId(value, 'columnIds entry'));
+};
+
+/**
+ * Validates a page size for items_page/next_items_page.
+ *
+ * @param {number} value - The requested page size.
+ * @returns {number} The page size.
+ */
+const validateLimit = (value) => {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_LIMIT) {
+    throw new Error(`mondayQueries: Invalid limit "${value}". Expected an integer between 1 and ${MAX_PAGE_LIMIT}.`);
+  }
+  return value;
+};
+
+/**
+ * Validates that a value is a string holding valid JSON, as the `JSON!` scalar expects.
+ *
+ * @param {string} value - The JSON string to validate.
+ * @param {string} name - Argument name used in the error message.
+ * @returns {string} The JSON string.
+ */
+const validateJsonString = (value, name) => {
+  if (typeof value !== 'string') {
+    throw new Error(`mondayQueries: ${name} must be a JSON string.`);
+  }
+  try {
+    JSON.parse(value);
+  } catch (e) {
+    throw new Error(`mondayQueries: ${name} is not valid JSON.`);
+  }
+  return value;
+};
+
+/**
+ * Validates a move_item_to_board column mapping: every source column paired with a target column,
+ * or with null to drop its values.
+ *
+ * @param {Array<{source: string, target: string|null}>} value - The mapping.
+ * @returns {Array<{source: string, target: string|null}>} The mapping.
+ */
+const validateColumnsMapping = (value) => {
+  if (!Array.isArray(value)) {
+    throw new Error('mondayQueries: columnsMapping must be an array.');
+  }
+  return value.map(entry => ({
+    source: validateColumnId(entry && entry.source, 'columnsMapping source'),
+    target: entry.target === null ? null : validateColumnId(entry.target, 'columnsMapping target'),
+  }));
+};
+
+/**
+ * Validates an `ItemsQuery` object ({ rules, operator }) for items_page.
+ *
+ * @param {object|null} value - The query params, or null for none.
+ * @returns {object|null} The query params.
+ */
+const validateQueryParams = (value) => {
+  if (value === null || typeof value === 'undefined') {
+    return null;
+  }
+  if (typeof value !== 'object' || !Array.isArray(value.rules)) {
+    throw new Error('mondayQueries: queryParams must be an object with a rules array.');
+  }
+  value.rules.forEach(rule => validateColumnId(rule && rule.column_id, 'queryParams rule column_id'));
+  return value;
+};
+
+/**
+ * Validates free text used to search by name.
+ *
+ * @param {string} value - The search text.
+ * @returns {string|null} The trimmed text, or null when empty.
+ */
+const validateSearchText = (value) => {
+  if (value !== null && typeof value !== 'undefined' && typeof value !== 'string') {
+    throw new Error('mondayQueries: Search text must be a string.');
+  }
+  const text = (value || '').trim();
+  if (text.length > MAX_SEARCH_TEXT_LENGTH) {
+    throw new Error(`mondayQueries: Search text cannot be longer than ${MAX_SEARCH_TEXT_LENGTH} characters.`);
+  }
+  return text === '' ? null : text;
+};
+
+/**
+ * Validates an item name.
+ *
+ * @param {string} value - The item name to validate.
+ * @returns {string} The trimmed item name.
+ */
+const validateItemName = (value) => {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (name === '') {
+    throw new Error('mondayQueries: Item name cannot be empty.');
+  }
+  if (name.length > MAX_ITEM_NAME_LENGTH) {
+    throw new Error(`mondayQueries: Item name cannot be longer than ${MAX_ITEM_NAME_LENGTH} characters.`);
+  }
+  return name;
+};
+
+/**
+ * Validates the text of an update or reply.
+ *
+ * @param {string} value - The update body.
+ * @returns {string} The trimmed body.
+ */
+const validateUpdateBody = (value) => {
+  const body = typeof value === 'string' ? value.trim() : '';
+  if (body === '') {
+    throw new Error('mondayQueries: Update cannot be empty.');
+  }
+  if (body.length > MAX_UPDATE_BODY_LENGTH) {
+    throw new Error(`mondayQueries: Update cannot be longer than ${MAX_UPDATE_BODY_LENGTH} characters.`);
+  }
+  return body;
+};
+
 /**
  * GraphQL query to fetch all boards.
  * Returns board IDs and names.
@@ -14,43 +222,57 @@ export const GET_BOARDS_QUERY = `
 `;
 
 /**
- * GraphQL query to fetch columns for all boards, including column settings.
- * The 'settings_str' field is crucial for parsing status column labels and colors.
- * Returns board IDs, names, and for each board, column IDs, titles, types, and settings.
+ * GraphQL query to fetch the account slug, used to build links to boards and user profiles.
  */
-export const GET_BOARD_COLUMNS_QUERY = `
+export const GET_ACCOUNT_QUERY = `
   query {
-    boards {
-      id
-      name
-      columns {
-        id
-        title
-        type
-        settings_str
-      }
+    account {
+      slug
     }
   }
 `;
 
 /**
- * GraphQL query to fetch items for a specific board with values for selected columns.
- * Includes a limit to prevent excessively large responses.
+ * GraphQL query to fetch columns for the given boards, including column settings.
+ * The 'settings_str' field is crucial for parsing status column labels and colors.
+ * Returns board IDs, names, and for each board, column IDs, titles, types, and settings, plus its groups.
  *
- * @param {string} boardId - The ID of the board to query.
- * @param {string[]} columnIds - An array of column IDs to fetch values for.
- * @returns {string} The GraphQL query string.
+ * @param {string[]} boardIds - The IDs of the boards to fetch columns for.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
  */
-export const GET_BOARD_ITEMS_WITH_COLUMNS_QUERY = (boardId, columnIds) => {
-  return `
-    query {
-      boards(ids: [${boardId}]) {
+export const GET_BOARD_COLUMNS_QUERY = (boardIds) => ({
+  query: `
+    query ($boardIds: [ID!]) {
+      boards(ids: $boardIds) {
         id
         name
-        items_page(limit: 500) {
-          items {
+        columns {
+          id
+          title
+          type
+          settings_str
+        }
+        groups {
+          id
+          title
+        }
+      }
+    }
+  `,
+  variables: {
+    boardIds: validateIdList(boardIds, 'boardIds'),
+  },
+});
+
+/**
+ * Shared item selection used by both the first page and the follow-up pages of a board's items.
+ * Expects a `$columnIds: [String!]` variable in the enclosing operation. `updated_at` changes with
+ * any activity on the item, new updates included, so a refreshed item shows up as changed.
+ */
+const ITEM_FIELDS = `
             id
             name
+            updated_at
             board {
               id
               name
@@ -59,38 +281,315 @@ export const GET_BOARD_ITEMS_WITH_COLUMNS_QUERY = (boardId, columnIds) => {
               id
               title
             }
-            column_values(ids: [${columnIds.map(id => `"${id}"`).join(',')}]) {
+            column_values(ids: $columnIds) {
               id
               text
               value
               # Removed display_value as it caused an API error
             }
+`;
+
+/**
+ * GraphQL query to fetch the first page of items for one or more boards with values for selected columns.
+ * Each board gets its own `items_page`; its `cursor` is null once that board is exhausted, otherwise
+ * pass it to GET_NEXT_ITEMS_PAGE_QUERY to continue (the cursor remembers `queryParams`).
+ * Query complexity grows with the number of boards, so callers batch large selections.
+ *
+ * @param {string[]} boardIds - The IDs of the boards to query (at most MAX_BOARDS_PER_ITEMS_QUERY).
+ * @param {string[]} columnIds - An array of column IDs to fetch values for.
+ * @param {number} [limit=500] - Page size per board (monday.com caps this at 500).
+ * @param {object|null} [queryParams=null] - Optional `ItemsQuery` ({ rules, operator }) to filter items server-side.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_BOARD_ITEMS_WITH_COLUMNS_QUERY = (boardIds, columnIds, limit = MAX_PAGE_LIMIT, queryParams = null) => {
+  const validBoardIds = validateIdList(boardIds, 'boardIds');
+  if (validBoardIds.length > MAX_BOARDS_PER_ITEMS_QUERY) {
+    throw new Error(`mondayQueries: At most ${MAX_BOARDS_PER_ITEMS_QUERY} boards can be queried for items at once.`);
+  }
+
+  return {
+    query: `
+      query ($boardIds: [ID!], $boardLimit: Int!, $columnIds: [String!], $limit: Int!, $queryParams: ItemsQuery) {
+        boards(ids: $boardIds, limit: $boardLimit) {
+          id
+          name
+          items_page(limit: $limit, query_params: $queryParams) {
+            cursor
+            items {${ITEM_FIELDS}          }
           }
         }
       }
+    `,
+    variables: {
+      boardIds: validBoardIds,
+      boardLimit: validBoardIds.length,
+      columnIds: validateColumnIds(columnIds),
+      limit: validateLimit(limit),
+      queryParams: validateQueryParams(queryParams),
+    },
+  };
+};
+
+/**
+ * GraphQL query to fetch specific items by ID with values for selected columns.
+ * Used to refresh only the items named in a live board event or in the boards' activity logs.
+ * Archived and deleted items aren't returned. At most MAX_ITEMS_PER_IDS_QUERY IDs per request.
+ *
+ * @param {string[]} itemIds - The IDs of the items to query.
+ * @param {string[]} columnIds - An array of column IDs to fetch values for.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_ITEMS_BY_IDS_QUERY = (itemIds, columnIds) => ({
+  query: `
+    query ($itemIds: [ID!], $columnIds: [String!]) {
+      items(ids: $itemIds, limit: ${MAX_ITEMS_PER_IDS_QUERY}, exclude_nonactive: true) {${ITEM_FIELDS}      }
+    }
+  `,
+  variables: {
+    itemIds: validateIdList(itemIds, 'itemIds'),
+    columnIds: validateColumnIds(columnIds),
+  },
+});
+
+/**
+ * GraphQL query to fetch the subitems of the given items.
+ * Subitems live on their own subitems board, whose column IDs differ from the parent board's, so
+ * every column value is returned together with that board's column definitions.
+ *
+ * @param {string[]} parentItemIds - The IDs of the parent items.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_SUBITEMS_QUERY = (parentItemIds) => ({
+  query: `
+    query ($itemIds: [ID!]) {
+      items(ids: $itemIds) {
+        id
+        subitems {
+          id
+          name
+          board {
+            id
+            name
+            columns {
+              id
+              title
+              type
+              settings_str
+            }
+          }
+          column_values {
+            id
+            text
+            value
+          }
+        }
+      }
+    }
+  `,
+  variables: {
+    itemIds: validateIdList(parentItemIds, 'parentItemIds'),
+  },
+});
+
+/**
+ * Builds the `ItemsQuery` that selects items updated on or after a given moment.
+ * monday.com compares `__last_updated__` by calendar day (UTC), so the result can include
+ * items updated earlier that day; callers are expected to diff what comes back. Polls only use
+ * it for boards whose activity logs were cut off at ACTIVITY_LOGS_LIMIT.
+ *
+ * @param {Date} since - Items updated on or after this moment are returned.
+ * @returns {object} The `ItemsQuery` value for GET_BOARD_ITEMS_WITH_COLUMNS_QUERY.
+ */
+export const UPDATED_SINCE_QUERY_PARAMS = (since) => {
+  if (!(since instanceof Date) || isNaN(since.getTime())) {
+    throw new Error('mondayQueries: since must be a valid Date.');
+  }
+  return {
+    rules: [{
+      column_id: '__last_updated__',
+      compare_value: ['EXACT', since.toISOString().slice(0, 10)],
+      operator: 'greater_than_or_equals',
+      compare_attribute: 'UPDATED_AT',
+    }],
+  };
+};
+
+// Filter values the table uses for "nothing set" in status and people columns
+const NO_STATUS_FILTER_VALUE = 'No status';
+const NO_USER_FILTER_VALUE = 'No user';
+
+/**
+ * Builds the rule for one status column filter, or null when the selection can't be expressed
+ * server-side (a mix of "No status" and labels, or labels this board doesn't have).
+ *
+ * @param {object} column - The board's column metadata, with `settings_str`.
+ * @param {string[]} selectedLabels - Selected label texts, possibly including "No status".
+ * @returns {object|null} The `ItemsQueryRule`, or null.
+ */
+const buildStatusRule = (column, selectedLabels) => {
+  if (selectedLabels.includes(NO_STATUS_FILTER_VALUE)) {
+    return selectedLabels.length === 1 ? { column_id: column.id, compare_value: [], operator: 'is_empty' } : null;
+  }
+  let labels = {};
+  try {
+    labels = JSON.parse(column.settings_str || '{}').labels || {};
+  } catch (e) {
+    return null;
+  }
+  const labelIndexes = Object.entries(labels)
+    .filter(([, label]) => selectedLabels.includes(label))
+    .map(([index]) => Number(index));
+  // Labels missing from this board are left to the client, rather than sending an impossible rule
+  if (labelIndexes.length !== selectedLabels.length) {
+    return null;
+  }
+  return { column_id: column.id, compare_value: labelIndexes, operator: 'any_of' };
+};
+
+/**
+ * Builds the rule for one people column filter, or null when the selection mixes "No user" with people
+ * or holds something other than user IDs.
+ *
+ * @param {object} column - The board's column metadata.
+ * @param {string[]} selectedValues - Selected user IDs, possibly including "No user".
+ * @returns {object|null} The `ItemsQueryRule`, or null.
+ */
+const buildPeopleRule = (column, selectedValues) => {
+  if (selectedValues.includes(NO_USER_FILTER_VALUE)) {
+    return selectedValues.length === 1 ? { column_id: column.id, compare_value: [], operator: 'is_empty' } : null;
+  }
+  if (!selectedValues.every(userId => ID_PATTERN.test(String(userId)))) {
+    return null;
+  }
+  return {
+    column_id: column.id,
+    compare_value: selectedValues.map(userId => `person-${userId}`),
+    operator: 'any_of',
+  };
+};
+
+/**
+ * Translates the table's active filters into an `ItemsQuery` for one board, so only matching
+ * items are transferred. Only filters the API can evaluate exactly are included: status and
+ * people selections. Everything else is left out and still filtered on the client, which always
+ * has the final say; a missing rule only means more items are transferred.
+ *
+ * Rules only see parent items, while the table also keeps a parent whose subitems match. Boards
+ * with subitems therefore get no rules, and neither does any board while "My Tasks" is on, since
+ * it applies to subitems as well.
+ *
+ * @param {object[]} boardColumns - The board's column metadata (id, type, settings_str).
+ * @param {string[]} columnIds - The columns loaded for each item.
+ * @param {Object<string, string[]>} activeFilters - Selected values per column ID, plus `current_user_filter`.
+ * @returns {object|null} The `ItemsQuery` ({ rules, operator }), or null when nothing can be filtered server-side.
+ */
+export const ACTIVE_FILTERS_QUERY_PARAMS = (boardColumns, columnIds, activeFilters) => {
+  const isMyTasksActive = Array.isArray(activeFilters?.current_user_filter) && activeFilters.current_user_filter.includes('true');
+  if (isMyTasksActive || boardColumns.some(col => col.type === 'subtasks')) {
+    return null;
+  }
+
+  const rules = [];
+  Object.entries(activeFilters || {}).forEach(([columnId, selectedValues]) => {
+    if (columnId === 'current_user_filter' || !Array.isArray(selectedValues) || selectedValues.length === 0) return;
+    // Filters on columns that aren't loaded are ignored by the table, so they're left out here too
+    const column = columnIds.includes(columnId) ? boardColumns.find(col => col.id === columnId) : null;
+    if (!column) return;
+
+    let rule = null;
+    if (column.type === 'status') {
+      rule = buildStatusRule(column, selectedValues);
+    } else if (column.type === 'people') {
+      rule = buildPeopleRule(column, selectedValues);
+    }
+    if (rule) {
+      rules.push(rule);
     }
-  `;
+  });
+
+  return rules.length > 0 ? { rules, operator: 'and' } : null;
+};
+
+/**
+ * GraphQL query to fetch activity log entries for several boards since a given moment.
+ * Used to find items that changed between polls, and those deleted, archived or moved away.
+ *
+ * @param {string[]} boardIds - The IDs of the boards to query.
+ * @param {Date} since - Only entries created at or after this moment are returned.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_BOARD_ACTIVITY_LOGS_QUERY = (boardIds, since) => {
+  if (!(since instanceof Date) || isNaN(since.getTime())) {
+    throw new Error('mondayQueries: since must be a valid Date.');
+  }
+
+  return {
+    query: `
+      query ($boardIds: [ID!], $from: ISO8601DateTime) {
+        boards(ids: $boardIds) {
+          id
+          activity_logs(from: $from, limit: ${ACTIVITY_LOGS_LIMIT}) {
+            event
+            data
+            created_at
+          }
+        }
+      }
+    `,
+    variables: {
+      boardIds: validateIdList(boardIds, 'boardIds'),
+      from: since.toISOString(),
+    },
+  };
+};
+
+/**
+ * GraphQL query to fetch the next page of items using a cursor returned by a previous page.
+ *
+ * @param {string} cursor - The cursor returned by `items_page` or a previous `next_items_page`.
+ * @param {string[]} columnIds - An array of column IDs to fetch values for.
+ * @param {number} [limit=500] - Page size (monday.com caps this at 500).
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_NEXT_ITEMS_PAGE_QUERY = (cursor, columnIds, limit = MAX_PAGE_LIMIT) => {
+  if (typeof cursor !== 'string' || cursor === '') {
+    throw new Error('mondayQueries: cursor must be a non-empty string.');
+  }
+
+  return {
+    query: `
+      query ($cursor: String!, $columnIds: [String!], $limit: Int!) {
+        next_items_page(cursor: $cursor, limit: $limit) {
+          cursor
+          items {${ITEM_FIELDS}        }
+        }
+      }
+    `,
+    variables: {
+      cursor,
+      columnIds: validateColumnIds(columnIds),
+      limit: validateLimit(limit),
+    },
+  };
 };
 
 /**
  * GraphQL mutation to update an item's name using the change_column_value mutation.
- * The 'name' column, being a text field, expects a JSON string value like '{"text": "Your New Name"}'.
+ * The 'name' column, being a text field, expects a JSON string value such as '"Your New Name"'.
  *
  * @param {string} boardId - The ID of the board.
  * @param {string} itemId - The ID of the item to update.
  * @param {string} newName - The new name for the item.
- * @returns {string} The GraphQL mutation string.
+ * @returns {{query: string, variables: object}} The GraphQL mutation and its variables.
  */
-export const UPDATE_ITEM_NAME_QUERY = (boardId, itemId, newName) => {
-  const valuePayload = JSON.stringify(newName);
-
-  return `
-    mutation {
+export const UPDATE_ITEM_NAME_QUERY = (boardId, itemId, newName) => ({
+  query: `
+    mutation ($boardId: ID!, $itemId: ID!, $value: JSON!) {
       change_column_value(
-        board_id: ${boardId},
-        item_id: ${itemId},
+        board_id: $boardId,
+        item_id: $itemId,
         column_id: "name",
-        value: ${JSON.stringify(valuePayload)}
+        value: $value
       ) {
         id
         name
@@ -100,8 +599,13 @@ export const UPDATE_ITEM_NAME_QUERY = (boardId, itemId, newName) => {
         }
       }
     }
-  `;
-};
+  `,
+  variables: {
+    boardId: validateId(boardId, 'boardId'),
+    itemId: validateId(itemId, 'itemId'),
+    value: JSON.stringify(validateItemName(newName)),
+  },
+});
 
 /**
  * GraphQL mutation to update the value of any column for an item.
@@ -115,16 +619,16 @@ export const UPDATE_ITEM_NAME_QUERY = (boardId, itemId, newName) => {
  * @param {string} columnId - The ID of the column to update.
  * @param {string} valuePayloadString - The stringified JSON payload representing the new column value.
  * E.g., `JSON.stringify({ label: "Done" })` for status.
- * @returns {string} The GraphQL mutation string.
+ * @returns {{query: string, variables: object}} The GraphQL mutation and its variables.
  */
-export const UPDATE_COLUMN_VALUE_QUERY = (boardId, itemId, columnId, valuePayloadString) => {
-  return `
-    mutation {
+export const UPDATE_COLUMN_VALUE_QUERY = (boardId, itemId, columnId, valuePayloadString) => ({
+  query: `
+    mutation ($boardId: ID!, $itemId: ID!, $columnId: String!, $value: JSON!) {
       change_column_value(
-        board_id: ${boardId},
-        item_id: ${itemId},
-        column_id: "${columnId}",
-        value: ${JSON.stringify(valuePayloadString)}
+        board_id: $boardId,
+        item_id: $itemId,
+        column_id: $columnId,
+        value: $value
       ) {
         id
         name
@@ -135,23 +639,289 @@ export const UPDATE_COLUMN_VALUE_QUERY = (boardId, itemId, columnId, valuePayloa
         }
       }
     }
-  `;
+  `,
+  variables: {
+    boardId: validateId(boardId, 'boardId'),
+    itemId: validateId(itemId, 'itemId'),
+    columnId: validateColumnId(columnId),
+    value: validateJsonString(valuePayloadString, 'valuePayloadString'),
+  },
+});
+
+/**
+ * GraphQL mutation to create an item, optionally in a given group and with initial column values.
+ * Returns the new item with the same fields as the items queries, so it can go straight into the table.
+ *
+ * @param {string} boardId - The ID of the board to create the item on.
+ * @param {string|null} groupId - The ID of the group, or null for the board's top group.
+ * @param {string} itemName - The new item's name.
+ * @param {Object<string, *>} columnValues - Initial values by column ID, each in the form change_column_value
+ * accepts once parsed (e.g. `{ status: { label: "Done" }, text: "Hello" }`).
+ * @param {string[]} columnIds - The column IDs to return values for.
+ * @returns {{query: string, variables: object}} The GraphQL mutation and its variables.
+ */
+export const CREATE_ITEM_QUERY = (boardId, groupId, itemName, columnValues, columnIds) => {
+  if (!columnValues || typeof columnValues !== 'object' || Array.isArray(columnValues)) {
+    throw new Error('mondayQueries: columnValues must be an object keyed by column ID.');
+  }
+  Object.keys(columnValues).forEach(columnId => validateColumnId(columnId, 'columnValues key'));
+
+  return {
+    query: `
+      mutation ($boardId: ID!, $groupId: String, $itemName: String!, $columnValues: JSON, $columnIds: [String!]) {
+        create_item(board_id: $boardId, group_id: $groupId, item_name: $itemName, column_values: $columnValues) {${ITEM_FIELDS}        }
+      }
+    `,
+    variables: {
+      boardId: validateId(boardId, 'boardId'),
+      groupId: groupId === null || typeof groupId === 'undefined' ? null : validateColumnId(groupId, 'groupId'),
+      itemName: validateItemName(itemName),
+      columnValues: JSON.stringify(columnValues),
+      columnIds: validateColumnIds(columnIds),
+    },
+  };
+};
+
+/**
+ * Arguments of each mutation BULK_ITEM_MUTATIONS_QUERY can batch, mapped to the validator
+ * and GraphQL type of each argument.
+ */
+const BULK_MUTATION_ARGUMENTS = {
+  change_column_value: {
+    board_id: { key: 'boardId', type: 'ID!', validate: value => validateId(value, 'boardId') },
+    item_id: { key: 'itemId', type: 'ID!', validate: value => validateId(value, 'itemId') },
+    column_id: { key: 'columnId', type: 'String!', validate: value => validateColumnId(value) },
+    value: { key: 'value', type: 'JSON!', validate: value => validateJsonString(value, 'value') },
+  },
+  move_item_to_group: {
+    item_id: { key: 'itemId', type: 'ID!', validate: value => validateId(value, 'itemId') },
+    group_id: { key: 'groupId', type: 'String!', validate: value => validateColumnId(value, 'groupId') },
+  },
+  move_item_to_board: {
+    board_id: { key: 'boardId', type: 'ID!', validate: value => validateId(value, 'boardId') },
+    group_id: { key: 'groupId', type: 'ID!', validate: value => validateColumnId(value, 'groupId') },
+    item_id: { key: 'itemId', type: 'ID!', validate: value => validateId(value, 'itemId') },
+    columns_mapping: { key: 'columnsMapping', type: '[ColumnMappingInput!]', validate: validateColumnsMapping },
+  },
+  archive_item: {
+    item_id: { key: 'itemId', type: 'ID!', validate: value => validateId(value, 'itemId') },
+  },
+  delete_item: {
+    item_id: { key: 'itemId', type: 'ID!', validate: value => validateId(value, 'itemId') },
+  },
+};
+
+/**
+ * GraphQL mutation that applies several item mutations in one request. Each mutation is its own
+ * aliased field (`m0`, `m1`...), so one that fails (e.g. an item deleted meanwhile) doesn't stop
+ * the others; the response pairs every alias with its result or its error `path`.
+ *
+ * @param {Array<object>} mutations - Mutations as `{ type, ...args }`, where `type` is change_column_value
+ * (boardId, itemId, columnId, value), move_item_to_group (itemId, groupId), move_item_to_board (boardId,
+ * groupId, itemId, columnsMapping; monday.com expects every source column in the mapping), archive_item
+ * (itemId) or delete_item (itemId). At most MAX_BULK_MUTATIONS_PER_REQUEST.
+ * @returns {{query: string, variables: object}} The GraphQL mutation and its variables.
+ */
+export const BULK_ITEM_MUTATIONS_QUERY = (mutations) => {
+  if (!Array.isArray(mutations) || mutations.length === 0) {
+    throw new Error('mondayQueries: mutations must be a non-empty array.');
+  }
+  if (mutations.length > MAX_BULK_MUTATIONS_PER_REQUEST) {
+    throw new Error(`mondayQueries: At most ${MAX_BULK_MUTATIONS_PER_REQUEST} mutations can be sent at once.`);
+  }
+
+  const declarations = [];
+  const fields = [];
+  const variables = {};
+  mutations.forEach((mutation, index) => {
+    const argumentSpecs = BULK_MUTATION_ARGUMENTS[mutation && mutation.type];
+    if (!argumentSpecs) {
+      throw new Error(`mondayQueries: Unsupported bulk mutation "${mutation && mutation.type}".`);
+    }
+    const fieldArguments = Object.entries(argumentSpecs).map(([argumentName, spec]) => {
+      const variableName = `${spec.key}${index}`;
+      declarations.push(`$${variableName}: ${spec.type}`);
+      variables[variableName] = spec.validate(mutation[spec.key]);
+      return `${argumentName}: $${variableName}`;
+    });
+    fields.push(`m${index}: ${mutation.type}(${fieldArguments.join(', ')}) { id }`);
+  });
+
+  return {
+    query: `
+      mutation (${declarations.join(', ')}) {
+        ${fields.join('\n        ')}
+      }
+    `,
+    variables,
+  };
+};
+
+/**
+ * GraphQL query to fetch how many updates items have and when the latest was posted, for the
+ * item-name badge. At most MAX_COUNTED_UPDATES are counted per item, newest first; one more is
+ * requested so an item with more can be told apart from one with exactly that many.
+ *
+ * @param {string[]} itemIds - The IDs of the items (at most MAX_ITEMS_PER_UPDATE_COUNTS_QUERY).
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_ITEM_UPDATE_COUNTS_QUERY = (itemIds) => {
+  const validItemIds = validateIdList(itemIds, 'itemIds');
+  if (validItemIds.length > MAX_ITEMS_PER_UPDATE_COUNTS_QUERY) {
+    throw new Error(`mondayQueries: At most ${MAX_ITEMS_PER_UPDATE_COUNTS_QUERY} items can be queried for updates at once.`);
+  }
+
+  return {
+    query: `
+      query ($itemIds: [ID!], $itemLimit: Int!, $updateLimit: Int!) {
+        items(ids: $itemIds, limit: $itemLimit) {
+          id
+          updates(limit: $updateLimit) {
+            id
+            created_at
+          }
+        }
+      }
+    `,
+    variables: {
+      itemIds: validItemIds,
+      itemLimit: validItemIds.length,
+      updateLimit: MAX_COUNTED_UPDATES + 1,
+    },
+  };
+};
+
+/**
+ * Update fields shared by the updates panel query and create_update, so posted updates and
+ * replies can go straight into the panel. Authors are only returned as `creator_id`; their
+ * names and photos come from the user directory.
+ */
+const UPDATE_FIELDS = `
+          id
+          text_body
+          created_at
+          creator_id
+`;
+
+/**
+ * GraphQL query to fetch an item's latest updates with their replies, for the updates panel.
+ *
+ * @param {string} itemId - The ID of the item.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_ITEM_UPDATES_QUERY = (itemId) => ({
+  query: `
+    query ($itemIds: [ID!], $limit: Int!) {
+      items(ids: $itemIds) {
+        id
+        updates(limit: $limit) {${UPDATE_FIELDS}          replies {${UPDATE_FIELDS}          }
+        }
+      }
+    }
+  `,
+  variables: {
+    itemIds: [validateId(itemId, 'itemId')],
+    limit: UPDATES_PANEL_LIMIT,
+  },
+});
+
+/**
+ * GraphQL mutation to post an update on an item, or a reply to one of its updates.
+ *
+ * @param {string} itemId - The ID of the item.
+ * @param {string} body - The update text.
+ * @param {string|null} [parentUpdateId=null] - The update to reply to, or null for a new update.
+ * @returns {{query: string, variables: object}} The GraphQL mutation and its variables.
+ */
+export const CREATE_UPDATE_QUERY = (itemId, body, parentUpdateId = null) => ({
+  query: `
+    mutation ($itemId: ID!, $body: String!, $parentId: ID) {
+      create_update(item_id: $itemId, body: $body, parent_id: $parentId) {${UPDATE_FIELDS}      }
+    }
+  `,
+  variables: {
+    itemId: validateId(itemId, 'itemId'),
+    body: validateUpdateBody(body),
+    parentId: parentUpdateId === null || typeof parentUpdateId === 'undefined' ? null : validateId(parentUpdateId, 'parentUpdateId'),
+  },
+});
+
+/**
+ * GraphQL query to fetch several users and teams in one request.
+ * Either list may be empty; the matching field is then skipped entirely, since
+ * `users(ids: [])` would otherwise return every user in the account.
+ * Returns user ID, name, original photo URL, email and title, and team ID, name and picture URL.
+ *
+ * @param {string[]} userIds - The IDs of the users to query.
+ * @param {string[]} teamIds - The IDs of the teams to query.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
+ */
+export const GET_USERS_AND_TEAMS_QUERY = (userIds, teamIds) => {
+  const validUserIds = userIds.length > 0 ? validateIdList(userIds, 'userIds') : [];
+  const validTeamIds = teamIds.length > 0 ? validateIdList(teamIds, 'teamIds') : [];
+
+  return {
+    query: `
+      query ($userIds: [ID!], $teamIds: [ID!], $withUsers: Boolean!, $withTeams: Boolean!) {
+        users(ids: $userIds, limit: ${MAX_DIRECTORY_BATCH_SIZE}) @include(if: $withUsers) {
+          id
+          name
+          photo_original
+          email
+          title
+        }
+        teams(ids: $teamIds) @include(if: $withTeams) {
+          id
+          name
+          picture_url
+        }
+      }
+    `,
+    variables: {
+      userIds: validUserIds,
+      teamIds: validTeamIds,
+      withUsers: validUserIds.length > 0,
+      withTeams: validTeamIds.length > 0,
+    },
+  };
 };
 
 /**
- * GraphQL query to fetch details of a specific user by ID.
- * Returns user ID, name, original photo URL, and email.
+ * GraphQL query to search account users by name for the people picker.
+ * An empty search returns the first users of the account.
+ * Returns the same user fields as GET_USERS_AND_TEAMS_QUERY, so results can go into the user directory.
  *
- * @param {string} userId - The ID of the user to query.
- * @returns {string} The GraphQL query string.
+ * @param {string} searchText - Part of the user's name.
+ * @returns {{query: string, variables: object}} The GraphQL query and its variables.
  */
-export const GET_USER_DETAILS_QUERY = (userId) => `
+export const SEARCH_USERS_QUERY = (searchText) => ({
+  query: `
+    query ($name: String, $limit: Int!) {
+      users(name: $name, limit: $limit) {
+        id
+        name
+        photo_original
+        email
+        title
+      }
+    }
+  `,
+  variables: {
+    name: validateSearchText(searchText),
+    limit: USER_SEARCH_LIMIT,
+  },
+});
+
+/**
+ * GraphQL query to fetch all teams of the account for the people picker.
+ * Teams can't be searched by name server-side; accounts have few enough to filter locally.
+ */
+export const GET_TEAMS_QUERY = `
   query {
-    users(ids: [${userId}]) {
+    teams {
       id
       name
-      photo_original
-      email
+      picture_url
     }
   }
-`;
\ No newline at end of file
+`;
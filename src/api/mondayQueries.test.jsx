@@ -0,0 +1,167 @@
+// src/api/mondayQueries.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  GET_BOARD_ITEMS_WITH_COLUMNS_QUERY,
+  GET_ITEMS_BY_IDS_QUERY,
+  GET_NEXT_ITEMS_PAGE_QUERY,
+  GET_BOARD_ACTIVITY_LOGS_QUERY,
+  UPDATED_SINCE_QUERY_PARAMS,
+  ACTIVE_FILTERS_QUERY_PARAMS,
+  UPDATE_ITEM_NAME_QUERY,
+  UPDATE_COLUMN_VALUE_QUERY,
+  CREATE_ITEM_QUERY,
+  BULK_ITEM_MUTATIONS_QUERY,
+  GET_ITEM_UPDATE_COUNTS_QUERY,
+  MAX_BOARDS_PER_ITEMS_QUERY,
+  MAX_BULK_MUTATIONS_PER_REQUEST,
+  MAX_COUNTED_UPDATES,
+} from './mondayQueries';
+
+describe('ID and column ID validation', () => {
+  it('normalizes numeric IDs to strings', () => {
+    const { variables } = GET_ITEMS_BY_IDS_QUERY([12, ' 34 '], ['status']);
+    expect(variables.itemIds).toEqual(['12', '34']);
+  });
+
+  it('rejects IDs that are not numeric', () => {
+    expect(() => GET_ITEMS_BY_IDS_QUERY(['12", x: "1'], ['status'])).toThrow(/Invalid itemIds/);
+    expect(() => GET_ITEMS_BY_IDS_QUERY([], ['status'])).toThrow(/non-empty array/);
+  });
+
+  it('rejects column IDs with characters outside a slug', () => {
+    expect(() => GET_ITEMS_BY_IDS_QUERY(['1'], ['status) { id }'])).toThrow(/Invalid columnIds entry/);
+    expect(() => GET_ITEMS_BY_IDS_QUERY(['1'], 'status')).toThrow(/columnIds must be an array/);
+  });
+
+  it('keeps input out of the query text', () => {
+    const { query } = UPDATE_ITEM_NAME_QUERY('1', '2', 'Robert"); drop');
+    expect(query).not.toContain('Robert');
+  });
+});
+
+describe('GET_BOARD_ITEMS_WITH_COLUMNS_QUERY', () => {
+  it('passes boards, limit and query params as variables', () => {
+    const queryParams = { rules: [{ column_id: 'status', compare_value: [1], operator: 'any_of' }], operator: 'and' };
+    const { variables } = GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(['1', '2'], ['status'], 100, queryParams);
+    expect(variables).toEqual({ boardIds: ['1', '2'], boardLimit: 2, columnIds: ['status'], limit: 100, queryParams });
+  });
+
+  it('enforces the board and page size limits', () => {
+    const tooManyBoards = Array.from({ length: MAX_BOARDS_PER_ITEMS_QUERY + 1 }, (_, index) => String(index + 1));
+    expect(() => GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(tooManyBoards, [])).toThrow(/At most/);
+    expect(() => GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(['1'], [], 501)).toThrow(/Invalid limit/);
+    expect(() => GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(['1'], [], 0)).toThrow(/Invalid limit/);
+  });
+
+  it('rejects query params without rules or with invalid column IDs', () => {
+    expect(() => GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(['1'], [], 500, {})).toThrow(/rules array/);
+    expect(() => GET_BOARD_ITEMS_WITH_COLUMNS_QUERY(['1'], [], 500, { rules: [{ column_id: 'a b' }] })).toThrow(/column_id/);
+  });
+});
+
+describe('GET_NEXT_ITEMS_PAGE_QUERY', () => {
+  it('requires a cursor', () => {
+    expect(() => GET_NEXT_ITEMS_PAGE_QUERY('', ['status'])).toThrow(/cursor/);
+    expect(GET_NEXT_ITEMS_PAGE_QUERY('abc', ['status']).variables.cursor).toBe('abc');
+  });
+});
+
+describe('UPDATED_SINCE_QUERY_PARAMS and GET_BOARD_ACTIVITY_LOGS_QUERY', () => {
+  it('filter by the UTC day of the given moment', () => {
+    const since = new Date('2026-03-04T23:30:00Z');
+    expect(UPDATED_SINCE_QUERY_PARAMS(since).rules[0].compare_value).toEqual(['EXACT', '2026-03-04']);
+    expect(GET_BOARD_ACTIVITY_LOGS_QUERY(['1'], since).variables.from).toBe('2026-03-04T23:30:00.000Z');
+  });
+
+  it('reject invalid dates', () => {
+    expect(() => UPDATED_SINCE_QUERY_PARAMS(new Date('nope'))).toThrow(/valid Date/);
+    expect(() => GET_BOARD_ACTIVITY_LOGS_QUERY(['1'], '2026-03-04')).toThrow(/valid Date/);
+  });
+});
+
+describe('ACTIVE_FILTERS_QUERY_PARAMS', () => {
+  const statusColumn = { id: 'status', type: 'status', settings_str: JSON.stringify({ labels: { 0: 'Working on it', 1: 'Done', 2: 'Stuck' } }) };
+  const peopleColumn = { id: 'person', type: 'people' };
+  const columns = [statusColumn, peopleColumn, { id: 'text', type: 'text' }];
+  const columnIds = ['status', 'person', 'text'];
+
+  it('turns status labels and people into rules', () => {
+    const params = ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { status: ['Done', 'Stuck'], person: ['7'] });
+    expect(params).toEqual({
+      rules: [
+        { column_id: 'status', compare_value: [1, 2], operator: 'any_of' },
+        { column_id: 'person', compare_value: ['person-7'], operator: 'any_of' },
+      ],
+      operator: 'and',
+    });
+  });
+
+  it('uses is_empty for "No status" and "No user" on their own', () => {
+    const params = ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { status: ['No status'], person: ['No user'] });
+    expect(params.rules.map(rule => rule.operator)).toEqual(['is_empty', 'is_empty']);
+  });
+
+  it('leaves out selections the API cannot evaluate exactly', () => {
+    expect(ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { status: ['Done', 'No status'] })).toBeNull();
+    expect(ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { status: ['Missing label'] })).toBeNull();
+    expect(ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { text: ['contains:x'] })).toBeNull();
+    expect(ACTIVE_FILTERS_QUERY_PARAMS(columns, ['text'], { status: ['Done'] })).toBeNull();
+  });
+
+  it('sends no rules for boards with subitems or while "My Tasks" is on', () => {
+    expect(ACTIVE_FILTERS_QUERY_PARAMS([...columns, { id: 'subitems', type: 'subtasks' }], columnIds, { status: ['Done'] })).toBeNull();
+    expect(ACTIVE_FILTERS_QUERY_PARAMS(columns, columnIds, { status: ['Done'], current_user_filter: ['true'] })).toBeNull();
+  });
+});
+
+describe('item mutations', () => {
+  it('trims item names and rejects empty or overlong ones', () => {
+    expect(UPDATE_ITEM_NAME_QUERY('1', '2', '  New name ').variables.value).toBe('"New name"');
+    expect(() => UPDATE_ITEM_NAME_QUERY('1', '2', '   ')).toThrow(/cannot be empty/);
+    expect(() => UPDATE_ITEM_NAME_QUERY('1', '2', 'x'.repeat(256))).toThrow(/longer than 255/);
+  });
+
+  it('requires column values to be JSON strings', () => {
+    expect(UPDATE_COLUMN_VALUE_QUERY('1', '2', 'status', '{"label":"Done"}').variables.value).toBe('{"label":"Done"}');
+    expect(() => UPDATE_COLUMN_VALUE_QUERY('1', '2', 'status', { label: 'Done' })).toThrow(/JSON string/);
+    expect(() => UPDATE_COLUMN_VALUE_QUERY('1', '2', 'status', '{label')).toThrow(/not valid JSON/);
+  });
+
+  it('serializes the initial values of a new item', () => {
+    const { variables } = CREATE_ITEM_QUERY('1', null, 'Task', { status: { label: 'Done' } }, ['status']);
+    expect(variables.groupId).toBeNull();
+    expect(JSON.parse(variables.columnValues)).toEqual({ status: { label: 'Done' } });
+    expect(() => CREATE_ITEM_QUERY('1', null, 'Task', [], ['status'])).toThrow(/columnValues must be an object/);
+  });
+});
+
+describe('BULK_ITEM_MUTATIONS_QUERY', () => {
+  it('gives every mutation its own alias and variables', () => {
+    const { query, variables } = BULK_ITEM_MUTATIONS_QUERY([
+      { type: 'archive_item', itemId: '5' },
+      { type: 'move_item_to_group', itemId: '6', groupId: 'topics' },
+    ]);
+    expect(query).toContain('m0: archive_item(item_id: $itemId0) { id }');
+    expect(query).toContain('m1: move_item_to_group(item_id: $itemId1, group_id: $groupId1) { id }');
+    expect(variables).toEqual({ itemId0: '5', itemId1: '6', groupId1: 'topics' });
+  });
+
+  it('rejects unsupported, empty and oversized batches', () => {
+    expect(() => BULK_ITEM_MUTATIONS_QUERY([{ type: 'duplicate_item', itemId: '1' }])).toThrow(/Unsupported/);
+    expect(() => BULK_ITEM_MUTATIONS_QUERY([])).toThrow(/non-empty array/);
+    const tooMany = Array.from({ length: MAX_BULK_MUTATIONS_PER_REQUEST + 1 }, () => ({ type: 'archive_item', itemId: '1' }));
+    expect(() => BULK_ITEM_MUTATIONS_QUERY(tooMany)).toThrow(/At most/);
+  });
+
+  it('validates move_item_to_board column mappings', () => {
+    const mutation = { type: 'move_item_to_board', boardId: '2', groupId: 'topics', itemId: '3', columnsMapping: [{ source: 'status', target: null }] };
+    expect(BULK_ITEM_MUTATIONS_QUERY([mutation]).variables.columnsMapping0).toEqual([{ source: 'status', target: null }]);
+    expect(() => BULK_ITEM_MUTATIONS_QUERY([{ ...mutation, columnsMapping: [{ source: 'a b', target: null }] }])).toThrow(/columnsMapping source/);
+  });
+});
+
+describe('GET_ITEM_UPDATE_COUNTS_QUERY', () => {
+  it('asks for one update past the counted cap', () => {
+    expect(GET_ITEM_UPDATE_COUNTS_QUERY(['1']).variables.updateLimit).toBe(MAX_COUNTED_UPDATES + 1);
+  });
+});
@@ -0,0 +1,180 @@
+// src/api/userDirectory.js
+import { mondayClient } from './mondayClient';
+import { GET_USERS_AND_TEAMS_QUERY, MAX_DIRECTORY_BATCH_SIZE } from './mondayQueries';
+
+/*
+ * Directory of the users and teams referenced by people columns.
+ *
+ * Lookups are collected for a short moment and resolved together with one
+ * `users(ids: [...])` / `teams(ids: [...])` request, instead of one request per person.
+ * Results are kept in localStorage with a TTL, so names and avatars render immediately
+ * on later loads; expired entries are still shown while they are refreshed.
+ */
+
+const DEFAULT_OPTIONS = {
+  storageKey: 'myWorkView.userDirectory',
+  // How long a cached user or team is considered fresh
+  ttlMs: 24 * 60 * 60 * 1000,
+  // How long lookups are collected before a batch is sent
+  batchDelayMs: 50,
+};
+
+const KINDS = ['person', 'team'];
+
+const createEmptyEntries = () => ({ person: {}, team: {} });
+
+const loadEntries = (storageKey) => {
+  try {
+    const stored = window.localStorage.getItem(storageKey);
+    const parsed = stored ? JSON.parse(stored) : null;
+    if (parsed && parsed.person && parsed.team) {
+      return parsed;
+    }
+  } catch (e) {
+    console.warn("userDirectory: Could not read the cached directory, starting empty.", e);
+  }
+  return createEmptyEntries();
+};
+
+const saveEntries = (storageKey, entries) => {
+  try {
+    window.localStorage.setItem(storageKey, JSON.stringify(entries));
+  } catch (e) {
+    // Storage may be full or unavailable in the iframe; the in-memory cache still works
+    console.warn("userDirectory: Could not persist the directory.", e);
+  }
+};
+
+// Placeholder stored for IDs the API didn't return (deactivated users, deleted teams...)
+const unknownEntry = (kind, id) => (
+  kind === 'team'
+    ? { id, name: 'Unknown Team', picture_url: null }
+    : { id, name: 'Unknown', photo_original: null }
+);
+
+/**
+ * Creates a user directory backed by the given request function.
+ *
+ * @param {function} request - Executes a `{ query, variables }` operation (e.g. mondayClient.request).
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {{getSnapshot: function, subscribe: function, resolve: function, remember: function}}
+ */
+export const createUserDirectory = (request, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  // { person: { [id]: { data, fetchedAt } }, team: { ... } }
+  let entries = loadEntries(settings.storageKey);
+  const pending = { person: new Set(), team: new Set() };
+  const inFlight = { person: new Set(), team: new Set() };
+  const listeners = new Set();
+  let flushTimer = null;
+
+  const buildSnapshot = () => ({
+    users: Object.fromEntries(Object.entries(entries.person).map(([id, entry]) => [id, entry.data])),
+    teams: Object.fromEntries(Object.entries(entries.team).map(([id, entry]) => [id, entry.data])),
+  });
+  let snapshot = buildSnapshot();
+
+  const notify = () => {
+    snapshot = buildSnapshot();
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  const isFresh = (kind, id) => {
+    const entry = entries[kind][id];
+    return Boolean(entry) && Date.now() - entry.fetchedAt < settings.ttlMs;
+  };
+
+  const store = (kind, records, requestedIds) => {
+    const fetchedAt = Date.now();
+    const updatedKind = { ...entries[kind] };
+    records.forEach(record => {
+      updatedKind[String(record.id)] = { data: record, fetchedAt };
+    });
+    requestedIds.forEach(id => {
+      if (!records.some(record => String(record.id) === id)) {
+        updatedKind[id] = { data: unknownEntry(kind, id), fetchedAt };
+      }
+    });
+    entries = { ...entries, [kind]: updatedKind };
+  };
+
+  const fetchBatch = async (userIds, teamIds) => {
+    try {
+      const data = await request(GET_USERS_AND_TEAMS_QUERY(userIds, teamIds));
+      store('person', (data && data.users) || [], userIds);
+      store('team', (data && data.teams) || [], teamIds);
+      saveEntries(settings.storageKey, entries);
+      notify();
+    } catch (error) {
+      // Leave the IDs unresolved so the next lookup retries them
+      console.error("userDirectory: Error resolving users and teams:", error);
+    } finally {
+      userIds.forEach(id => inFlight.person.delete(id));
+      teamIds.forEach(id => inFlight.team.delete(id));
+    }
+  };
+
+  const flush = () => {
+    flushTimer = null;
+    const userIds = [...pending.person];
+    const teamIds = [...pending.team];
+    pending.person.clear();
+    pending.team.clear();
+    userIds.forEach(id => inFlight.person.add(id));
+    teamIds.forEach(id => inFlight.team.add(id));
+
+    for (let offset = 0; offset < Math.max(userIds.length, teamIds.length); offset += MAX_DIRECTORY_BATCH_SIZE) {
+      fetchBatch(
+        userIds.slice(offset, offset + MAX_DIRECTORY_BATCH_SIZE),
+        teamIds.slice(offset, offset + MAX_DIRECTORY_BATCH_SIZE)
+      );
+    }
+  };
+
+  /**
+   * Queues lookups for users and teams that aren't cached (or whose cache entry expired).
+   *
+   * @param {Array<{id: string|number, kind: string}>} refs - Entries as found in `personsAndTeams`.
+   */
+  const resolve = (refs) => {
+    let hasNewLookups = false;
+    refs.forEach(ref => {
+      if (!ref || !ref.id || !KINDS.includes(ref.kind)) return;
+      const id = String(ref.id);
+      if (isFresh(ref.kind, id) || inFlight[ref.kind].has(id) || pending[ref.kind].has(id)) return;
+      pending[ref.kind].add(id);
+      hasNewLookups = true;
+    });
+
+    if (hasNewLookups && !flushTimer) {
+      flushTimer = setTimeout(flush, settings.batchDelayMs);
+    }
+  };
+
+  /**
+   * Stores users or teams that were fetched elsewhere (e.g. by a people search), so they render
+   * without another lookup.
+   *
+   * @param {string} kind - 'person' or 'team'.
+   * @param {object[]} records - Users or teams with at least an `id`.
+   */
+  const remember = (kind, records) => {
+    if (!KINDS.includes(kind) || records.length === 0) return;
+    store(kind, records, []);
+    saveEntries(settings.storageKey, entries);
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const getSnapshot = () => snapshot;
+
+  return { getSnapshot, subscribe, resolve, remember };
+};
+
+// Shared directory, so every component reads from and fills the same cache
+export const userDirectory = createUserDirectory(mondayClient.request);
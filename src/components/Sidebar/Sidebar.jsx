@@ -1,9 +1,9 @@
 // Sidebar.jsx
 import React, { useEffect, useState } from 'react';
-import mondaySdk from 'monday-sdk-js';
-import { Checkbox, Button } from '@vibe/core'; 
-
-const monday = mondaySdk();
+import { Checkbox, Button, TextField, RadioButton } from '@vibe/core'; 
+import { useMondayAPI } from '../../hooks/useMondayAPI';
+import { REFRESH_INTERVAL_OPTIONS } from '../../hooks/useRefreshPolicy';
+import { GET_BOARDS_QUERY } from '../../api/mondayQueries';
 
 function Sidebar({
   onBoardToggle,
@@ -13,8 +13,13 @@ function Sidebar({
   onColumnToggle,
   onSelectAllColumns,
   onDeselectAllColumns,
+  maxItems,
+  onMaxItemsChange,
+  refreshInterval,
+  onRefreshIntervalChange,
   sidebarWidth 
 }) {
+  const { queryMonday } = useMondayAPI();
   const [allAccessibleBoards, setAllAccessibleBoards] = useState([]);
   const [loadingBoards, setLoadingBoards] = useState(true);
   const [boardsError, setBoardsError] = useState(null);
@@ -24,12 +29,12 @@ function Sidebar({
       try {
         setLoadingBoards(true);
         setBoardsError(null);
-        const response = await monday.api(`query { boards { id name } }`);
-        if (response && response.data && response.data.boards) {
-          setAllAccessibleBoards(response.data.boards);
+        const data = await queryMonday(GET_BOARDS_QUERY);
+        if (data && data.boards) {
+          setAllAccessibleBoards(data.boards);
         } else {
           setAllAccessibleBoards([]);
-          console.warn("Sidebar: No boards found or unexpected response structure.", response);
+          console.warn("Sidebar: No boards found or unexpected response structure.", data);
         }
       } catch (err) {
         console.error("Sidebar: Error fetching all accessible boards:", err);
@@ -39,7 +44,7 @@ function Sidebar({
       }
     };
     fetchBoards();
-  }, []);
+  }, [queryMonday]);
 
   return (
     <div style={{
@@ -119,6 +124,34 @@ function Sidebar({
             ))}
           </ul>
         )}
+
+        {/* Item Limit */}
+        <h3 style={{ marginTop: '30px', marginBottom: '10px', color: '#555' }}>Item Limit</h3>
+        <TextField
+          type="number"
+          value={maxItems ? String(maxItems) : ''}
+          onChange={onMaxItemsChange}
+          placeholder="No limit"
+          debounceRate={500}
+        />
+        <p style={{ color: '#777', marginTop: '6px' }}>Maximum number of items loaded across all selected boards. Leave empty to load everything.</p>
+
+        {/* Refresh Interval */}
+        <h3 style={{ marginTop: '30px', marginBottom: '10px', color: '#555' }}>Refresh</h3>
+        <ul style={{ listStyle: 'none', padding: 0 }}>
+          {REFRESH_INTERVAL_OPTIONS.map(option => (
+            <li key={option.value} style={{ marginBottom: '8px' }}>
+              <RadioButton
+                name="refresh-interval"
+                value={String(option.value)}
+                text={option.label}
+                checked={String(refreshInterval) === String(option.value)}
+                onSelect={() => onRefreshIntervalChange(option.value)}
+              />
+            </li>
+          ))}
+        </ul>
+        <p style={{ color: '#777', marginTop: '6px' }}>Refreshes pause while the app is hidden or you are editing.</p>
       </div> 
     </div>
   );
@@ -0,0 +1,224 @@
+// AddItemForm.jsx
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+    Button,
+    DialogContentContainer,
+    Flex,
+    Text,
+    TextField,
+} from '@vibe/core';
+import { EDITABLE_COLUMN_TYPES, buildEditorPayload } from './EditableCell';
+
+// Column types that can be given a starting value when the item is created
+const INITIAL_VALUE_COLUMN_TYPES = [...EDITABLE_COLUMN_TYPES, 'status'];
+
+const getEmptyDraft = (columnType) => (columnType === 'date' ? { date: '', time: '' } : { text: '' });
+
+/**
+ * Reads the labels of one board's status column, in the order the board shows them. Boards sharing
+ * a column ID can have different labels, so the table's merged column can't be used here.
+ * @param {object} column - The board's column, with its `settings_str`.
+ * @returns {string[]} The label texts, empty when the settings can't be read.
+ */
+const getStatusLabels = (column) => {
+    try {
+        const settings = JSON.parse(column.settings_str || '{}');
+        const positions = settings.labels_positions_v2 || {};
+        const getPosition = (key) => (Number.isFinite(Number(positions[key])) ? Number(positions[key]) : Infinity);
+        return Object.entries(settings.labels || {})
+            .filter(([, label]) => typeof label === 'string' && label !== '')
+            .sort(([a], [b]) => getPosition(a) - getPosition(b))
+            .map(([, label]) => label);
+    } catch (e) {
+        console.warn(`AddItemForm.jsx: Error parsing settings for status column ${column.id}:`, e);
+        return [];
+    }
+};
+
+/**
+ * Builds create_item's `column_values` from the filled-in fields.
+ * @param {object[]} fields - Column metadata of the fields shown (status fields with the board's `statusLabels`).
+ * @param {Object<string, object>} drafts - Drafts by column ID.
+ * @returns {{columnValues: object, error: string|null}} The values, or the first field's validation error.
+ */
+const buildColumnValues = (fields, drafts) => {
+    const columnValues = {};
+    for (const field of fields) {
+        const draft = drafts[field.id] || getEmptyDraft(field.type);
+        if (field.type === 'status') {
+            // A label picked for another board is dropped when it doesn't exist on this one
+            if (field.statusLabels.includes(draft.text)) {
+                columnValues[field.id] = { label: draft.text };
+            }
+            continue;
+        }
+        const { payload, text, error } = buildEditorPayload(field.type, draft);
+        if (error) {
+            return { columnValues: null, error: `${field.title}: ${error}` };
+        }
+        if (text !== '') {
+            columnValues[field.id] = JSON.parse(payload);
+        }
+    }
+    return { columnValues, error: null };
+};
+
+/**
+ * Form to create an item on one of the selected boards: board, group, name, and starting values
+ * for the table's text, long text, numbers, date and status columns that exist on that board.
+ * Stays open after creating, so several items can be added in a row.
+ *
+ * @param {object} props
+ * @param {Array<{id: string, name: string, columns: object[], groups: object[]}>} props.boards - The selected boards.
+ * @param {object[]} props.columns - The table's column metadata.
+ * @param {function({boardId: string, groupId: string|null, name: string, columnValues: object}): Promise<object>} props.onCreate -
+ * Creates the item; rejects with an error to show.
+ */
+function AddItemForm({ boards, columns, onCreate }) {
+    const [boardId, setBoardId] = useState(() => (boards[0] ? boards[0].id : ''));
+    const [groupId, setGroupId] = useState('');
+    const [name, setName] = useState('');
+    const [drafts, setDrafts] = useState({});
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [createdMessage, setCreatedMessage] = useState(null);
+
+    const board = boards.find(candidate => candidate.id === boardId) || boards[0];
+    const groups = board ? board.groups || [] : [];
+    // An empty groupId means the board's top group, which create_item picks by itself
+    const selectedGroupId = groups.some(group => group.id === groupId) ? groupId : '';
+
+    // The table's columns that exist on the chosen board; status fields offer that board's own labels
+    const fields = useMemo(() => {
+        const boardColumnsById = new Map((board ? board.columns : []).map(col => [col.id, col]));
+        return columns
+            .filter(col => INITIAL_VALUE_COLUMN_TYPES.includes(col.type) && boardColumnsById.has(col.id))
+            .map(col => (col.type === 'status' ? { ...col, statusLabels: getStatusLabels(boardColumnsById.get(col.id)) } : col));
+    }, [columns, board]);
+
+    const updateDraft = (columnId, field, value) => {
+        setDrafts(prev => ({ ...prev, [columnId]: { ...(prev[columnId] || { text: '', date: '', time: '' }), [field]: value } }));
+        setError(null);
+    };
+
+    const handleSubmit = useCallback(async (e) => {
+        e.preventDefault();
+        if (!board || isSaving) return;
+        if (name.trim() === '') {
+            setError('Enter a name for the item');
+            return;
+        }
+        const { columnValues, error: validationError } = buildColumnValues(fields, drafts);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSaving(true);
+        setError(null);
+        setCreatedMessage(null);
+        try {
+            const createdItem = await onCreate({ boardId: board.id, groupId: selectedGroupId || null, name: name.trim(), columnValues });
+            const groupTitle = createdItem.group ? createdItem.group.title : null;
+            setCreatedMessage(`Created "${createdItem.name}" on ${board.name}${groupTitle ? ` / ${groupTitle}` : ''}.`);
+            setName('');
+            setDrafts({});
+        } catch (err) {
+            console.error("AddItemForm.jsx: Error creating item:", err);
+            setError(`Couldn't create the item: ${err.message.replace(/^mondayQueries: /, '')}`);
+        } finally {
+            setIsSaving(false);
+        }
+    }, [board, isSaving, name, fields, drafts, selectedGroupId, onCreate]);
+
+    if (!board) {
+        return (
+            <DialogContentContainer className="monday-add-item-form">
+                <Text type="text2" color="secondary">Select a board in the settings dialog first.</Text>
+            </DialogContentContainer>
+        );
+    }
+
+    return (
+        <DialogContentContainer className="monday-add-item-form">
+            <form onSubmit={handleSubmit}>
+                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+                    <label className="monday-add-item-field">
+                        <Text type="text3" color="secondary">Board</Text>
+                        <select
+                            value={board.id}
+                            onChange={(e) => { setBoardId(e.target.value); setGroupId(''); }}
+                            className="monday-cell-editor-input"
+                        >
+                            {boards.map(candidate => <option key={candidate.id} value={candidate.id}>{candidate.name}</option>)}
+                        </select>
+                    </label>
+                    <label className="monday-add-item-field">
+                        <Text type="text3" color="secondary">Group</Text>
+                        <select value={selectedGroupId} onChange={(e) => setGroupId(e.target.value)} className="monday-cell-editor-input">
+                            <option value="">Top group</option>
+                            {groups.map(group => <option key={group.id} value={group.id}>{group.title}</option>)}
+                        </select>
+                    </label>
+                    <TextField
+                        title="Name"
+                        value={name}
+                        onChange={(value) => { setName(value); setError(null); }}
+                        placeholder="New item"
+                        size="small"
+                        autoFocus
+                    />
+
+                    {fields.map(field => {
+                        const draft = drafts[field.id] || getEmptyDraft(field.type);
+                        let input;
+                        if (field.type === 'status') {
+                            input = (
+                                <select
+                                    value={field.statusLabels.includes(draft.text) ? draft.text : ''}
+                                    onChange={(e) => updateDraft(field.id, 'text', e.target.value)}
+                                    className="monday-cell-editor-input"
+                                >
+                                    <option value="">No status</option>
+                                    {field.statusLabels.map(label => <option key={label} value={label}>{label}</option>)}
+                                </select>
+                            );
+                        } else if (field.type === 'date') {
+                            input = (
+                                <input type="date" value={draft.date} onChange={(e) => updateDraft(field.id, 'date', e.target.value)} className="monday-cell-editor-input" />
+                            );
+                        } else if (field.type === 'long_text') {
+                            input = (
+                                <textarea value={draft.text} onChange={(e) => updateDraft(field.id, 'text', e.target.value)} rows={2} className="monday-cell-editor-input" />
+                            );
+                        } else {
+                            input = (
+                                <input
+                                    type="text"
+                                    inputMode={field.type === 'numbers' ? 'decimal' : undefined}
+                                    value={draft.text}
+                                    onChange={(e) => updateDraft(field.id, 'text', e.target.value)}
+                                    className="monday-cell-editor-input"
+                                />
+                            );
+                        }
+                        return (
+                            <label key={field.id} className="monday-add-item-field">
+                                <Text type="text3" color="secondary">{field.title}</Text>
+                                {input}
+                            </label>
+                        );
+                    })}
+
+                    {error && <Text type="text3" className="monday-cell-editor-error">{error}</Text>}
+                    {createdMessage && !error && <Text type="text3" color="secondary">{createdMessage}</Text>}
+                    <Flex justify={Flex.justify.END}>
+                        <Button type="submit" size="small" loading={isSaving}>Create item</Button>
+                    </Flex>
+                </Flex>
+            </form>
+        </DialogContentContainer>
+    );
+}
+
+export default AddItemForm;
@@ -0,0 +1,414 @@
+// BulkActionBar.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+    Avatar,
+    Button,
+    Dialog,
+    DialogContentContainer,
+    Divider,
+    Flex,
+    Loader,
+    Text,
+    TextField,
+} from '@vibe/core';
+import { buildPeoplePayload, getPeopleEntries } from '../../api/columnValues';
+import MoveToBoardForm from './MoveToBoardForm';
+
+// Failed items listed in the summary before it is cut short
+const MAX_LISTED_FAILURES = 10;
+
+const isSameEntry = (a, b) => String(a.id) === String(b.id) && a.kind === b.kind;
+
+const getColumnValue = (item, columnId) => item.column_values.find(cv => cv.id === columnId);
+
+const itemsLabel = (count) => `${count} item${count === 1 ? '' : 's'}`;
+
+/**
+ * Finds a status label's index on one board's copy of a status column. Boards sharing a column ID
+ * can number their labels differently, or lack the label altogether.
+ * @param {object|undefined} board - The board, with its `columns` as loaded by GET_BOARD_COLUMNS_QUERY.
+ * @param {string} columnId - The status column ID.
+ * @param {string} label - The label text.
+ * @returns {number|null} The label's index, or null when the board's column has no such label.
+ */
+const getStatusLabelIndex = (board, columnId, label) => {
+    const column = ((board && board.columns) || []).find(col => col.id === columnId);
+    if (!column || !column.settings_str) return null;
+    try {
+        const labels = JSON.parse(column.settings_str).labels || {};
+        const entry = Object.entries(labels).find(([, text]) => text === label);
+        return entry ? Number(entry[0]) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Toolbar for the rows selected in TaskTable. Each action builds one operation per selected item
+ * (items already in the requested state are left out) and hands them to `onBulkAction` together,
+ * then shows how many items succeeded and why the others failed.
+ *
+ * @param {object} props
+ * @param {object[]} props.selectedItems - The selected items, possibly from several boards.
+ * @param {object[]} props.columns - The table's column metadata (with `statusOptions` for status columns).
+ * @param {Array<{id: string, name: string, columns: object[], groups: object[]}>} props.boards - The selected boards.
+ * @param {Object<string, Array<{id: string, title: string}>>} props.boardGroups - Groups per board ID.
+ * @param {Object<string, object>} props.users - Cached users by ID, offered for assignment.
+ * @param {Object<string, object>} props.teams - Cached teams by ID, to name assigned teams.
+ * @param {function({label: string, operations: object[]}): Promise<{succeeded: object[], failed: object[]}>} props.onBulkAction
+ * @param {function} props.onClearSelection - Deselects every row.
+ * @param {function(boolean)} props.onMenuOpenChange - Called when an action menu opens or closes.
+ */
+function BulkActionBar({ selectedItems, columns, boards, boardGroups, users, teams, onBulkAction, onClearSelection, onMenuOpenChange }) {
+    // 'status', 'people', 'date', 'group', 'board', or 'archive'/'delete' while asking for confirmation
+    const [openAction, setOpenAction] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [peopleColumnId, setPeopleColumnId] = useState(null);
+    const [peopleSearchText, setPeopleSearchText] = useState('');
+    const [dateColumnId, setDateColumnId] = useState(null);
+    const [dateDraft, setDateDraft] = useState('');
+
+    useEffect(() => {
+        onMenuOpenChange(openAction !== null);
+    }, [openAction, onMenuOpenChange]);
+
+    const statusColumns = useMemo(() => columns.filter(col => col.type === 'status' && Array.isArray(col.statusOptions)), [columns]);
+    const peopleColumns = useMemo(() => columns.filter(col => col.type === 'people' || col.type === 'person'), [columns]);
+    const dateColumns = useMemo(() => columns.filter(col => col.type === 'date'), [columns]);
+
+    const peopleColumn = peopleColumns.find(col => col.id === peopleColumnId) || peopleColumns[0];
+    const dateColumn = dateColumns.find(col => col.id === dateColumnId) || dateColumns[0];
+
+    // Group titles available on at least one of the selected items' boards; items are matched to groups by title
+    const groupTitles = useMemo(() => {
+        const titles = new Set();
+        selectedItems.forEach(item => (boardGroups[item.boardId] || []).forEach(group => titles.add(group.title)));
+        return Array.from(titles).sort((a, b) => a.localeCompare(b));
+    }, [selectedItems, boardGroups]);
+
+    const peopleOptions = useMemo(() => {
+        const lowerSearch = peopleSearchText.trim().toLowerCase();
+        return Object.values(users)
+            .filter(user => user && user.name && (lowerSearch === '' || user.name.toLowerCase().includes(lowerSearch)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }, [users, peopleSearchText]);
+
+    const closeMenu = useCallback(() => setOpenAction(null), []);
+
+    const toggleMenu = useCallback((action) => {
+        setOpenAction(prev => (prev === action ? null : action));
+    }, []);
+
+    /**
+     * Sends the operations and turns the outcome into the summary.
+     * @param {string} label - What was done, e.g. 'status of 4 items'.
+     * @param {object[]} operations - One operation per item that needs a change.
+     * @param {object} [extra] - `unchanged` items left out, and `failed` items that couldn't be turned into an operation.
+     */
+    const runAction = useCallback(async (label, operations, { unchanged = 0, failed = [] } = {}) => {
+        setOpenAction(null);
+        if (operations.length === 0) {
+            setSummary({ label, succeeded: 0, unchanged, failed });
+            return;
+        }
+        setIsRunning(true);
+        setSummary(null);
+        try {
+            const result = await onBulkAction({ label, operations });
+            setSummary({ label, succeeded: result.succeeded.length, unchanged, failed: [...failed, ...result.failed] });
+        } catch (error) {
+            console.error("BulkActionBar.jsx: Error running bulk action:", error);
+            setSummary({ label, succeeded: 0, unchanged, failed: [...failed, ...operations.map(operation => ({ item: operation.item, error: error.message }))] });
+        } finally {
+            setIsRunning(false);
+        }
+    }, [onBulkAction]);
+
+    // Labels are matched by text; the index shown until the server answers is looked up on each item's own board
+    const handleSetStatus = useCallback((columnMeta, option) => {
+        const isClearing = option.id === 'clear';
+        const targetText = isClearing ? '' : option.label;
+        const operations = [];
+        const failed = [];
+        let unchanged = 0;
+        selectedItems.forEach(item => {
+            if (String(getColumnValue(item, columnMeta.id)?.text || '').trim() === targetText) {
+                unchanged += 1;
+                return;
+            }
+            let optimisticValue = { text: '', value: null };
+            if (!isClearing) {
+                const board = boards.find(candidate => String(candidate.id) === String(item.boardId));
+                const index = getStatusLabelIndex(board, columnMeta.id, targetText);
+                if (index === null) {
+                    failed.push({ item, error: `${item.boardName || 'This board'} has no ${columnMeta.title} label "${targetText}"` });
+                    return;
+                }
+                optimisticValue = { text: targetText, value: JSON.stringify({ index }) };
+            }
+            operations.push({
+                item,
+                type: 'change_column_value',
+                columnId: columnMeta.id,
+                value: JSON.stringify({ label: targetText }),
+                optimisticValue,
+            });
+        });
+        runAction(`${columnMeta.title} of ${itemsLabel(operations.length)}`, operations, { unchanged, failed });
+    }, [selectedItems, boards, runAction]);
+
+    const handleChangeAssignee = useCallback((user, isAssigning) => {
+        const entry = { id: String(user.id), kind: 'person' };
+        const operations = [];
+        selectedItems.forEach(item => {
+            const entries = getPeopleEntries(getColumnValue(item, peopleColumn.id)?.value);
+            const isAssigned = entries.some(current => isSameEntry(current, entry));
+            if (isAssigned === isAssigning) return;
+            let nextEntries;
+            if (!isAssigning) {
+                nextEntries = entries.filter(current => !isSameEntry(current, entry));
+            } else {
+                nextEntries = peopleColumn.type === 'person' ? [entry] : [...entries, entry];
+            }
+            const payload = buildPeoplePayload(nextEntries);
+            const names = nextEntries.map(current => (current.kind === 'team' ? teams[current.id] : users[current.id])?.name).filter(Boolean);
+            operations.push({
+                item,
+                type: 'change_column_value',
+                columnId: peopleColumn.id,
+                value: payload,
+                optimisticValue: { text: names.join(', '), value: nextEntries.length > 0 ? payload : null },
+            });
+        });
+        runAction(`${peopleColumn.title} of ${itemsLabel(operations.length)}`, operations, { unchanged: selectedItems.length - operations.length });
+    }, [selectedItems, peopleColumn, users, teams, runAction]);
+
+    const handleSetDate = useCallback((date) => {
+        const storedDate = (item) => {
+            try {
+                return JSON.parse(getColumnValue(item, dateColumn.id)?.value || 'null')?.date || '';
+            } catch (e) {
+                return '';
+            }
+        };
+        const items = selectedItems.filter(item => storedDate(item) !== date);
+        const payload = JSON.stringify(date ? { date } : {});
+        runAction(`${dateColumn.title} of ${itemsLabel(items.length)}`, items.map(item => ({
+            item,
+            type: 'change_column_value',
+            columnId: dateColumn.id,
+            value: payload,
+            optimisticValue: date ? { text: date, value: payload } : { text: '', value: null },
+        })), { unchanged: selectedItems.length - items.length });
+    }, [selectedItems, dateColumn, runAction]);
+
+    const handleMoveToGroup = useCallback((groupTitle) => {
+        const operations = [];
+        const failed = [];
+        let unchanged = 0;
+        selectedItems.forEach(item => {
+            const group = (boardGroups[item.boardId] || []).find(candidate => candidate.title === groupTitle);
+            if (!group) {
+                failed.push({ item, error: `${item.boardName || 'This board'} has no group named "${groupTitle}"` });
+            } else if (item.group && item.group.id === group.id) {
+                unchanged += 1;
+            } else {
+                operations.push({ item, type: 'move_item_to_group', group: { id: group.id, title: group.title } });
+            }
+        });
+        runAction(`group of ${itemsLabel(operations.length)}`, operations, { unchanged, failed });
+    }, [selectedItems, boardGroups, runAction]);
+
+    const handleMoveToBoard = useCallback(({ board, group, columnsMappingByBoardId }) => {
+        const items = selectedItems.filter(item => String(item.boardId) !== String(board.id));
+        runAction(`board of ${itemsLabel(items.length)}`, items.map(item => ({
+            item,
+            type: 'move_item_to_board',
+            board,
+            group,
+            columnsMapping: columnsMappingByBoardId[item.boardId] || [],
+        })), { unchanged: selectedItems.length - items.length });
+    }, [selectedItems, runAction]);
+
+    const handleRemoveItems = useCallback((type) => {
+        const verb = type === 'delete_item' ? 'Deleted' : 'Archived';
+        runAction(`${verb} ${itemsLabel(selectedItems.length)}`, selectedItems.map(item => ({ item, type })));
+    }, [selectedItems, runAction]);
+
+    const renderColumnChoice = (candidates, selectedColumn, onSelect) => (
+        candidates.length > 1 && (
+            <Flex gap={Flex.gaps.XSMALL} wrap>
+                {candidates.map(col => (
+                    <Button
+                        key={col.id}
+                        onClick={() => onSelect(col.id)}
+                        kind={col.id === selectedColumn.id ? Button.kinds.PRIMARY : Button.kinds.SECONDARY}
+                        size="xs"
+                    >
+                        {col.title}
+                    </Button>
+                ))}
+            </Flex>
+        )
+    );
+
+    const renderMenu = (action, label, content, isDisabled) => (
+        <Dialog
+            position="bottom"
+            offset={{ y: 6 }}
+            open={openAction === action}
+            onClose={closeMenu}
+            content={<DialogContentContainer className="monday-bulk-menu">{content}</DialogContentContainer>}
+            showTrigger={[]}
+            hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
+        >
+            <Button onClick={() => toggleMenu(action)} kind={Button.kinds.TERTIARY} size="small" disabled={isRunning || isDisabled}>
+                {label}
+            </Button>
+        </Dialog>
+    );
+
+    const renderConfirmation = (type, question) => (
+        <Flex gap={Flex.gaps.SMALL} align={Flex.align.CENTER}>
+            <Text type="text2" color="primary">{question}</Text>
+            <Button onClick={() => handleRemoveItems(type)} kind={Button.kinds.PRIMARY} color={Button.colors.NEGATIVE} size="small">
+                {type === 'delete_item' ? 'Delete' : 'Archive'}
+            </Button>
+            <Button onClick={closeMenu} kind={Button.kinds.TERTIARY} size="small">Cancel</Button>
+        </Flex>
+    );
+
+    // The summary outlives the selection, e.g. once every selected item was deleted
+    if (selectedItems.length === 0 && !isRunning && !summary) {
+        return null;
+    }
+
+    return (
+        <div className="monday-bulk-action-bar" role="toolbar" aria-label="Bulk actions">
+            {(selectedItems.length > 0 || isRunning) && <Flex gap={Flex.gaps.SMALL} align={Flex.align.CENTER} wrap>
+                <Text type="text2" weight="bold" color="primary">{itemsLabel(selectedItems.length)} selected</Text>
+
+                {openAction === 'archive' ? renderConfirmation('archive_item', `Archive ${itemsLabel(selectedItems.length)}?`)
+                    : openAction === 'delete' ? renderConfirmation('delete_item', `Delete ${itemsLabel(selectedItems.length)}? This can't be undone.`)
+                    : (
+                        <>
+                            {renderMenu('status', 'Set status', (
+                                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+                                    {statusColumns.map(col => (
+                                        <Flex key={col.id} direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.STRETCH}>
+                                            <Text type="text3" color="secondary">{col.title}</Text>
+                                            {col.statusOptions.map(option => (
+                                                <button
+                                                    key={option.id}
+                                                    type="button"
+                                                    className="monday-bulk-status-option"
+                                                    style={{ backgroundColor: option.color }}
+                                                    onClick={() => handleSetStatus(col, option)}
+                                                >
+                                                    {option.label}
+                                                </button>
+                                            ))}
+                                        </Flex>
+                                    ))}
+                                </Flex>
+                            ), statusColumns.length === 0)}
+
+                            {peopleColumn && renderMenu('people', 'Assign people', (
+                                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+                                    {renderColumnChoice(peopleColumns, peopleColumn, setPeopleColumnId)}
+                                    <TextField value={peopleSearchText} onChange={setPeopleSearchText} placeholder="Filter people" size="small" />
+                                    <div className="monday-bulk-people-list">
+                                        {peopleOptions.length === 0 && <Text type="text3" color="secondary">No people found</Text>}
+                                        {peopleOptions.map(user => (
+                                            <Flex key={user.id} align={Flex.align.CENTER} gap={Flex.gaps.SMALL}>
+                                                <Avatar
+                                                    type={user.photo_original ? Avatar.types.IMG : Avatar.types.TEXT}
+                                                    src={user.photo_original || undefined}
+                                                    text={user.name.substring(0, 2).toUpperCase()}
+                                                    ariaLabel={user.name}
+                                                    size="small"
+                                                />
+                                                <Text type="text2" color="primary" style={{ flexGrow: 1 }} ellipsis>{user.name}</Text>
+                                                <Button onClick={() => handleChangeAssignee(user, true)} kind={Button.kinds.SECONDARY} size="xxs">Assign</Button>
+                                                <Button onClick={() => handleChangeAssignee(user, false)} kind={Button.kinds.TERTIARY} size="xxs">Unassign</Button>
+                                            </Flex>
+                                        ))}
+                                    </div>
+                                </Flex>
+                            ))}
+
+                            {dateColumn && renderMenu('date', 'Set date', (
+                                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+                                    {renderColumnChoice(dateColumns, dateColumn, setDateColumnId)}
+                                    <input
+                                        type="date"
+                                        value={dateDraft}
+                                        onChange={(e) => setDateDraft(e.target.value)}
+                                        className="monday-cell-editor-input"
+                                    />
+                                    <Flex gap={Flex.gaps.XSMALL} justify={Flex.justify.END}>
+                                        <Button onClick={() => handleSetDate('')} kind={Button.kinds.TERTIARY} size="small">Clear date</Button>
+                                        <Button onClick={() => handleSetDate(dateDraft)} size="small" disabled={dateDraft === ''}>Apply</Button>
+                                    </Flex>
+                                </Flex>
+                            ))}
+
+                            {renderMenu('group', 'Move to group', (
+                                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.STRETCH}>
+                                    {groupTitles.map(title => (
+                                        <Button key={title} onClick={() => handleMoveToGroup(title)} kind={Button.kinds.TERTIARY} size="small" style={{ justifyContent: 'flex-start' }}>
+                                            {title}
+                                        </Button>
+                                    ))}
+                                </Flex>
+                            ), groupTitles.length === 0)}
+
+                            {renderMenu('board', 'Move to board', (
+                                <MoveToBoardForm items={selectedItems} boards={boards} onSubmit={handleMoveToBoard} onCancel={closeMenu} />
+                            ))}
+
+                            <Button onClick={() => setOpenAction('archive')} kind={Button.kinds.TERTIARY} size="small" disabled={isRunning}>Archive</Button>
+                            <Button onClick={() => setOpenAction('delete')} kind={Button.kinds.TERTIARY} size="small" disabled={isRunning}>Delete</Button>
+                            <Divider direction={Divider.directions.VERTICAL} style={{ height: '20px' }} />
+                            <Button onClick={onClearSelection} kind={Button.kinds.TERTIARY} size="small" disabled={isRunning}>Clear selection</Button>
+                        </>
+                    )}
+
+                {isRunning && (
+                    <Flex gap={Flex.gaps.XSMALL} align={Flex.align.CENTER}>
+                        <Loader size={16} />
+                        <Text type="text3" color="secondary">Applying...</Text>
+                    </Flex>
+                )}
+            </Flex>}
+
+            {summary && !isRunning && (
+                <div className={`monday-bulk-summary${summary.failed.length > 0 ? ' monday-bulk-summary-with-failures' : ''}`} role="status">
+                    <Flex gap={Flex.gaps.SMALL} align={Flex.align.CENTER}>
+                        <Text type="text2" color="primary" style={{ flexGrow: 1 }}>
+                            {[
+                                `${summary.label}: ${summary.succeeded} succeeded`,
+                                summary.unchanged > 0 ? `${summary.unchanged} already up to date` : null,
+                                summary.failed.length > 0 ? `${summary.failed.length} failed` : null,
+                            ].filter(Boolean).join(', ')}
+                        </Text>
+                        <Button onClick={() => setSummary(null)} kind={Button.kinds.TERTIARY} size="xxs" ariaLabel="Dismiss summary">✕</Button>
+                    </Flex>
+                    {summary.failed.slice(0, MAX_LISTED_FAILURES).map(({ item, error }) => (
+                        <Text key={item.id} type="text3" color="secondary" element="div" ellipsis>
+                            {item.name || 'Untitled'} ({item.boardName || `Board ${item.boardId}`}): {error}
+                        </Text>
+                    ))}
+                    {summary.failed.length > MAX_LISTED_FAILURES && (
+                        <Text type="text3" color="secondary" element="div">
+                            and {summary.failed.length - MAX_LISTED_FAILURES} more
+                        </Text>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,255 @@
+// EditableCell.jsx
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Text } from '@vibe/core';
+
+// Column types this editor handles; everything else stays read-only (or has its own editor, like status)
+export const EDITABLE_COLUMN_TYPES = ['text', 'long_text', 'numbers', 'date'];
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+const parseJsonValue = (rawValue) => {
+    if (!rawValue || String(rawValue).trim() === '') {
+        return null;
+    }
+    try {
+        return JSON.parse(rawValue);
+    } catch (e) {
+        return null;
+    }
+};
+
+const padTwo = (number) => String(number).padStart(2, '0');
+
+// Date columns store a time in UTC, while the editor shows and takes the user's local time.
+// Both helpers work on `YYYY-MM-DD` dates and `HH:MM[:SS]` times; the date can move a day either way.
+const utcToLocalDateTime = (date, time) => {
+    const moment = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+    if (isNaN(moment.getTime())) {
+        return { date, time: time.slice(0, 5) };
+    }
+    return {
+        date: `${moment.getFullYear()}-${padTwo(moment.getMonth() + 1)}-${padTwo(moment.getDate())}`,
+        time: `${padTwo(moment.getHours())}:${padTwo(moment.getMinutes())}`,
+    };
+};
+
+const localToUtcDateTime = (date, time) => {
+    const moment = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}`);
+    const isoString = moment.toISOString();
+    return { date: isoString.slice(0, 10), time: isoString.slice(11, 19) };
+};
+
+// The editor's starting draft for a column value: { text } for text-like columns, { date, time } for dates
+const getInitialDraft = (columnType, columnValue) => {
+    const parsedValue = parseJsonValue(columnValue?.value);
+    switch (columnType) {
+        case 'date':
+            if (parsedValue?.date && parsedValue?.time) {
+                return utcToLocalDateTime(parsedValue.date, parsedValue.time);
+            }
+            return { date: parsedValue?.date || '', time: '' };
+        case 'long_text':
+            return { text: parsedValue?.text ?? columnValue?.text ?? '' };
+        default:
+            return { text: columnValue?.text ?? '' };
+    }
+};
+
+/**
+ * Validates a draft and turns it into the JSON string change_column_value expects for the column type.
+ * Also used by the add item form, with `{ text }` drafts, or `{ date, time }` for dates (a local time).
+ * @param {string} columnType - text, long_text, numbers or date.
+ * @param {object} draft - The editor's draft.
+ * @returns {{payload: string|null, text: string, error: string|null}} The payload and the text the cell will show,
+ * or a message explaining why the draft is invalid.
+ */
+export const buildEditorPayload = (columnType, draft) => {
+    switch (columnType) {
+        case 'numbers': {
+            const number = draft.text.trim();
+            if (number !== '' && !NUMBER_PATTERN.test(number)) {
+                return { payload: null, text: '', error: 'Enter a number, e.g. 42 or -3.5' };
+            }
+            return { payload: JSON.stringify(number), text: number, error: null };
+        }
+        case 'date': {
+            if (draft.date === '') {
+                return draft.time === ''
+                    ? { payload: JSON.stringify({}), text: '', error: null }
+                    : { payload: null, text: '', error: 'Pick a date for this time' };
+            }
+            if (!DATE_PATTERN.test(draft.date) || isNaN(new Date(`${draft.date}T00:00:00Z`).getTime())) {
+                return { payload: null, text: '', error: 'Enter a valid date' };
+            }
+            if (draft.time !== '' && !TIME_PATTERN.test(draft.time)) {
+                return { payload: null, text: '', error: 'Enter a valid time' };
+            }
+            if (draft.time === '') {
+                return { payload: JSON.stringify({ date: draft.date }), text: draft.date, error: null };
+            }
+            // The cell shows the local time the user picked; monday.com is sent its UTC equivalent
+            return {
+                payload: JSON.stringify(localToUtcDateTime(draft.date, draft.time)),
+                text: `${draft.date} ${draft.time.slice(0, 5)}`,
+                error: null,
+            };
+        }
+        case 'long_text':
+            return { payload: JSON.stringify({ text: draft.text }), text: draft.text, error: null };
+        default:
+            if (/[\r\n]/.test(draft.text)) {
+                return { payload: null, text: '', error: 'Text columns hold a single line' };
+            }
+            return { payload: JSON.stringify(draft.text), text: draft.text, error: null };
+    }
+};
+
+/**
+ * Click-to-edit wrapper for text, long text, numbers and date cells. Shows `children` until
+ * clicked, then an editor that saves on Enter or blur and cancels on Escape. Long text keeps
+ * Shift+Enter for new lines.
+ *
+ * @param {object} props
+ * @param {string} props.columnType - One of EDITABLE_COLUMN_TYPES.
+ * @param {object} [props.columnValue] - The item's current { text, value } for the column.
+ * @param {boolean} props.isEditing - Whether this cell's editor is open.
+ * @param {function} props.onStartEdit - Called when the cell is clicked.
+ * @param {function} props.onCancel - Called when editing ends without a change.
+ * @param {function(string, object)} props.onSave - Called with the JSON payload string and the `{ text, value }`
+ * to show until the change is confirmed.
+ * @param {React.ReactNode} props.children - The read-only cell content.
+ */
+function EditableCell({ columnType, columnValue, isEditing, onStartEdit, onCancel, onSave, children }) {
+    const [draft, setDraft] = useState(() => getInitialDraft(columnType, columnValue));
+    const [error, setError] = useState(null);
+    const firstInputRef = useRef(null);
+    // Set once Enter/Escape/blur has handled the edit, so the blur that follows doesn't save again
+    const isClosingRef = useRef(false);
+
+    // Latest value, read when the editor opens; a refresh underneath an open editor doesn't reset the draft
+    const columnValueRef = useRef(columnValue);
+    useEffect(() => {
+        columnValueRef.current = columnValue;
+    }, [columnValue]);
+
+    useEffect(() => {
+        if (isEditing) {
+            setDraft(getInitialDraft(columnType, columnValueRef.current));
+            setError(null);
+            isClosingRef.current = false;
+        }
+    }, [isEditing, columnType]);
+
+    useEffect(() => {
+        if (isEditing && firstInputRef.current) {
+            firstInputRef.current.focus();
+        }
+    }, [isEditing]);
+
+    const handleCancel = useCallback(() => {
+        isClosingRef.current = true;
+        onCancel();
+    }, [onCancel]);
+
+    const handleSave = useCallback(() => {
+        if (isClosingRef.current) return;
+        const { payload, text, error: validationError } = buildEditorPayload(columnType, draft);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        isClosingRef.current = true;
+        if (payload === buildEditorPayload(columnType, getInitialDraft(columnType, columnValue)).payload) {
+            onCancel();
+            return;
+        }
+        onSave(payload, { text, value: text === '' ? null : payload });
+    }, [columnType, draft, columnValue, onSave, onCancel]);
+
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Enter' && !(columnType === 'long_text' && e.shiftKey)) {
+            e.preventDefault();
+            handleSave();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            handleCancel();
+        }
+    }, [columnType, handleSave, handleCancel]);
+
+    // Moving focus between the date and time inputs isn't a blur of the editor
+    const handleBlur = useCallback((e) => {
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        handleSave();
+    }, [handleSave]);
+
+    const updateDraft = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+        setError(null);
+    };
+
+    if (!isEditing) {
+        return (
+            <div className="monday-editable-cell" onClick={onStartEdit} title="Click to edit">
+                {children}
+            </div>
+        );
+    }
+
+    const inputClassName = `monday-cell-editor-input${error ? ' monday-cell-editor-input-invalid' : ''}`;
+    let editor;
+    if (columnType === 'date') {
+        editor = (
+            <>
+                <input
+                    type="date"
+                    ref={firstInputRef}
+                    value={draft.date}
+                    onChange={(e) => updateDraft('date', e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className={inputClassName}
+                />
+                <input
+                    type="time"
+                    value={draft.time}
+                    onChange={(e) => updateDraft('time', e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className={inputClassName}
+                />
+            </>
+        );
+    } else if (columnType === 'long_text') {
+        editor = (
+            <textarea
+                ref={firstInputRef}
+                value={draft.text}
+                onChange={(e) => updateDraft('text', e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={3}
+                className={inputClassName}
+            />
+        );
+    } else {
+        editor = (
+            <input
+                type="text"
+                inputMode={columnType === 'numbers' ? 'decimal' : undefined}
+                ref={firstInputRef}
+                value={draft.text}
+                onChange={(e) => updateDraft('text', e.target.value)}
+                onKeyDown={handleKeyDown}
+                className={inputClassName}
+            />
+        );
+    }
+
+    return (
+        <div className="monday-cell-editor" onBlur={handleBlur}>
+            <div className="monday-cell-editor-inputs">{editor}</div>
+            {error && <Text type="text3" className="monday-cell-editor-error">{error}</Text>}
+        </div>
+    );
+}
+
+export default EditableCell;
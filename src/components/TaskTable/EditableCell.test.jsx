@@ -0,0 +1,58 @@
+// EditableCell.test.jsx
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { buildEditorPayload } from './EditableCell';
+
+describe('buildEditorPayload', () => {
+    it('accepts integers and decimals for numbers, and an empty value to clear', () => {
+        expect(buildEditorPayload('numbers', { text: ' -3.5 ' })).toEqual({ payload: '"-3.5"', text: '-3.5', error: null });
+        expect(buildEditorPayload('numbers', { text: '' })).toEqual({ payload: '""', text: '', error: null });
+        expect(buildEditorPayload('numbers', { text: '1,000' }).error).toBe('Enter a number, e.g. 42 or -3.5');
+    });
+
+    it('keeps text on a single line', () => {
+        expect(buildEditorPayload('text', { text: 'Hello' })).toEqual({ payload: '"Hello"', text: 'Hello', error: null });
+        expect(buildEditorPayload('text', { text: 'Two\nlines' }).error).toBe('Text columns hold a single line');
+    });
+
+    it('wraps long text and allows line breaks', () => {
+        expect(buildEditorPayload('long_text', { text: 'Two\nlines' })).toEqual({ payload: '{"text":"Two\\nlines"}', text: 'Two\nlines', error: null });
+    });
+
+    describe('dates', () => {
+        // Fixed zone so the local to UTC conversion is the same on every machine
+        let originalTimeZone;
+        beforeAll(() => {
+            originalTimeZone = process.env.TZ;
+            process.env.TZ = 'America/New_York';
+        });
+        afterAll(() => {
+            if (originalTimeZone === undefined) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = originalTimeZone;
+            }
+        });
+
+        it('sends a date without a time as is', () => {
+            expect(buildEditorPayload('date', { date: '2026-03-04', time: '' })).toEqual({ payload: '{"date":"2026-03-04"}', text: '2026-03-04', error: null });
+        });
+
+        it('sends a local time as UTC, moving the date when needed', () => {
+            expect(buildEditorPayload('date', { date: '2026-03-04', time: '21:30' })).toEqual({
+                payload: '{"date":"2026-03-05","time":"02:30:00"}',
+                text: '2026-03-04 21:30',
+                error: null,
+            });
+        });
+
+        it('clears the date when both fields are empty', () => {
+            expect(buildEditorPayload('date', { date: '', time: '' })).toEqual({ payload: '{}', text: '', error: null });
+        });
+
+        it('rejects a time without a date and invalid values', () => {
+            expect(buildEditorPayload('date', { date: '', time: '10:00' }).error).toBe('Pick a date for this time');
+            expect(buildEditorPayload('date', { date: '2026-13-40', time: '' }).error).toBe('Enter a valid date');
+            expect(buildEditorPayload('date', { date: '2026-03-04', time: '9am' }).error).toBe('Enter a valid time');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+// MoveToBoardForm.jsx
+import React, { useState, useMemo } from 'react';
+import {
+    Button,
+    Flex,
+    Text,
+} from '@vibe/core';
+
+// Columns monday.com computes itself; their values can't be carried over, so they always map to null
+const UNMAPPABLE_COLUMN_TYPES = ['formula', 'auto_number', 'creation_log', 'last_updated', 'item_id', 'mirror', 'subtasks'];
+
+// Target column a source column maps to unless the user picks another: same type, same ID or else same title
+const getDefaultTarget = (sourceColumn, targetColumns) => {
+    if (UNMAPPABLE_COLUMN_TYPES.includes(sourceColumn.type)) {
+        return null;
+    }
+    const sameType = targetColumns.filter(col => col.type === sourceColumn.type);
+    const match = sameType.find(col => col.id === sourceColumn.id)
+        || sameType.find(col => String(col.title).trim().toLowerCase() === String(sourceColumn.title).trim().toLowerCase());
+    return match ? match.id : null;
+};
+
+/**
+ * Move to board step of the bulk action bar: picks one of the selected boards and a group on it,
+ * then maps each source board's columns to the target board's, since column IDs differ between
+ * boards. Columns mapped to nothing lose their values.
+ *
+ * @param {object} props
+ * @param {object[]} props.items - The items to move, possibly from several boards.
+ * @param {Array<{id: string, name: string, columns: object[], groups: object[]}>} props.boards - The selected boards.
+ * @param {function({board: object, group: object, columnsMappingByBoardId: object})} props.onSubmit - Called with the
+ * target board and group, and the `[{ source, target }]` mapping for each source board ID.
+ * @param {function} props.onCancel - Closes the form.
+ */
+function MoveToBoardForm({ items, boards, onSubmit, onCancel }) {
+    const [targetBoardId, setTargetBoardId] = useState(() => {
+        const itemBoardIds = new Set(items.map(item => String(item.boardId)));
+        const otherBoard = boards.find(board => !itemBoardIds.has(String(board.id)));
+        return otherBoard ? otherBoard.id : (boards[0] ? boards[0].id : '');
+    });
+    const [groupId, setGroupId] = useState('');
+    // Columns the user re-mapped, by source board ID and source column ID; '' means "don't keep"
+    const [mappingOverrides, setMappingOverrides] = useState({});
+
+    const targetBoard = boards.find(board => board.id === targetBoardId) || boards[0];
+    const targetGroups = targetBoard ? targetBoard.groups || [] : [];
+    const targetGroup = targetGroups.find(group => group.id === groupId) || targetGroups[0];
+
+    const itemsToMove = useMemo(() => (
+        targetBoard ? items.filter(item => String(item.boardId) !== String(targetBoard.id)) : []
+    ), [items, targetBoard]);
+
+    const sourceBoards = useMemo(() => {
+        const sourceBoardIds = new Set(itemsToMove.map(item => String(item.boardId)));
+        return boards.filter(board => sourceBoardIds.has(String(board.id)));
+    }, [boards, itemsToMove]);
+
+    const getTarget = (sourceBoard, sourceColumn) => {
+        const override = mappingOverrides[sourceBoard.id]?.[sourceColumn.id];
+        if (typeof override !== 'undefined') {
+            return override === '' ? null : override;
+        }
+        return getDefaultTarget(sourceColumn, targetBoard.columns || []);
+    };
+
+    const handleMappingChange = (sourceBoardId, sourceColumnId, target) => {
+        setMappingOverrides(prev => ({ ...prev, [sourceBoardId]: { ...(prev[sourceBoardId] || {}), [sourceColumnId]: target } }));
+    };
+
+    const handleSubmit = () => {
+        const columnsMappingByBoardId = {};
+        sourceBoards.forEach(sourceBoard => {
+            columnsMappingByBoardId[sourceBoard.id] = (sourceBoard.columns || []).map(col => ({ source: col.id, target: getTarget(sourceBoard, col) }));
+        });
+        onSubmit({
+            board: { id: targetBoard.id, name: targetBoard.name },
+            group: { id: targetGroup.id, title: targetGroup.title },
+            columnsMappingByBoardId,
+        });
+    };
+
+    if (boards.length < 2) {
+        return <Text type="text2" color="secondary">Select another board in the settings dialog to move items to it.</Text>;
+    }
+
+    return (
+        <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+            <label className="monday-add-item-field">
+                <Text type="text3" color="secondary">Target board</Text>
+                <select
+                    value={targetBoard.id}
+                    onChange={(e) => { setTargetBoardId(e.target.value); setGroupId(''); }}
+                    className="monday-cell-editor-input"
+                >
+                    {boards.map(board => <option key={board.id} value={board.id}>{board.name}</option>)}
+                </select>
+            </label>
+            <label className="monday-add-item-field">
+                <Text type="text3" color="secondary">Group</Text>
+                <select value={targetGroup ? targetGroup.id : ''} onChange={(e) => setGroupId(e.target.value)} className="monday-cell-editor-input">
+                    {targetGroups.map(group => <option key={group.id} value={group.id}>{group.title}</option>)}
+                </select>
+            </label>
+
+            {sourceBoards.map(sourceBoard => (
+                <Flex key={sourceBoard.id} direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.STRETCH}>
+                    <Text type="text2" weight="bold" color="primary">Columns from {sourceBoard.name}</Text>
+                    {(sourceBoard.columns || [])
+                        .filter(col => col.type !== 'name' && !UNMAPPABLE_COLUMN_TYPES.includes(col.type))
+                        .map(col => {
+                            const candidates = (targetBoard.columns || []).filter(targetColumn => targetColumn.type === col.type);
+                            return (
+                                <label key={col.id} className="monday-move-mapping-row">
+                                    <Text type="text3" color="primary" ellipsis>{col.title}</Text>
+                                    <select
+                                        value={getTarget(sourceBoard, col) || ''}
+                                        onChange={(e) => handleMappingChange(sourceBoard.id, col.id, e.target.value)}
+                                        className="monday-cell-editor-input"
+                                    >
+                                        <option value="">Don't keep</option>
+                                        {candidates.map(targetColumn => (
+                                            <option key={targetColumn.id} value={targetColumn.id}>{targetColumn.title}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            );
+                        })}
+                </Flex>
+            ))}
+
+            {items.length > itemsToMove.length && (
+                <Text type="text3" color="secondary">
+                    {items.length - itemsToMove.length} selected item{items.length - itemsToMove.length === 1 ? ' is' : 's are'} already on this board.
+                </Text>
+            )}
+            <Flex gap={Flex.gaps.XSMALL} justify={Flex.justify.END}>
+                <Button onClick={onCancel} kind={Button.kinds.TERTIARY} size="small">Cancel</Button>
+                <Button onClick={handleSubmit} size="small" disabled={!targetGroup || itemsToMove.length === 0}>
+                    Move {itemsToMove.length} item{itemsToMove.length === 1 ? '' : 's'}
+                </Button>
+            </Flex>
+        </Flex>
+    );
+}
+
+export default MoveToBoardForm;
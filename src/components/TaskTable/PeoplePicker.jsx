@@ -0,0 +1,201 @@
+// PeoplePicker.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+    Avatar,
+    Button,
+    DialogContentContainer,
+    Divider,
+    Flex,
+    Text,
+    TextField,
+} from '@vibe/core';
+import { useMondayAPI } from '../../hooks/useMondayAPI';
+import { useUserDirectory } from '../../hooks/useUserDirectory';
+import { GET_TEAMS_QUERY, SEARCH_USERS_QUERY } from '../../api/mondayQueries';
+import { buildPeoplePayload } from '../../api/columnValues';
+
+// Teams shown per search; users are limited by the query itself
+const MAX_TEAM_RESULTS = 5;
+
+const isSameEntry = (a, b) => String(a.id) === String(b.id) && a.kind === b.kind;
+
+const renderEntryAvatar = (record, kind) => (
+    <Avatar
+        type={(kind === 'team' ? record?.picture_url : record?.photo_original) ? Avatar.types.IMG : Avatar.types.TEXT}
+        src={(kind === 'team' ? record?.picture_url : record?.photo_original) || undefined}
+        text={record?.name ? record.name.substring(0, 2).toUpperCase() : '?'}
+        ariaLabel={record?.name || 'Unknown'}
+        size="small"
+        square={kind === 'team'}
+    />
+);
+
+/**
+ * Assignee editor for person/people cells. Searches account users by name and filters teams
+ * locally; every add or remove is written right away through `onChange`.
+ *
+ * @param {object} props
+ * @param {Array<{id: string|number, kind: string}>} props.entries - The cell's current `personsAndTeams`.
+ * @param {string|number|null} props.currentUserId - The viewer, for "Assign to me".
+ * @param {boolean} props.isSingle - True for legacy single-person columns; adding replaces the assignee.
+ * @param {function(string, object)} props.onChange - Called with the new column value payload and the
+ * `{ text, value }` to show until the change is confirmed.
+ */
+function PeoplePicker({ entries, currentUserId, isSingle, onChange }) {
+    const { queryMonday } = useMondayAPI();
+    const { users, teams, rememberPeople } = useUserDirectory();
+
+    const [selectedEntries, setSelectedEntries] = useState(() => entries.filter(entry => entry.kind === 'person' || entry.kind === 'team'));
+    const [searchText, setSearchText] = useState('');
+    const [userResults, setUserResults] = useState([]);
+    const [allTeams, setAllTeams] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+
+    // Teams can't be searched server-side, so they're loaded once per opening and filtered below
+    useEffect(() => {
+        const controller = new AbortController();
+        const fetchTeams = async () => {
+            try {
+                const data = await queryMonday(GET_TEAMS_QUERY, {}, { signal: controller.signal });
+                const fetchedTeams = (data && data.teams) || [];
+                setAllTeams(fetchedTeams);
+                rememberPeople('team', fetchedTeams);
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error("PeoplePicker.jsx: Error loading teams:", err);
+                }
+            }
+        };
+        fetchTeams();
+        return () => controller.abort();
+    }, [queryMonday, rememberPeople]);
+
+    // Searches users once typing pauses; a newer search cancels the one in flight
+    useEffect(() => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(async () => {
+            setIsSearching(true);
+            setSearchError(null);
+            try {
+                const data = await queryMonday(SEARCH_USERS_QUERY(searchText), {}, { signal: controller.signal });
+                const fetchedUsers = (data && data.users) || [];
+                setUserResults(fetchedUsers);
+                rememberPeople('person', fetchedUsers);
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error("PeoplePicker.jsx: Error searching users:", err);
+                setSearchError('Could not search people. Please try again.');
+            } finally {
+                if (!controller.signal.aborted) {
+                    setIsSearching(false);
+                }
+            }
+        }, 300);
+        return () => {
+            clearTimeout(timeoutId);
+            controller.abort();
+        };
+    }, [searchText, queryMonday, rememberPeople]);
+
+    const applyEntries = useCallback((nextEntries) => {
+        setSelectedEntries(nextEntries);
+        const payload = buildPeoplePayload(nextEntries);
+        const names = nextEntries.map(entry => (entry.kind === 'team' ? teams[entry.id] : users[entry.id])?.name).filter(Boolean);
+        onChange(payload, { text: names.join(', '), value: nextEntries.length > 0 ? payload : null });
+    }, [onChange, users, teams]);
+
+    const handleAdd = useCallback((entry) => {
+        if (selectedEntries.some(selected => isSameEntry(selected, entry))) return;
+        applyEntries(isSingle ? [entry] : [...selectedEntries, entry]);
+    }, [selectedEntries, isSingle, applyEntries]);
+
+    const handleRemove = useCallback((entry) => {
+        applyEntries(selectedEntries.filter(selected => !isSameEntry(selected, entry)));
+    }, [selectedEntries, applyEntries]);
+
+    const searchResults = useMemo(() => {
+        const lowerSearch = searchText.trim().toLowerCase();
+        const teamResults = allTeams
+            .filter(team => lowerSearch === '' || String(team.name || '').toLowerCase().includes(lowerSearch))
+            .slice(0, MAX_TEAM_RESULTS)
+            .map(team => ({ id: String(team.id), kind: 'team', record: team }));
+        const personResults = userResults.map(user => ({ id: String(user.id), kind: 'person', record: user }));
+        return [...personResults, ...teamResults].filter(result => !selectedEntries.some(selected => isSameEntry(selected, result)));
+    }, [searchText, allTeams, userResults, selectedEntries]);
+
+    const isAssignedToMe = currentUserId !== null && selectedEntries.some(entry => isSameEntry(entry, { id: currentUserId, kind: 'person' }));
+
+    return (
+        <DialogContentContainer style={{ padding: '12px', minWidth: '260px', maxWidth: '320px', backgroundColor: 'white' }}>
+            <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL} align={Flex.align.STRETCH}>
+                {currentUserId && !isAssignedToMe && (
+                    <Button
+                        onClick={() => handleAdd({ id: String(currentUserId), kind: 'person' })}
+                        kind={Button.kinds.SECONDARY}
+                        size="small"
+                    >
+                        Assign to me
+                    </Button>
+                )}
+
+                {selectedEntries.length === 0 ? (
+                    <Text type="text2" color="secondary">No one assigned</Text>
+                ) : (
+                    selectedEntries.map(entry => {
+                        const record = entry.kind === 'team' ? teams[entry.id] : users[entry.id];
+                        return (
+                            <Flex key={`${entry.kind}-${entry.id}`} align={Flex.align.CENTER} gap={Flex.gaps.SMALL}>
+                                {renderEntryAvatar(record, entry.kind)}
+                                <Text type="text2" color="primary" style={{ flexGrow: 1, textAlign: 'left' }} ellipsis>
+                                    {record?.name || (entry.kind === 'team' ? 'Unknown Team' : 'Unknown')}
+                                </Text>
+                                <Button
+                                    onClick={() => handleRemove(entry)}
+                                    kind={Button.kinds.TERTIARY}
+                                    size="xxs"
+                                    ariaLabel={`Remove ${record?.name || 'assignee'}`}
+                                >
+                                    ✕
+                                </Button>
+                            </Flex>
+                        );
+                    })
+                )}
+
+                <Divider style={{ margin: '4px 0' }} />
+
+                <TextField
+                    value={searchText}
+                    onChange={setSearchText}
+                    placeholder="Search people or teams"
+                    size="small"
+                    autoFocus
+                />
+                {searchError && <Text type="text3" style={{ color: '#e2445c' }}>{searchError}</Text>}
+                {isSearching && searchResults.length === 0 && <Text type="text3" color="secondary">Searching...</Text>}
+                {!isSearching && !searchError && searchResults.length === 0 && (
+                    <Text type="text3" color="secondary">No matches</Text>
+                )}
+                <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                    {searchResults.map(result => (
+                        <Button
+                            key={`${result.kind}-${result.id}`}
+                            onClick={() => handleAdd({ id: result.id, kind: result.kind })}
+                            kind={Button.kinds.TERTIARY}
+                            size="small"
+                            style={{ width: '100%', justifyContent: 'flex-start', gap: '8px' }}
+                        >
+                            {renderEntryAvatar(result.record, result.kind)}
+                            <Text type="text2" color="primary" ellipsis>
+                                {result.record.name}{result.kind === 'team' ? ' (team)' : ''}
+                            </Text>
+                        </Button>
+                    ))}
+                </div>
+            </Flex>
+        </DialogContentContainer>
+    );
+}
+
+export default PeoplePicker;
@@ -5,6 +5,7 @@ import {
     TableHeader,
     TableHeaderCell,
     TableBody,
+    TableVirtualizedBody,
     TableRow,
     TableCell,
     EmptyState,
@@ -19,22 +20,144 @@ import {
     Divider,
     Link,
     Heading,
+    Search,
     Text,
     Icon,
     Checkbox,
 } from '@vibe/core';
 
-import { Filter } from '@vibe/icons';
+import { Filter, Update } from '@vibe/icons';
 
 
 import mondaySdk from 'monday-sdk-js';
 import { useMondayAPI } from '../../hooks/useMondayAPI';
-import { GET_USER_DETAILS_QUERY, UPDATE_COLUMN_VALUE_QUERY, UPDATE_ITEM_NAME_QUERY } from '../../api/mondayQueries';
+import { useUserDirectory } from '../../hooks/useUserDirectory';
+import { useUpdateSummaries } from '../../hooks/useUpdateSummaries';
+import { GET_ACCOUNT_QUERY } from '../../api/mondayQueries';
+import { getPeopleEntries, getStoredDate } from '../../api/columnValues';
+import EditableCell, { EDITABLE_COLUMN_TYPES } from './EditableCell';
+import PeoplePicker from './PeoplePicker';
+import BulkActionBar from './BulkActionBar';
+import AddItemForm from './AddItemForm';
+import UpdatesPanel from './UpdatesPanel';
 
 import './TaskTable.css';
 
 const monday = mondaySdk();
 
+// Leading checkbox column; it isn't part of columnIds, so it can't be sorted or filtered
+const SELECTION_COLUMN = { id: 'row_selection_column', title: '', width: 48 };
+
+// Rows have a fixed height (the Table's "large" size) so only the visible ones are rendered
+const ROW_HEIGHT = 48;
+const ROW_OVERSCAN_COUNT = 10;
+// Smallest width of each column type. When the fields don't fit, columns get exactly these widths,
+// which is what lets off-screen columns be skipped without measuring them.
+const COLUMN_MIN_WIDTHS = { item_name: 280, board_link: 180, group: 160, status: 150, person: 140, people: 140, date: 130 };
+const DEFAULT_COLUMN_MIN_WIDTH = 170;
+// Columns within this distance of the visible area are still rendered, so horizontal scrolling shows no blanks
+const COLUMN_OVERSCAN_PX = 400;
+// Vertical scrolling is tracked in steps of this many pixels (a few rows)
+const VERTICAL_VIEWPORT_STEP_PX = ROW_HEIGHT * 5;
+
+// Column values by ID, built once per column_values array; every cell, filter and sort looks values up here
+const columnValueMaps = new WeakMap();
+const getColumnValue = (item, columnId) => {
+    let valueMap = columnValueMaps.get(item.column_values);
+    if (!valueMap) {
+        valueMap = new Map(item.column_values.map(cv => [cv.id, cv]));
+        columnValueMaps.set(item.column_values, valueMap);
+    }
+    return valueMap.get(columnId);
+};
+
+// Column types the table can be grouped by; board and group are the virtual Board and Group columns
+const GROUP_BY_COLUMN_TYPES = ['board_link', 'group', 'status', 'person', 'people'];
+const MAX_GROUP_BY_LEVELS = 2;
+
+const normalizeStatusText = (text) => {
+    const statusText = String(text || '').trim();
+    return (statusText === '-' || statusText === 'undefined' || statusText === 'null' || statusText === '') ? 'No status' : statusText;
+};
+
+/**
+ * The section an item falls in when grouping by a column. Items with several assignees form a
+ * section of their own per combination, so every item shows up exactly once.
+ * @returns {{key: string, label: string, isEmpty: boolean}}
+ */
+const getSectionKey = (item, columnMeta, users, teams) => {
+    switch (columnMeta.type) {
+        case 'board_link':
+            return { key: String(item.boardId), label: item.boardName || 'Unknown Board', isEmpty: false };
+        case 'group': {
+            const title = item.group ? String(item.group.title || '').trim() : '';
+            return { key: title.toLowerCase(), label: title || 'No group', isEmpty: title === '' };
+        }
+        case 'status': {
+            const statusText = normalizeStatusText(getColumnValue(item, columnMeta.id)?.text);
+            return { key: statusText, label: statusText, isEmpty: statusText === 'No status' };
+        }
+        default: {
+            const columnValue = getColumnValue(item, columnMeta.id);
+            const entries = getPeopleEntries(columnValue ? columnValue.value : null)
+                .filter(entry => entry.kind === 'person' || entry.kind === 'team')
+                .map(entry => ({ key: `${entry.kind}-${entry.id}`, name: (entry.kind === 'team' ? teams[entry.id] : users[entry.id])?.name || 'Unknown' }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            return {
+                key: entries.map(entry => entry.key).sort().join(','),
+                label: entries.length > 0 ? entries.map(entry => entry.name).join(', ') : 'Unassigned',
+                isEmpty: entries.length === 0,
+            };
+        }
+    }
+};
+
+/**
+ * Splits items into sections by the first group-by column, then each section by the next one.
+ * Statuses follow the column's label order and boards the board selection; other sections go
+ * alphabetically. Empty values ("No status", "Unassigned"...) come last.
+ * @returns {Array<{id: string, depth: number, label: string, items: object[], children: Array}>}
+ */
+export const buildSections = (items, groupByColumns, boards, users, teams, depth = 0, parentId = '') => {
+    const [columnMeta, ...nextColumns] = groupByColumns;
+    const sectionsByKey = new Map();
+    items.forEach(item => {
+        const { key, label, isEmpty } = getSectionKey(item, columnMeta, users, teams);
+        if (!sectionsByKey.has(key)) {
+            sectionsByKey.set(key, { id: `${parentId}${columnMeta.id}=${key}|`, depth, label, isEmpty, items: [] });
+        }
+        sectionsByKey.get(key).items.push(item);
+    });
+
+    const getOrder = (section) => {
+        if (columnMeta.type === 'status') {
+            const index = (columnMeta.statusOptions || []).findIndex(option => option.label === section.label);
+            return index === -1 ? Infinity : index;
+        }
+        if (columnMeta.type === 'board_link') {
+            const index = (boards || []).findIndex(board => String(board.id) === String(section.items[0].boardId));
+            return index === -1 ? Infinity : index;
+        }
+        return 0;
+    };
+
+    return [...sectionsByKey.values()]
+        .sort((a, b) => (a.isEmpty - b.isEmpty) || (getOrder(a) - getOrder(b)) || a.label.localeCompare(b.label))
+        .map(section => ({
+            ...section,
+            children: nextColumns.length > 0 ? buildSections(section.items, nextColumns, boards, users, teams, depth + 1, section.id) : [],
+        }));
+};
+
+const formatAggregate = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+// Cell dialogs are only mounted while open; closed cells render just their trigger, which keeps rows light
+const renderCellDialog = (isOpen, dialogProps, trigger) => (isOpen ? (
+    <Dialog showTrigger={[]} hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']} style={{ zIndex: 999999 }} {...dialogProps} open>
+        {trigger}
+    </Dialog>
+) : trigger);
+
 const getStatusColorStyle = (statusText) => {
     const lowerCaseStatus = String(statusText || '').trim().toLowerCase();
     switch (lowerCaseStatus) {
@@ -63,6 +186,325 @@ const getStatusColorStyle = (statusText) => {
     }
 };
 
+// Table column metadata; status columns get their labels and colors as `statusOptions`
+const buildColumnMeta = (col) => {
+    const columnData = {
+        id: col.id,
+        title: col.title,
+        type: col.type,
+    };
+
+    if (col.type === 'status' && col.settings_str) {
+        try {
+            const settings = JSON.parse(col.settings_str);
+            if (settings && settings.labels) {
+                columnData.statusOptions = Object.entries(settings.labels).map(([key, value]) => ({
+                    id: key,
+                    label: value,
+                    value: value,
+                    color: settings.labels_colors ? (settings.labels_colors[key]?.color || getStatusColorStyle(value).backgroundColor) : getStatusColorStyle(value).backgroundColor
+                }));
+                // Labels in the order the board shows them, rather than by label index
+                if (settings.labels_positions_v2) {
+                    const getPosition = (option) => {
+                        const position = Number(settings.labels_positions_v2[option.id]);
+                        return Number.isFinite(position) ? position : Infinity;
+                    };
+                    columnData.statusOptions.sort((a, b) => getPosition(a) - getPosition(b));
+                }
+                columnData.statusOptions.push({
+                    id: 'clear',
+                    label: 'No status',
+                    value: '',
+                    color: '#c4c4c4'
+                });
+            }
+        } catch (e) {
+            console.warn(`Error parsing settings for status column ${col.id}:`, e);
+        }
+    }
+
+    if (col.type === 'dropdown' && col.settings_str) {
+        try {
+            const settings = JSON.parse(col.settings_str);
+            const labels = settings && settings.labels ? settings.labels : [];
+            // Newer boards list labels as [{ id, name }], older ones as { id: name }
+            columnData.dropdownOptions = (Array.isArray(labels) ? labels.map(label => label.name) : Object.values(labels))
+                .filter(label => typeof label === 'string' && label !== '');
+        } catch (e) {
+            console.warn(`Error parsing settings for dropdown column ${col.id}:`, e);
+        }
+    }
+    return columnData;
+};
+
+// Column types the header offers a filter for
+const FILTERABLE_COLUMN_TYPES = ['status', 'person', 'people', 'numbers', 'date', 'text', 'link', 'dropdown'];
+
+// Date filter ranges relative to today, and what the filter dialog calls them
+const DATE_FILTER_RANGES = [
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'today', label: 'Today' },
+    { value: 'next_7_days', label: 'Next 7 days' },
+    { value: 'empty', label: 'No date' },
+    { value: 'not_empty', label: 'Has a date' },
+];
+
+/**
+ * Numbers, date and text filters are stored in `activeFilters` like the others, as a list of
+ * strings, each an `operator:operand` condition (e.g. `min:5`, `before:2024-06-01`, `range:overdue`,
+ * `contains:invoice`). An item has to meet all of a column's conditions.
+ */
+const parseFilterCondition = (filterValue) => {
+    const separatorIndex = String(filterValue).indexOf(':');
+    return separatorIndex === -1
+        ? { operator: String(filterValue), operand: '' }
+        : { operator: filterValue.slice(0, separatorIndex), operand: filterValue.slice(separatorIndex + 1) };
+};
+
+const getFilterOperand = (selectedValues, operator) => {
+    const condition = (selectedValues || []).map(parseFilterCondition).find(entry => entry.operator === operator);
+    return condition ? condition.operand : '';
+};
+
+// Local `YYYY-MM-DD` for a day `offsetDays` from today, comparable with stored dates as strings
+const getLocalDateKey = (offsetDays = 0) => {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+};
+
+// Whether a date cell meets one date filter condition
+const matchesDateCondition = (dateKey, { operator, operand }) => {
+    switch (operator) {
+        case 'before':
+            return dateKey !== null && dateKey < operand;
+        case 'after':
+            return dateKey !== null && dateKey > operand;
+        case 'range':
+            switch (operand) {
+                case 'overdue':
+                    return dateKey !== null && dateKey < getLocalDateKey();
+                case 'today':
+                    return dateKey === getLocalDateKey();
+                case 'next_7_days':
+                    return dateKey !== null && dateKey >= getLocalDateKey() && dateKey <= getLocalDateKey(7);
+                case 'empty':
+                    return dateKey === null;
+                case 'not_empty':
+                    return dateKey !== null;
+                default:
+                    return true;
+            }
+        default:
+            return true;
+    }
+};
+
+// Whether a numbers, text or link cell meets one filter condition
+const matchesValueCondition = (valueText, { operator, operand }) => {
+    switch (operator) {
+        case 'min':
+        case 'max': {
+            const number = parseFloat(valueText);
+            const limit = parseFloat(operand);
+            if (Number.isNaN(limit)) return true;
+            if (Number.isNaN(number)) return false;
+            return operator === 'min' ? number >= limit : number <= limit;
+        }
+        case 'contains':
+            return valueText.toLowerCase().includes(operand.toLowerCase());
+        case 'not_contains':
+            return !valueText.toLowerCase().includes(operand.toLowerCase());
+        default:
+            return true;
+    }
+};
+
+const NO_LABEL_FILTER_VALUE = 'No label';
+
+// Dropdown cells hold their labels' names joined with commas
+const getDropdownLabels = (columnValue) => {
+    const text = columnValue ? String(columnValue.text || '').trim() : '';
+    return text === '' ? [] : text.split(',').map(label => label.trim()).filter(Boolean);
+};
+
+// Column types a subitem column may stand in for when it's the only one of its type on the subitem board
+const SINGLE_MATCH_COLUMN_TYPES = ['status', 'people', 'person', 'date'];
+
+/**
+ * Maps the table's columns onto a subitem board's columns, since subitems have their own columns:
+ * same type and ID, else same type and title, else the only column of that type for statuses,
+ * people and dates. Each subitem column is used once; unmatched table columns map to null.
+ * @param {object[]} tableColumns - The table's column metadata.
+ * @param {object[]} subitemColumns - The subitem board's columns.
+ * @returns {Object<string, object|null>} Subitem column metadata by table column ID.
+ */
+const getSubitemColumnMap = (tableColumns, subitemColumns) => {
+    const usedColumnIds = new Set();
+    const columnMap = {};
+    tableColumns.forEach(tableColumn => {
+        if (tableColumn.id === 'item_name_column' || tableColumn.id === 'board_name_column') {
+            columnMap[tableColumn.id] = tableColumn;
+            return;
+        }
+        const candidates = subitemColumns.filter(col => col.type === tableColumn.type && !usedColumnIds.has(col.id));
+        const title = String(tableColumn.title).trim().toLowerCase();
+        const match = candidates.find(col => col.id === tableColumn.id)
+            || candidates.find(col => String(col.title).trim().toLowerCase() === title)
+            || (SINGLE_MATCH_COLUMN_TYPES.includes(tableColumn.type) && subitemColumns.filter(col => col.type === tableColumn.type).length === 1 ? candidates[0] : null);
+        if (match) {
+            usedColumnIds.add(match.id);
+        }
+        columnMap[tableColumn.id] = match ? buildColumnMeta(match) : null;
+    });
+    return columnMap;
+};
+
+/**
+ * Assignee names of a people cell, sorted and joined, so items compare by all their assignees
+ * rather than the first one.
+ */
+const getAssigneeSortText = (columnValue, users, teams) => (
+    getPeopleEntries(columnValue ? columnValue.value : null)
+        .filter(entry => entry.kind === 'person' || entry.kind === 'team')
+        .map(entry => (entry.kind === 'team' ? teams[entry.id] : users[entry.id])?.name || '')
+        .sort((a, b) => a.localeCompare(b))
+        .join(', ')
+);
+
+/**
+ * Ascending comparison of two items by one table column. Statuses compare by the column's label
+ * order, people by all their assignees' names.
+ * @returns {number}
+ */
+export const compareByColumn = (a, b, columnMeta, users, teams) => {
+    let valueA, valueB;
+
+    if (columnMeta.id === 'item_name_column') {
+        valueA = a.name || '';
+        valueB = b.name || '';
+    } else if (columnMeta.id === 'board_name_column') {
+        valueA = a.boardName || '';
+        valueB = b.boardName || '';
+    } else if (columnMeta.id === 'group_column') {
+        valueA = a.group?.title || '';
+        valueB = b.group?.title || '';
+    } else {
+        const columnValueA = getColumnValue(a, columnMeta.id);
+        const columnValueB = getColumnValue(b, columnMeta.id);
+
+        valueA = String(columnValueA ? (columnValueA.display_value || columnValueA.text || '') : '');
+        valueB = String(columnValueB ? (columnValueB.display_value || columnValueB.text || '') : '');
+
+        switch (columnMeta.type) {
+            case 'numbers':
+                valueA = parseFloat(valueA) || 0;
+                valueB = parseFloat(valueB) || 0;
+                break;
+            case 'date':
+                valueA = columnValueA && columnValueA.text ? new Date(columnValueA.text) : new Date(0);
+                valueB = columnValueB && columnValueB.text ? new Date(columnValueB.text) : new Date(0);
+                break;
+            case 'link':
+                try {
+                    const parsedA = columnValueA && columnValueA.value ? JSON.parse(columnValueA.value) : null;
+                    const parsedB = columnValueB && columnValueB.value ? JSON.parse(columnValueB.value) : null;
+                    valueA = parsedA?.url || parsedA?.text || '';
+                    valueB = parsedB?.url || parsedB?.text || '';
+                } catch (e) {
+                    valueA = columnValueA?.text || '';
+                    valueB = columnValueB?.text || '';
+                }
+                break;
+            case 'status': {
+                // By the column's label order, with "No status" after every label
+                const statusOptions = columnMeta.statusOptions || [];
+                const getStatusIndex = (columnValue) => {
+                    const statusText = normalizeStatusText(columnValue?.text);
+                    const index = statusOptions.findIndex(option => option.label === statusText);
+                    return index === -1 ? statusOptions.length : index;
+                };
+                valueA = getStatusIndex(columnValueA);
+                valueB = getStatusIndex(columnValueB);
+                break;
+            }
+            case 'person':
+            case 'people':
+                valueA = getAssigneeSortText(columnValueA, users, teams);
+                valueB = getAssigneeSortText(columnValueB, users, teams);
+                break;
+            default:
+                break;
+        }
+    }
+
+    let comparison = 0;
+    if (columnMeta.type === 'date') {
+        comparison = valueA.getTime() - valueB.getTime();
+    } else if (typeof valueA === 'string' && typeof valueB === 'string') {
+        comparison = valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+    } else if (typeof valueA === 'number' && typeof valueB === 'number') {
+        comparison = valueA - valueB;
+    } else {
+        comparison = String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    return comparison;
+};
+
+/**
+ * Text the quick search looks at in one cell: names and titles of the built-in columns, status
+ * labels, assignee names and text values. Dates aren't searched.
+ */
+const getSearchableText = (item, columnMeta, users, teams) => {
+    switch (columnMeta.id) {
+        case 'item_name_column':
+            return item.name || '';
+        case 'board_name_column':
+            return item.boardName || '';
+        case 'group_column':
+            return item.group ? item.group.title || '' : '';
+        default:
+            break;
+    }
+    const columnValue = getColumnValue(item, columnMeta.id);
+    switch (columnMeta.type) {
+        case 'date':
+            return '';
+        case 'person':
+        case 'people':
+            return getAssigneeSortText(columnValue, users, teams);
+        default:
+            return columnValue ? String(columnValue.display_value || columnValue.text || '') : '';
+    }
+};
+
+// Wraps case-insensitive occurrences of the search query in <mark>; text without one comes back as is
+const highlightMatches = (text, query) => {
+    const value = String(text ?? '');
+    const lowerValue = value.toLowerCase();
+    const lowerQuery = query.toLowerCase();
+    let matchIndex = query === '' ? -1 : lowerValue.indexOf(lowerQuery);
+    if (matchIndex === -1) {
+        return value;
+    }
+    const parts = [];
+    let start = 0;
+    while (matchIndex !== -1) {
+        if (matchIndex > start) {
+            parts.push(value.slice(start, matchIndex));
+        }
+        parts.push(<mark key={matchIndex} className="monday-search-match">{value.slice(matchIndex, matchIndex + query.length)}</mark>);
+        start = matchIndex + query.length;
+        matchIndex = lowerValue.indexOf(lowerQuery, start);
+    }
+    if (start < value.length) {
+        parts.push(value.slice(start));
+    }
+    return parts;
+};
+
 const TableErrorState = () => (
     <AttentionBox
         title="Error loading data"
@@ -72,13 +514,15 @@ const TableErrorState = () => (
     />
 );
 
-function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
+function TaskTable({ columnIds, allBoardColumns, boardItems, boards, boardGroups, onColumnValueChange, onItemRename, onBulkAction, onCreateItem, onMoveToGroup, pendingCells, cellErrors, onDismissCellError, onInteractionChange, activeFilters, onFiltersChange, subitemBoards, onLoadSubitems }) {
     const { queryMonday } = useMondayAPI();
 
     const [editingItemId, setEditingItemId] = useState(null);
     const [editedItemName, setEditedItemName] = useState('');
+    // The text, long text, numbers, date or people cell whose editor is open: { itemId, columnId }
+    const [editingCell, setEditingCell] = useState(null);
     const [mondayBaseUrl, setMondayBaseUrl] = useState('https://monday.com');
-    const [cachedUsers, setCachedUsers] = useState({});
+    const { users: cachedUsers, teams: cachedTeams, resolvePeople } = useUserDirectory();
     const [currentUserId, setCurrentUserId] = useState(null);
 
     const [cellDialogState, setCellDialogState] = useState({
@@ -91,12 +535,47 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
         isHover: false,
     });
 
-    const [sorting, setSorting] = useState({});
-    const [activeFilters, setActiveFilters] = useState({});
+    const [openFilterDialogId, setOpenFilterDialogId] = useState(null);
+
+    // Quick search over the visible fields; it narrows what the column filters and "My Tasks" let through
+    const [searchText, setSearchText] = useState('');
+    const searchQuery = searchText.trim();
+
+    // Sort keys in priority order, as [{ columnId, direction }]
+    const [sorting, setSorting] = useState([]);
+    // Whether the last header click held Shift; TableHeaderCell doesn't pass its event on
+    const isShiftSortRef = useRef(false);
+
+    // IDs (as strings) of the checked rows, and the row a shift-click extends the selection from
+    const [selectedItemIds, setSelectedItemIds] = useState(() => new Set());
+    const selectionAnchorIdRef = useRef(null);
+    const [isBulkMenuOpen, setIsBulkMenuOpen] = useState(false);
+    const [isAddItemOpen, setIsAddItemOpen] = useState(false);
+    // Parents whose subitems are shown, and the last load of each parent's subitems: { isLoading, error, count }
+    const [expandedItemIds, setExpandedItemIds] = useState(() => new Set());
+    const [subitemLoadStates, setSubitemLoadStates] = useState({});
+    // Item whose updates panel is open
+    const [updatesPanelItemId, setUpdatesPanelItemId] = useState(null);
+    // Group-by columns, outermost first, and the sections folded away (by section ID)
+    const [groupByColumnIds, setGroupByColumnIds] = useState([]);
+    const [collapsedSectionIds, setCollapsedSectionIds] = useState(() => new Set());
+    // Horizontal scroll position and width of the table body, for column virtualization
+    const [horizontalViewport, setHorizontalViewport] = useState({ left: 0, width: 0 });
+    // Vertical scroll position and height of the table body, to know which rows are rendered
+    const [verticalViewport, setVerticalViewport] = useState({ top: 0, height: 0 });
+    const tableBodyRef = useRef(null);
 
     const itemNameInputRef = useRef(null);
     const dialogHoverTimeoutRef = useRef(null);
 
+    // Let the parent know while an editor or a click-opened dialog is open, so it can hold back refreshes
+    const isInteracting = editingItemId !== null || editingCell !== null || openFilterDialogId !== null || isBulkMenuOpen || isAddItemOpen || (cellDialogState.isOpen && !cellDialogState.isHover);
+    useEffect(() => {
+        if (typeof onInteractionChange === 'function') {
+            onInteractionChange(isInteracting);
+        }
+    }, [isInteracting, onInteractionChange]);
+
     useEffect(() => {
         if (editingItemId !== null && itemNameInputRef.current) {
             itemNameInputRef.current.focus();
@@ -124,9 +603,9 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                 if (context && context.data && context.data.accountUrl) {
                     setMondayBaseUrl(context.data.account.url);
                 } else {
-                    const response = await monday.api(`query { account { slug } }`);
-                    if (response && response.data && response.data.account && response.data.account.slug) {
-                        const accountSlug = response.data.account.slug;
+                    const data = await queryMonday(GET_ACCOUNT_QUERY);
+                    if (data && data.account && data.account.slug) {
+                        const accountSlug = data.account.slug;
                         const defaultUrl = `https://${accountSlug}.monday.com`;
                         setMondayBaseUrl(defaultUrl);
                     }
@@ -136,61 +615,31 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
             }
         };
         fetchMondayBaseUrl();
-    }, []);
-
-    const fetchAndCacheUser = useCallback(async (userId) => {
-        if (!userId) {
-            return { id: null, name: 'Unknown', photo_original: null };
-        }
-        if (cachedUsers[userId]) {
-            return cachedUsers[userId];
-        }
+    }, [queryMonday]);
 
-        try {
-            const data = await queryMonday(GET_USER_DETAILS_QUERY(userId));
-            if (data && data.users && data.users.length > 0) {
-                const user = data.users[0];
-                setCachedUsers(prev => ({ ...prev, [userId]: user }));
-                return user;
-            }
-            setCachedUsers(prev => ({ ...prev, [userId]: { id: userId, name: 'Unknown', photo_original: null } }));
-            return { id: userId, name: 'Unknown', photo_original: null };
-        } catch (error) {
-            console.error(`TaskTable.jsx: Error getting user details for ID ${userId}:`, error);
-            setCachedUsers(prev => ({ ...prev, [userId]: { id: userId, name: 'Unknown', photo_original: null } }));
-            return { id: userId, name: 'Unknown', photo_original: null };
-        }
-    }, [cachedUsers, queryMonday]);
+    // Subitems live on their own boards, whose columns App loads along with them
+    const getItemBoardColumns = useCallback((item) => (
+        item.parentId ? ((subitemBoards && subitemBoards[item.boardId]) ? subitemBoards[item.boardId].columns : []) : allBoardColumns
+    ), [subitemBoards, allBoardColumns]);
 
+    // Queue every person and team referenced by people columns (and the current user) for the
+    // batched directory lookup; already cached entries are skipped by the directory itself.
     useEffect(() => {
-        const userIdsToFetch = new Set();
+        const refs = [];
+        if (currentUserId) {
+            refs.push({ id: currentUserId, kind: 'person' });
+        }
         boardItems.forEach(item => {
+            const itemBoardColumns = getItemBoardColumns(item);
             item.column_values.forEach(cv => {
-                const columnMeta = allBoardColumns.find(col => col.id === cv.id);
+                const columnMeta = itemBoardColumns.find(col => col.id === cv.id);
                 if (columnMeta && (columnMeta.type === 'person' || columnMeta.type === 'people')) {
-                    if (cv.value && String(cv.value).trim() !== '') {
-                        try {
-                            const parsedValue = JSON.parse(cv.value);
-                            let persons = [];
-                            if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
-                                persons = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
-                            } else if (Array.isArray(parsedValue)) {
-                                persons = parsedValue.filter(p => p.kind === 'person');
-                            }
-                            persons.forEach(p => {
-                                if (p.id && !cachedUsers[p.id]) {
-                                    userIdsToFetch.add(p.id);
-                                    fetchAndCacheUser(p.id);
-                                }
-                            });
-                        } catch (e) {
-                            // Error parsing person column value, ignore.
-                        }
-                    }
+                    refs.push(...getPeopleEntries(cv.value));
                 }
             });
         });
-    }, [boardItems, allBoardColumns, fetchAndCacheUser, cachedUsers]);
+        resolvePeople(refs);
+    }, [boardItems, getItemBoardColumns, currentUserId, resolvePeople]);
 
 
     const handleDoubleClick = useCallback((itemId, currentName) => {
@@ -198,24 +647,19 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
         setEditedItemName(currentName);
     }, []);
 
-    const handleSaveEdit = useCallback(async (itemId, boardId, currentName) => {
+    const handleSaveEdit = useCallback((itemId, boardId, currentName) => {
         if (editingItemId === itemId) {
             if (editedItemName.trim() !== '' && editedItemName.trim() !== currentName) {
-                try {
-                    await queryMonday(UPDATE_ITEM_NAME_QUERY(boardId, itemId, editedItemName.trim()));
-                    const updatedItem = boardItems.find(item => item.id === itemId && item.boardId === boardId);
-                    if (typeof onItemUpdated === 'function' && updatedItem) {
-                        await onItemUpdated(updatedItem.boardId, updatedItem.id);
-                    }
-                } catch (err) {
-                    alert('An error occurred while updating the item name. Please try again.');
-                    console.error('Error updating item name:', err);
+                const updatedItem = boardItems.find(item => item.id === itemId && item.boardId === boardId);
+                if (updatedItem) {
+                    // Applied optimistically by App; failures show up as an inline error on the cell
+                    onItemRename(updatedItem, editedItemName.trim());
                 }
             }
             setEditingItemId(null);
             setEditedItemName('');
         }
-    }, [editingItemId, editedItemName, queryMonday, onItemUpdated, boardItems]);
+    }, [editingItemId, editedItemName, onItemRename, boardItems]);
 
     const handleKeyDown = useCallback((e, itemId, boardId, currentName) => {
         if (e.key === 'Enter') {
@@ -226,14 +670,39 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
         }
     }, [handleSaveEdit]);
 
+    useEffect(() => {
+        const recordShiftKey = (e) => {
+            isShiftSortRef.current = e.shiftKey;
+        };
+        document.addEventListener('click', recordShiftKey, true);
+        document.addEventListener('keydown', recordShiftKey, true);
+        return () => {
+            document.removeEventListener('click', recordShiftKey, true);
+            document.removeEventListener('keydown', recordShiftKey, true);
+        };
+    }, []);
+
+    // A plain click sorts by that column alone; a shift-click adds it as the next key, or changes
+    // or removes it when it's a key already
     const onSort = useCallback((columnId, sortState) => {
-        setSorting({
-            [columnId]: sortState,
+        const isAddingKey = isShiftSortRef.current;
+        setSorting(prev => {
+            const hasKey = prev.some(key => key.columnId === columnId);
+            if (!isAddingKey) {
+                return sortState === 'none' ? [] : [{ columnId, direction: sortState }];
+            }
+            if (sortState === 'none') {
+                return prev.filter(key => key.columnId !== columnId);
+            }
+            return hasKey
+                ? prev.map(key => (key.columnId === columnId ? { columnId, direction: sortState } : key))
+                : [...prev, { columnId, direction: sortState }];
         });
     }, []);
 
+    // Filters live in App, which also sends them with item queries; updates use the functional form
     const handleFilterChange = useCallback((columnId, value, isChecked) => {
-        setActiveFilters(prevFilters => {
+        onFiltersChange(prevFilters => {
             const currentColumnFilters = prevFilters[columnId] || [];
             if (isChecked) {
                 return {
@@ -247,20 +716,32 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                 };
             }
         });
-    }, []);
+    }, [onFiltersChange]);
+
+    // Sets the numbers, date or text filter condition with this operator; an empty operand removes it
+    const handleFilterConditionChange = useCallback((columnId, operator, operand) => {
+        onFiltersChange(prevFilters => {
+            const otherConditions = (prevFilters[columnId] || []).filter(value => parseFilterCondition(value).operator !== operator);
+            return {
+                ...prevFilters,
+                [columnId]: operand === '' ? otherConditions : [...otherConditions, `${operator}:${operand}`],
+            };
+        });
+    }, [onFiltersChange]);
 
     const handleClearFilter = useCallback((columnId) => {
-        setActiveFilters(prevFilters => {
+        onFiltersChange(prevFilters => {
             const newFilters = { ...prevFilters };
             delete newFilters[columnId];
             return newFilters;
         });
-    }, []);
+    }, [onFiltersChange]);
 
     const columnsForTable = useMemo(() => {
         const virtualColumns = [
             { id: 'item_name_column', title: 'Task Name', type: 'item_name' },
             { id: 'board_name_column', title: 'Board', type: 'board_link' },
+            { id: 'group_column', title: 'Group', type: 'group' },
         ];
 
         const orderedColumnMetas = columnIds.map(colId => {
@@ -269,37 +750,70 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
             return allBoardColumns.find(col => col.id === colId);
         }).filter(Boolean);
 
-        return orderedColumnMetas.map(col => {
-            let columnData = {
-                id: col.id,
-                title: col.title,
-                type: col.type,
-            };
+        return orderedColumnMetas.map(buildColumnMeta);
+    }, [columnIds, allBoardColumns]);
 
-            if (col.type === 'status' && col.settings_str) {
-                try {
-                    const settings = JSON.parse(col.settings_str);
-                    if (settings && settings.labels) {
-                        columnData.statusOptions = Object.entries(settings.labels).map(([key, value]) => ({
-                            id: key,
-                            label: value,
-                            value: value,
-                            color: settings.labels_colors ? (settings.labels_colors[key]?.color || getStatusColorStyle(value).backgroundColor) : getStatusColorStyle(value).backgroundColor
-                        }));
-                        columnData.statusOptions.push({
-                            id: 'clear',
-                            label: 'No status',
-                            value: '',
-                            color: '#c4c4c4'
-                        });
-                    }
-                } catch (e) {
-                    console.warn(`Error parsing settings for status column ${col.id}:`, e);
-                }
+    // Columns as the Table lays them out: at least their minimum width, sharing whatever room is left
+    const tableColumns = useMemo(() => columnsForTable.map(col => ({
+        ...col,
+        width: { min: COLUMN_MIN_WIDTHS[col.type] || DEFAULT_COLUMN_MIN_WIDTH, max: '1fr' },
+    })), [columnsForTable]);
+
+    // Columns near the visible area, or null while all of them fit (or the body wasn't measured yet)
+    const renderedColumnIds = useMemo(() => {
+        const totalWidth = tableColumns.reduce((sum, col) => sum + col.width.min, SELECTION_COLUMN.width);
+        if (horizontalViewport.width === 0 || totalWidth <= horizontalViewport.width) {
+            return null;
+        }
+        const visibleStart = horizontalViewport.left - COLUMN_OVERSCAN_PX;
+        const visibleEnd = horizontalViewport.left + horizontalViewport.width + COLUMN_OVERSCAN_PX;
+        const columnIdsToRender = new Set();
+        let offset = SELECTION_COLUMN.width;
+        tableColumns.forEach(col => {
+            if (offset + col.width.min >= visibleStart && offset <= visibleEnd) {
+                columnIdsToRender.add(col.id);
             }
-            return columnData;
+            offset += col.width.min;
         });
-    }, [columnIds, allBoardColumns]);
+        return columnIdsToRender;
+    }, [tableColumns, horizontalViewport]);
+
+    const subitemColumnMaps = useMemo(() => {
+        const columnMaps = {};
+        Object.values(subitemBoards || {}).forEach(subitemBoard => {
+            columnMaps[subitemBoard.id] = getSubitemColumnMap(columnsForTable, subitemBoard.columns || []);
+        });
+        return columnMaps;
+    }, [subitemBoards, columnsForTable]);
+
+    // Expanding loads the subitems again, so they're as fresh as the rows around them
+    const handleToggleSubitems = useCallback((item) => {
+        const itemId = String(item.id);
+        if (expandedItemIds.has(itemId)) {
+            setExpandedItemIds(prev => {
+                const next = new Set(prev);
+                next.delete(itemId);
+                return next;
+            });
+            return;
+        }
+
+        setExpandedItemIds(prev => new Set(prev).add(itemId));
+        setSubitemLoadStates(prev => ({ ...prev, [itemId]: { ...(prev[itemId] || {}), isLoading: true, error: null } }));
+        onLoadSubitems(item)
+            .then(count => {
+                setSubitemLoadStates(prev => ({ ...prev, [itemId]: { isLoading: false, error: null, count } }));
+            })
+            .catch(err => {
+                console.error("TaskTable.jsx: Error loading subitems:", err);
+                setSubitemLoadStates(prev => ({ ...prev, [itemId]: { isLoading: false, error: err.message.replace(/^mondayQueries: /, ''), count: null } }));
+                setExpandedItemIds(prev => {
+                    const next = new Set(prev);
+                    next.delete(itemId);
+                    return next;
+                });
+            });
+    }, [expandedItemIds, onLoadSubitems]);
 
 
     const redirectToUserProfile = useCallback((userId) => {
@@ -309,7 +823,7 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
         }
     }, [mondayBaseUrl]);
 
-    const handleStatusChange = useCallback(async (selectedOption, item, columnMeta) => {
+    const handleStatusChange = useCallback((selectedOption, item, columnMeta) => {
         setCellDialogState({ isOpen: false, item: null, column: null, anchorEl: null, isHeader: false, user: null, isHover: false });
 
         const selectedStatusText = selectedOption ? selectedOption.label : '';
@@ -339,17 +853,35 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
         }
 
         if (needsUpdate) {
-            try {
-                await queryMonday(UPDATE_COLUMN_VALUE_QUERY(item.boardId, item.id, columnMeta.id, valueToSend));
-                if (typeof onItemUpdated === 'function') {
-                    await onItemUpdated(item.boardId, item.id);
-                }
-            } catch (err) {
-                alert('An error occurred while updating the status. Please try again.');
-                console.error('Error updating status:', err);
-            }
+            const isClearing = selectedOption && selectedOption.id === 'clear';
+            onColumnValueChange(item, columnMeta.id, valueToSend, {
+                text: isClearing ? '' : selectedStatusText,
+                value: isClearing ? null : JSON.stringify({ index: Number(selectedOption.id) }),
+            });
+        }
+    }, [onColumnValueChange]);
+
+    const handleGroupChange = useCallback((group, item) => {
+        setCellDialogState({ isOpen: false, item: null, column: null, anchorEl: null, isHeader: false, user: null, isHover: false });
+        if (!item.group || item.group.id !== group.id) {
+            // Applied optimistically by App; failures show up as an inline error on the cell
+            onMoveToGroup(item, { id: group.id, title: group.title });
         }
-    }, [queryMonday, onItemUpdated]);
+    }, [onMoveToGroup]);
+
+    const handleCancelCellEdit = useCallback(() => {
+        setEditingCell(null);
+    }, []);
+
+    // Applied optimistically by App; failures show up as an inline error on the cell
+    const saveColumnValue = useCallback((item, columnMeta, valuePayloadString, optimisticValue) => {
+        onColumnValueChange(item, columnMeta.id, valuePayloadString, optimisticValue);
+    }, [onColumnValueChange]);
+
+    const handleColumnValueSave = useCallback((item, columnMeta, valuePayloadString, optimisticValue) => {
+        setEditingCell(null);
+        saveColumnValue(item, columnMeta, valuePayloadString, optimisticValue);
+    }, [saveColumnValue]);
 
     const handleCellDialogClick = useCallback((event, item, columnMeta) => {
         setCellDialogState({
@@ -451,183 +983,323 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
     }, [redirectToUserProfile, handleAvatarMouseLeave]);
 
 
-    const filteredAndSortedBoardItems = useMemo(() => {
-        if (!boardItems || boardItems.length === 0) {
-            return [];
-        }
-
-        let itemsToProcess = [...boardItems];
-
-        let filteredByCurrentUser = itemsToProcess;
-        const isFilterByCurrentUserActive = activeFilters['current_user_filter'] && activeFilters['current_user_filter'].includes('true');
-
-        if (isFilterByCurrentUserActive && currentUserId) {
-            filteredByCurrentUser = itemsToProcess.filter(item => {
-                const isUserMentioned = item.column_values.some(cv => {
-                    const columnMeta = allBoardColumns.find(col => col.id === cv.id);
-                    if (columnMeta && (columnMeta.type === 'person' || columnMeta.type === 'people')) {
-                        if (cv.value && String(cv.value).trim() !== '') {
-                            try {
-                                const parsedValue = JSON.parse(cv.value);
-                                let persons = [];
-                                if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
-                                    persons = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
-                                } else if (Array.isArray(parsedValue)) {
-                                    persons = parsedValue.filter(p => p.kind === 'person');
-                                }
-                                return persons.some(p => p.id && String(p.id) === String(currentUserId));
-                            } catch (e) {
-                                return false;
-                            }
+    // Whether the current user is in one of the item's people columns; `columns` are its board's columns
+    const isCurrentUserMentioned = useCallback((item, columns) => (
+        item.column_values.some(cv => {
+            const columnMeta = columns.find(col => col.id === cv.id);
+            if (columnMeta && (columnMeta.type === 'person' || columnMeta.type === 'people')) {
+                if (cv.value && String(cv.value).trim() !== '') {
+                    try {
+                        const parsedValue = JSON.parse(cv.value);
+                        let persons = [];
+                        if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
+                            persons = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
+                        } else if (Array.isArray(parsedValue)) {
+                            persons = parsedValue.filter(p => p.kind === 'person');
                         }
+                        return persons.some(p => p.id && String(p.id) === String(currentUserId));
+                    } catch (e) {
+                        return false;
                     }
-                    return false;
-                });
-                return isUserMentioned;
-            });
-        }
+                }
+            }
+            return false;
+        })
+    ), [currentUserId]);
 
-        let finalFilteredItems = filteredByCurrentUser.filter(item => {
-            return Object.entries(activeFilters).every(([columnId, selectedValues]) => {
-                if (columnId === 'current_user_filter') return true;
+    // Whether an item passes the column filters; subitems are checked through their table view
+    const matchesColumnFilters = useCallback((item) => (
+        Object.entries(activeFilters).every(([columnId, selectedValues]) => {
+            if (columnId === 'current_user_filter') return true;
 
-                if (!selectedValues || selectedValues.length === 0) {
-                    return true;
-                }
+            if (!selectedValues || selectedValues.length === 0) {
+                return true;
+            }
 
-                const columnMeta = columnsForTable.find(col => col.id === columnId);
-                if (!columnMeta) {
-                    return true;
-                }
+            const columnMeta = columnsForTable.find(col => col.id === columnId);
+            if (!columnMeta) {
+                return true;
+            }
 
-                const itemColumnValue = item.column_values.find(cv => cv.id === columnId);
+            const itemColumnValue = getColumnValue(item, columnId);
 
-                switch (columnMeta.type) {
-                    case 'status': {
-                        const currentStatusText = String(itemColumnValue ? itemColumnValue.text : '').trim();
-                        const normalizedCurrentStatusText = (currentStatusText === '-' || currentStatusText === 'undefined' || currentStatusText === 'null' || currentStatusText === '') ? 'No status' : currentStatusText;
-                        return selectedValues.includes(normalizedCurrentStatusText);
+            switch (columnMeta.type) {
+                case 'status': {
+                    const currentStatusText = String(itemColumnValue ? itemColumnValue.text : '').trim();
+                    const normalizedCurrentStatusText = (currentStatusText === '-' || currentStatusText === 'undefined' || currentStatusText === 'null' || currentStatusText === '') ? 'No status' : currentStatusText;
+                    return selectedValues.includes(normalizedCurrentStatusText);
+                }
+                case 'person':
+                case 'people': {
+                    if (!itemColumnValue || !itemColumnValue.value || String(itemColumnValue.value).trim() === '') {
+                        return selectedValues.includes('No user');
                     }
-                    case 'person':
-                    case 'people': {
-                        if (!itemColumnValue || !itemColumnValue.value || String(itemColumnValue.value).trim() === '') {
-                            return selectedValues.includes('No user');
-                        }
-                        try {
-                            const parsedValue = JSON.parse(itemColumnValue.value);
-                            let persons = [];
-                            if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
-                                persons = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
-                            } else if (Array.isArray(parsedValue)) {
-                                persons = parsedValue.filter(p => p.kind === 'person');
-                            }
-                            return persons.some(p => p.id && selectedValues.includes(String(p.id)));
-                        } catch (e) {
-                            return false;
+                    try {
+                        const parsedValue = JSON.parse(itemColumnValue.value);
+                        let persons = [];
+                        if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
+                            persons = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
+                        } else if (Array.isArray(parsedValue)) {
+                            persons = parsedValue.filter(p => p.kind === 'person');
                         }
+                        return persons.some(p => p.id && selectedValues.includes(String(p.id)));
+                    } catch (e) {
+                        return false;
                     }
-                    default:
-                        const itemValueText = String(itemColumnValue ? (itemColumnValue.display_value || itemColumnValue.text || '') : '').trim();
-                        return selectedValues.some(val => itemValueText.includes(val));
                 }
-            });
-        });
+                case 'dropdown': {
+                    const labels = getDropdownLabels(itemColumnValue);
+                    return labels.length === 0 ? selectedValues.includes(NO_LABEL_FILTER_VALUE) : labels.some(label => selectedValues.includes(label));
+                }
+                case 'date': {
+                    const dateKey = getStoredDate(itemColumnValue);
+                    return selectedValues.map(parseFilterCondition).every(condition => matchesDateCondition(dateKey, condition));
+                }
+                default: {
+                    const itemValueText = String(itemColumnValue ? (itemColumnValue.display_value || itemColumnValue.text || '') : '').trim();
+                    return selectedValues.map(parseFilterCondition).every(condition => matchesValueCondition(itemValueText, condition));
+                }
+            }
+        })
+    ), [activeFilters, columnsForTable]);
+
+    // Whether an item matches the quick search in its name or any visible column
+    const matchesSearch = useCallback((item) => {
+        if (searchQuery === '') return true;
+        const lowerQuery = searchQuery.toLowerCase();
+        const matchesText = (text) => text.toLowerCase().includes(lowerQuery);
+        return matchesText(item.name || '') || columnsForTable.some(col => matchesText(getSearchableText(item, col, cachedUsers, cachedTeams)));
+    }, [searchQuery, columnsForTable, cachedUsers, cachedTeams]);
+
+    const compareItems = useCallback((a, b) => {
+        for (const { columnId, direction } of sorting) {
+            const columnMeta = columnsForTable.find(col => col.id === columnId);
+            if (!columnMeta) continue;
+            const comparison = compareByColumn(a, b, columnMeta, cachedUsers, cachedTeams);
+            if (comparison !== 0) {
+                return direction === 'asc' ? comparison : -comparison;
+            }
+        }
+        return 0;
+    }, [sorting, columnsForTable, cachedUsers, cachedTeams]);
 
+    // Loaded subitems that pass the filters, by parent ID. They're filtered and sorted on a copy whose
+    // column values carry the table column IDs they're shown under.
+    const visibleSubitemsByParentId = useMemo(() => {
+        const isFilterByCurrentUserActive = activeFilters['current_user_filter'] && activeFilters['current_user_filter'].includes('true');
+        const entriesByParentId = {};
+        boardItems.forEach(item => {
+            if (!item.parentId) return;
+            if (isFilterByCurrentUserActive && currentUserId && !isCurrentUserMentioned(item, getItemBoardColumns(item))) return;
+
+            const columnMap = subitemColumnMaps[item.boardId] || {};
+            const tableView = {
+                ...item,
+                column_values: Object.entries(columnMap)
+                    .filter(([, subitemColumn]) => subitemColumn)
+                    .map(([tableColumnId, subitemColumn]) => {
+                        const columnValue = item.column_values.find(cv => cv.id === subitemColumn.id);
+                        return columnValue ? { ...columnValue, id: tableColumnId } : null;
+                    })
+                    .filter(Boolean),
+            };
+            if (!matchesColumnFilters(tableView) || !matchesSearch(tableView)) return;
 
-        const sortColumnId = Object.keys(sorting)[0];
-        const sortOrder = sorting[sortColumnId];
+            entriesByParentId[item.parentId] = [...(entriesByParentId[item.parentId] || []), { item, tableView }];
+        });
 
-        if (!sortColumnId || !sortOrder) {
-            return finalFilteredItems;
-        }
+        const subitemsByParentId = {};
+        Object.entries(entriesByParentId).forEach(([parentId, entries]) => {
+            subitemsByParentId[parentId] = [...entries].sort((a, b) => compareItems(a.tableView, b.tableView)).map(entry => entry.item);
+        });
+        return subitemsByParentId;
+    }, [boardItems, activeFilters, currentUserId, isCurrentUserMentioned, getItemBoardColumns, subitemColumnMaps, matchesColumnFilters, matchesSearch, compareItems]);
 
-        const columnMeta = columnsForTable.find(col => col.id === sortColumnId);
-        if (!columnMeta) {
-            return finalFilteredItems;
+    // Top-level rows; a parent also stays when only some of its loaded subitems match the filters and search
+    const filteredAndSortedBoardItems = useMemo(() => {
+        if (!boardItems || boardItems.length === 0) {
+            return [];
         }
 
-        const sortedItems = [...finalFilteredItems].sort((a, b) => {
-            let valueA, valueB;
+        const isFilterByCurrentUserActive = activeFilters['current_user_filter'] && activeFilters['current_user_filter'].includes('true');
+        const finalFilteredItems = boardItems.filter(item => {
+            if (item.parentId) return false;
+            if (visibleSubitemsByParentId[String(item.id)]) return true;
+            if (isFilterByCurrentUserActive && currentUserId && !isCurrentUserMentioned(item, allBoardColumns)) return false;
+            return matchesColumnFilters(item) && matchesSearch(item);
+        });
 
-            if (sortColumnId === 'item_name_column') {
-                valueA = a.name || '';
-                valueB = b.name || '';
-            } else if (sortColumnId === 'board_name_column') {
-                valueA = a.boardName || '';
-                valueB = b.boardName || '';
-            } else {
-                const columnValueA = a.column_values.find(cv => cv.id === sortColumnId);
-                const columnValueB = b.column_values.find(cv => cv.id === sortColumnId);
-
-                valueA = String(columnValueA ? (columnValueA.display_value || columnValueA.text || '') : '');
-                valueB = String(columnValueB ? (columnValueB.display_value || columnValueB.text || '') : '');
-
-                switch (columnMeta.type) {
-                    case 'numbers':
-                        valueA = parseFloat(valueA) || 0;
-                        valueB = parseFloat(valueB) || 0;
-                        break;
-                    case 'date':
-                        valueA = columnValueA && columnValueA.text ? new Date(columnValueA.text) : new Date(0);
-                        valueB = columnValueB && columnValueB.text ? new Date(columnValueB.text) : new Date(0);
-                        break;
-                    case 'link':
-                        try {
-                            const parsedA = columnValueA && columnValueA.value ? JSON.parse(columnValueA.value) : null;
-                            const parsedB = columnValueB && columnValueB.value ? JSON.parse(columnValueB.value) : null;
-                            valueA = parsedA?.url || parsedA?.text || '';
-                            valueB = parsedB?.url || parsedB?.text || '';
-                        } catch (e) {
-                            valueA = columnValueA?.text || '';
-                            valueB = columnValueB?.text || '';
-                        }
-                        break;
-                    case 'person':
-                    case 'people':
-                        try {
-                            const parsedA = columnValueA && columnValueA.value ? JSON.parse(columnValueA.value) : null;
-                            const parsedB = columnValueB && columnValueB.value ? JSON.parse(columnValueB.value) : null;
-                            const personsA = parsedA && parsedA.personsAndTeams ? parsedA.personsAndTeams.filter(p => p.kind === 'person') : [];
-                            const personsB = parsedB && parsedB.personsAndTeams ? parsedB.personsAndTeams.filter(p => p.kind === 'person') : [];
-                            valueA = personsA.length > 0 ? (cachedUsers[personsA[0].id]?.name || '') : '';
-                            valueB = personsB.length > 0 ? (cachedUsers[personsB[0].id]?.name || '') : '';
-                        } catch (e) {
-                            valueA = columnValueA?.text || '';
-                            valueB = columnValueB?.text || '';
-                        }
-                        break;
-                    default:
-                        break;
-                }
+        // Array sort is stable, so items that tie on every sort key keep their loaded order
+        return [...finalFilteredItems].sort(compareItems);
+    }, [boardItems, activeFilters, currentUserId, visibleSubitemsByParentId, isCurrentUserMentioned, allBoardColumns, matchesColumnFilters, matchesSearch, compareItems]);
+
+
+    const groupByOptions = useMemo(() => (
+        columnsForTable.filter(col => GROUP_BY_COLUMN_TYPES.includes(col.type))
+    ), [columnsForTable]);
+
+    // Group-by columns that are still in the table; removed fields drop out of the grouping
+    const groupByColumns = useMemo(() => (
+        groupByColumnIds.map(columnId => groupByOptions.find(col => col.id === columnId)).filter(Boolean)
+    ), [groupByColumnIds, groupByOptions]);
+
+    const sections = useMemo(() => (
+        groupByColumns.length > 0 ? buildSections(filteredAndSortedBoardItems, groupByColumns, boards, cachedUsers, cachedTeams) : null
+    ), [filteredAndSortedBoardItems, groupByColumns, boards, cachedUsers, cachedTeams]);
+
+    // Top-level items in the order they're shown, which differs from the sort order once grouped
+    const orderedItems = useMemo(() => {
+        if (!sections) return filteredAndSortedBoardItems;
+        const collectItems = (sectionList) => sectionList.flatMap(section => (section.children.length > 0 ? collectItems(section.children) : section.items));
+        return collectItems(sections);
+    }, [sections, filteredAndSortedBoardItems]);
+
+    const handleGroupByChange = useCallback((level, columnId) => {
+        setGroupByColumnIds(prev => {
+            const next = prev.slice(0, level);
+            if (columnId) {
+                next.push(columnId);
             }
+            return next.filter((id, index) => next.indexOf(id) === index);
+        });
+    }, []);
 
-            let comparison = 0;
-            if (columnMeta.type === 'date') {
-                comparison = valueA.getTime() - valueB.getTime();
-            } else if (typeof valueA === 'string' && typeof valueB === 'string') {
-                comparison = valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
-            } else if (typeof valueA === 'number' && typeof valueB === 'number') {
-                comparison = valueA - valueB;
+    const handleToggleSection = useCallback((sectionId) => {
+        setCollapsedSectionIds(prev => {
+            const next = new Set(prev);
+            if (next.has(sectionId)) {
+                next.delete(sectionId);
             } else {
-                comparison = String(valueA).localeCompare(String(valueB), undefined, { numeric: true, sensitivity: 'base' });
+                next.add(sectionId);
             }
+            return next;
+        });
+    }, []);
+
+    // The rows of the virtualized body: section headers when grouped, and top-level items, each followed
+    // by its shown subitems when expanded. Striping goes by index, since only a window of rows is in the DOM.
+    const tableRows = useMemo(() => {
+        const rows = [];
+        let itemRowCount = 0;
+        const pushItem = (item) => {
+            [
+                { item, columnMap: null },
+                ...(expandedItemIds.has(String(item.id))
+                    ? (visibleSubitemsByParentId[String(item.id)] || []).map(subitem => ({ item: subitem, columnMap: subitemColumnMaps[subitem.boardId] || {} }))
+                    : []),
+            ].forEach(row => {
+                rows.push({ ...row, kind: 'item', id: String(row.item.id), isEven: itemRowCount % 2 === 1 });
+                itemRowCount += 1;
+            });
+        };
+        const pushSections = (sectionList) => {
+            sectionList.forEach(section => {
+                const isCollapsed = collapsedSectionIds.has(section.id);
+                rows.push({ kind: 'section', id: `section:${section.id}`, section, isCollapsed });
+                if (isCollapsed) return;
+                if (section.children.length > 0) {
+                    pushSections(section.children);
+                } else {
+                    section.items.forEach(pushItem);
+                }
+            });
+        };
 
-            return sortOrder === 'asc' ? comparison : -comparison;
+        if (sections) {
+            pushSections(sections);
+        } else {
+            filteredAndSortedBoardItems.forEach(pushItem);
+        }
+        return rows;
+    }, [sections, collapsedSectionIds, filteredAndSortedBoardItems, expandedItemIds, visibleSubitemsByParentId, subitemColumnMaps]);
+
+    // Update badges are loaded for the rendered rows only, overscan included. The header takes the list's
+    // first slot; before the body is measured, a window's height of rows is assumed.
+    const updateBadgeItems = useMemo(() => {
+        const height = verticalViewport.height || window.innerHeight;
+        const firstIndex = Math.max(0, Math.floor(verticalViewport.top / ROW_HEIGHT) - 1 - ROW_OVERSCAN_COUNT);
+        const lastIndex = Math.ceil((verticalViewport.top + height + VERTICAL_VIEWPORT_STEP_PX) / ROW_HEIGHT) + ROW_OVERSCAN_COUNT;
+        return tableRows.slice(firstIndex, lastIndex).filter(row => row.kind === 'item').map(row => row.item);
+    }, [tableRows, verticalViewport]);
+    const { summaries: updateSummaries, recordLoaded: handleUpdatesLoaded, recordPosted: handleUpdatePosted } = useUpdateSummaries(updateBadgeItems, currentUserId);
+
+    // The panel follows the item through refreshes and closes when it leaves the data
+    const updatesPanelItem = updatesPanelItemId === null ? null : boardItems.find(item => String(item.id) === updatesPanelItemId) || null;
+
+    const handleCloseUpdatesPanel = useCallback(() => setUpdatesPanelItemId(null), []);
+
+    const handleOpenItemCard = useCallback((item) => {
+        monday.execute('openItemCard', { itemId: parseInt(item.id), boardId: parseInt(item.boardId) });
+    }, []);
+
+    // Rows that leave the table (filtered out, archived, deleted...) leave the selection too
+    useEffect(() => {
+        const visibleIds = new Set(filteredAndSortedBoardItems.map(item => String(item.id)));
+        setSelectedItemIds(prev => {
+            const next = new Set([...prev].filter(itemId => visibleIds.has(itemId)));
+            return next.size === prev.size ? prev : next;
+        });
+    }, [filteredAndSortedBoardItems]);
+
+    const selectedItems = useMemo(() => (
+        filteredAndSortedBoardItems.filter(item => selectedItemIds.has(String(item.id)))
+    ), [filteredAndSortedBoardItems, selectedItemIds]);
+
+    // Shift-click applies the clicked checkbox's new state to every row between it and the previous click
+    const handleRowSelect = useCallback((item, isSelected, isRange) => {
+        const itemId = String(item.id);
+        const itemIndex = orderedItems.findIndex(current => String(current.id) === itemId);
+        const anchorIndex = isRange && selectionAnchorIdRef.current !== null
+            ? orderedItems.findIndex(current => String(current.id) === selectionAnchorIdRef.current)
+            : -1;
+        const affectedIds = anchorIndex === -1 || itemIndex === -1
+            ? [itemId]
+            : orderedItems
+                .slice(Math.min(anchorIndex, itemIndex), Math.max(anchorIndex, itemIndex) + 1)
+                .map(current => String(current.id));
+
+        setSelectedItemIds(prev => {
+            const next = new Set(prev);
+            affectedIds.forEach(affectedId => (isSelected ? next.add(affectedId) : next.delete(affectedId)));
+            return next;
         });
+        selectionAnchorIdRef.current = itemId;
+    }, [orderedItems]);
 
-        return sortedItems;
-    }, [boardItems, sorting, columnsForTable, cachedUsers, activeFilters, currentUserId, allBoardColumns]);
+    const handleSelectAll = useCallback((isSelected) => {
+        setSelectedItemIds(isSelected ? new Set(filteredAndSortedBoardItems.map(item => String(item.id))) : new Set());
+        selectionAnchorIdRef.current = null;
+    }, [filteredAndSortedBoardItems]);
 
+    const handleClearSelection = useCallback(() => handleSelectAll(false), [handleSelectAll]);
 
-    const RowRenderer = useCallback((item) => {
+    // Subitem rows pass their subitem board's columnMap; cells then edit the mapped subitem column,
+    // and table columns without a counterpart stay empty. Subitems can't be selected for bulk actions.
+    const RowRenderer = useCallback((item, columnMap = null, isEven = false) => {
+        const isSubitem = Boolean(item.parentId);
+        const isSelected = !isSubitem && selectedItemIds.has(String(item.id));
         return (
-            <TableRow key={item.id} className="monday-table-row small-row">
-                {columnsForTable.map(columnMeta => {
+            <TableRow key={item.id} className={`monday-table-row small-row${isEven ? ' monday-table-row-even' : ''}${isSelected ? ' monday-table-row-selected' : ''}${isSubitem ? ' monday-subitem-row' : ''}`}>
+                <TableCell className="monday-table-cell monday-cell-border monday-row-select-cell">
+                    {!isSubitem && (
+                        <Checkbox
+                            checked={isSelected}
+                            onChange={(e) => handleRowSelect(item, e.target.checked, Boolean(e.nativeEvent && e.nativeEvent.shiftKey))}
+                            ariaLabel={`Select ${item.name || 'item'}`}
+                        />
+                    )}
+                </TableCell>
+                {columnsForTable.map(tableColumn => {
+                    const columnMeta = columnMap ? columnMap[tableColumn.id] : tableColumn;
+                    // Off-screen columns keep their grid track with an empty cell
+                    if (!columnMeta || (renderedColumnIds && !renderedColumnIds.has(tableColumn.id))) {
+                        return <TableCell key={tableColumn.id} className="monday-table-cell monday-cell-border" />;
+                    }
                     const columnId = columnMeta.id;
                     const columnType = columnMeta.type;
 
                     let displayContent = <Text type="text2" color="secondary"></Text>;
-                    const columnValue = item.column_values.find(cv => cv.id === columnId);
+                    const columnValue = getColumnValue(item, columnId);
 
                     let cellClassName = 'monday-table-cell monday-cell-border';
                     if (columnId === 'board_name_column' || columnId === 'item_name_column') {
@@ -644,7 +1316,7 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                         const boardUrl = `${mondayBaseUrl}/boards/${item.boardId}`;
                         displayContent = (
                             <Link
-                                text={item.boardName || 'Unknown Board'}
+                                text={highlightMatches(item.boardName || 'Unknown Board', searchQuery)}
                                 href={boardUrl}
                                 target="_blank"
                                 rel="noopener noreferrer"
@@ -656,6 +1328,13 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                         );
                     } else if (columnId === 'item_name_column') {
                         let currentItemName = item.name || 'Untitled';
+                        const isExpanded = expandedItemIds.has(String(item.id));
+                        const subitemLoadState = subitemLoadStates[String(item.id)] || {};
+                        const updateSummary = updateSummaries[String(item.id)];
+                        let updateTitle = 'Updates';
+                        if (updateSummary && updateSummary.count > 0) {
+                            updateTitle = `${updateSummary.count}${updateSummary.isCapped ? '+' : ''} update${updateSummary.count === 1 ? '' : 's'}${updateSummary.isUnread ? ', new since you last looked' : ''}`;
+                        }
 
                         const rubyHashRegex = /^{\"text\"=>\"(.*?)\"}$/;
                         const match = String(currentItemName).match(rubyHashRegex);
@@ -663,8 +1342,30 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                             currentItemName = match[1];
                         }
 
+                        let toggleTitle = isExpanded ? 'Hide subitems' : 'Show subitems';
+                        if (subitemLoadState.error) {
+                            toggleTitle = `Couldn't load subitems: ${subitemLoadState.error} (click to retry)`;
+                        } else if (subitemLoadState.count === 0) {
+                            toggleTitle = 'No subitems';
+                        }
+
                         displayContent = (
-                            <>
+                            <div className={isSubitem ? 'monday-item-name-cell monday-subitem-name-cell' : 'monday-item-name-cell'}>
+                                {!isSubitem && (
+                                    subitemLoadState.isLoading ? (
+                                        <Loader size={16} className="monday-subitem-toggle" />
+                                    ) : (
+                                        <button
+                                            onClick={() => handleToggleSubitems(item)}
+                                            className={`monday-subitem-toggle${subitemLoadState.error ? ' monday-subitem-toggle-error' : ''}`}
+                                            title={toggleTitle}
+                                            aria-expanded={isExpanded}
+                                            disabled={subitemLoadState.count === 0 && !isExpanded}
+                                        >
+                                            {subitemLoadState.error ? '!' : (isExpanded ? '▾' : '▸')}
+                                        </button>
+                                    )
+                                )}
                                 {editingItemId === item.id ? (
                                     <div className="monday-edit-item-name-container">
                                         <input
@@ -686,17 +1387,65 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                                     </div>
                                 ) : (
                                     <Text
-                                        onDoubleClick={() => monday.execute('openItemCard', { itemId: parseInt(item.id), boardId: parseInt(item.boardId) })}
+                                        onDoubleClick={() => setUpdatesPanelItemId(String(item.id))}
                                         className="monday-item-name-display"
                                         type="text2"
                                         color="primary"
                                         element="span"
                                     >
-                                        {currentItemName}
+                                        {highlightMatches(currentItemName, searchQuery)}
                                     </Text>
                                 )}
-                            </>
+                                <button
+                                    onClick={() => setUpdatesPanelItemId(String(item.id))}
+                                    className={`monday-updates-badge${updateSummary && updateSummary.count > 0 ? ' monday-updates-badge-filled' : ''}${updateSummary && updateSummary.isUnread ? ' monday-updates-badge-unread' : ''}`}
+                                    title={updateTitle}
+                                    aria-label={updateTitle}
+                                >
+                                    <Icon icon={Update} size={16} />
+                                    {updateSummary && updateSummary.count > 0 && (
+                                        <span>{updateSummary.count}{updateSummary.isCapped ? '+' : ''}</span>
+                                    )}
+                                </button>
+                            </div>
+                        );
+                    } else if (columnId === 'group_column') {
+                        const groups = boardGroups[item.boardId] || [];
+                        const isDialogOpen = cellDialogState.isOpen && !cellDialogState.isHeader && !cellDialogState.isHover && cellDialogState.item?.id === item.id && cellDialogState.column?.id === columnMeta.id;
+                        const dialogContent = isDialogOpen && (
+                            <DialogContentContainer style={{ padding: '8px', minWidth: '150px', backgroundColor: 'white' }}>
+                                <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.STRETCH}>
+                                    {groups.length === 0 && <Text type="text2" color="secondary">No groups loaded for this board.</Text>}
+                                    {groups.map(group => (
+                                        <Button
+                                            key={group.id}
+                                            kind={item.group && item.group.id === group.id ? Button.kinds.SECONDARY : Button.kinds.TERTIARY}
+                                            onClick={() => handleGroupChange(group, item)}
+                                            size="small"
+                                            style={{ justifyContent: 'flex-start' }}
+                                        >
+                                            {group.title}
+                                        </Button>
+                                    ))}
+                                </Flex>
+                            </DialogContentContainer>
                         );
+
+                        displayContent = renderCellDialog(isDialogOpen, {
+                            position: 'bottom',
+                            offset: { y: 20 },
+                            onClose: () => setCellDialogState({ isOpen: false, item: null, column: null, anchorEl: null, isHeader: false, user: null, isHover: false }),
+                            content: dialogContent,
+                            width: 'small',
+                        }, (
+                            <div
+                                onClick={(e) => handleCellDialogClick(e, item, columnMeta)}
+                                className="monday-editable-cell"
+                                title="Click to move to another group"
+                            >
+                                <Text type="text2" color="primary" ellipsis>{highlightMatches(item.group ? item.group.title : '', searchQuery)}</Text>
+                            </div>
+                        ));
                     } else if (columnType === 'status') {
                         const currentStatusText = String(columnValue ? columnValue.text : '').trim();
                         const selectedStatusOption = columnMeta.statusOptions?.find(
@@ -706,7 +1455,8 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                         const backgroundColor = selectedStatusOption?.color || '#c4c4c4';
                         const textColor = (backgroundColor === '#c4c4c4' || backgroundColor === '#e0e0e0') ? '#323338' : '#fff';
 
-                        const dialogContent = (
+                        const isDialogOpen = cellDialogState.isOpen && !cellDialogState.isHeader && !cellDialogState.isHover && cellDialogState.item?.id === item.id && cellDialogState.column?.id === columnMeta.id;
+                        const dialogContent = isDialogOpen && (
                             <DialogContentContainer style={{ padding: '8px', minWidth: '150px', backgroundColor: 'white' }}>
                                 <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.SMALL}>
                                     {Array.isArray(columnMeta.statusOptions) && columnMeta.statusOptions.map(option => (
@@ -736,39 +1486,33 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                             </DialogContentContainer>
                         );
 
-                        displayContent = (
-                            <Dialog
-                                position="bottom"
-                                offset={{ y: 20 }}
-                                open={cellDialogState.isOpen && !cellDialogState.isHeader && !cellDialogState.isHover && cellDialogState.item?.id === item.id && cellDialogState.column?.id === columnMeta.id}
-                                onClose={() => setCellDialogState({ isOpen: false, item: null, column: null, anchorEl: null, isHeader: false, user: null, isHover: false })}
-                                content={dialogContent}
-                                showTrigger={[]}
-                                hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
-                                width="small"
-                                style={{ zIndex: 999999 }}
+                        displayContent = renderCellDialog(isDialogOpen, {
+                            position: 'bottom',
+                            offset: { y: 20 },
+                            onClose: () => setCellDialogState({ isOpen: false, item: null, column: null, anchorEl: null, isHeader: false, user: null, isHover: false }),
+                            content: dialogContent,
+                            width: 'small',
+                        }, (
+                            <div
+                                onClick={(e) => handleCellDialogClick(e, item, columnMeta)}
+                                className="monday-status-label"
+                                style={{
+                                    backgroundColor: backgroundColor,
+                                    color: textColor,
+                                    width: '100%',
+                                    height: '100%',
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    padding: '0 8px',
+                                    boxSizing: 'border-box',
+                                    cursor: 'pointer',
+                                }}
                             >
-                                <div
-                                    onClick={(e) => handleCellDialogClick(e, item, columnMeta)}
-                                    className="monday-status-label"
-                                    style={{
-                                        backgroundColor: backgroundColor,
-                                        color: textColor,
-                                        width: '100%',
-                                        height: '100%',
-                                        display: 'flex',
-                                        alignItems: 'center',
-                                        padding: '0 8px',
-                                        boxSizing: 'border-box',
-                                        cursor: 'pointer',
-                                    }}
-                                >
-                                    <Text type="text2" color={(backgroundColor === '#c4c4c4' || backgroundColor === '#e0e0e0') ? 'primary' : 'onPrimary'}>
-                                        {(currentStatusText === '' || currentStatusText === '-' || currentStatusText === 'undefined' || currentStatusText === 'null') ? '' : currentStatusText}
-                                    </Text>
-                                </div>
-                            </Dialog>
-                        );
+                                <Text type="text2" color={(backgroundColor === '#c4c4c4' || backgroundColor === '#e0e0e0') ? 'primary' : 'onPrimary'}>
+                                    {(currentStatusText === '' || currentStatusText === '-' || currentStatusText === 'undefined' || currentStatusText === 'null') ? '' : highlightMatches(currentStatusText, searchQuery)}
+                                </Text>
+                            </div>
+                        ));
                     }
                     else if (columnType === 'date') {
                         let formattedDate = '';
@@ -794,108 +1538,98 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
 
                         switch (columnType) {
                             case 'person':
-                            case 'people':
-                                let personsInColumn = [];
-                                if (parsedValue && parsedValue.personsAndTeams && Array.isArray(parsedValue.personsAndTeams)) {
-                                    personsInColumn = parsedValue.personsAndTeams.filter(p => p.kind === 'person');
-                                } else if (Array.isArray(parsedValue)) {
-                                    personsInColumn = parsedValue.filter(p => p.kind === 'person');
-                                }
-
-                                if (personsInColumn.length > 0) {
+                            case 'people': {
+                                // Assignees matching the quick search get a highlight ring, and go first so the group doesn't fold them away
+                                const isSearchMatch = (personData) => {
+                                    const name = (personData.kind === 'team' ? cachedTeams[personData.id] : cachedUsers[personData.id])?.name || '';
+                                    return searchQuery !== '' && name.toLowerCase().includes(searchQuery.toLowerCase());
+                                };
+                                const peopleInColumn = getPeopleEntries(columnValue.value)
+                                    .filter(p => p.kind === 'person' || p.kind === 'team')
+                                    .sort((a, b) => Number(isSearchMatch(b)) - Number(isSearchMatch(a)));
+
+                                if (peopleInColumn.length > 0) {
                                     const getAvatarLabel = (user) => {
                                         const label = user?.name || (user?.id ? `User ID: ${user.id}` : 'Unknown User');
                                         return label;
                                     };
 
+                                    // Teams link to their team page; people get the hover card and profile link
+                                    const renderPeopleAvatar = (personData) => {
+                                        let avatarClassName = 'monday-avatar';
+                                        if (isSearchMatch(personData)) {
+                                            avatarClassName += personData.kind === 'team' ? ' monday-avatar-search-match monday-avatar-search-match-square' : ' monday-avatar-search-match';
+                                        }
+                                        if (personData.kind === 'team') {
+                                            const cachedTeam = cachedTeams[personData.id];
+                                            const teamName = cachedTeam?.name || 'Unknown Team';
+                                            return (
+                                                <Avatar
+                                                    type={cachedTeam?.picture_url ? Avatar.types.IMG : Avatar.types.TEXT}
+                                                    src={cachedTeam?.picture_url || undefined}
+                                                    text={cachedTeam ? teamName.substring(0, 2).toUpperCase() : '?'}
+                                                    ariaLabel={`Team: ${teamName}`}
+                                                    onClick={() => window.open(`${mondayBaseUrl}/teams/${personData.id}`, '_blank')}
+                                                    className={avatarClassName}
+                                                    size="small"
+                                                    square
+                                                />
+                                            );
+                                        }
+
+                                        const cachedUser = cachedUsers[personData.id];
+                                        const userName = cachedUser?.name || 'Unknown';
+                                        const userPhoto = cachedUser?.photo_original;
+
+                                        let avatarText = '?';
+                                        if (cachedUser) {
+                                            avatarText = (userName ? userName.substring(0, 2).toUpperCase() : 'NP');
+                                            if (userName === "" && cachedUser.id) avatarText = String(cachedUser.id).substring(0, 2).toUpperCase();
+                                        }
+
+                                        return (
+                                            <Dialog
+                                                position="bottom"
+                                                offset={{ y: 20 }}
+                                                open={cellDialogState.isOpen && cellDialogState.isHover && cellDialogState.user?.id === personData.id}
+                                                onClose={handleAvatarMouseLeave}
+                                                content={renderUserDetailsDialogContent(cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
+                                                showTrigger={[]}
+                                                hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
+                                                anchorElement={cellDialogState.anchorEl}
+                                                width="small"
+                                                style={{ zIndex: 999999 }}
+                                            >
+                                                <Avatar
+                                                    type={userPhoto ? Avatar.types.IMG : Avatar.types.TEXT}
+                                                    src={userPhoto || undefined}
+                                                    text={avatarText}
+                                                    ariaLabel={getAvatarLabel(cachedUser || { id: personData.id })}
+                                                    onClick={() => redirectToUserProfile(personData.id)}
+                                                    onMouseEnter={(e) => handleAvatarMouseEnter(e, cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
+                                                    onMouseLeave={handleAvatarMouseLeave}
+                                                    className={avatarClassName}
+                                                    size="small"
+                                                />
+                                            </Dialog>
+                                        );
+                                    };
+
                                     displayContent = (
                                         <Flex align={Flex.align.CENTER} justify={Flex.justify.CENTER} gap={Flex.gaps.XSMALL} style={{ width: '100%' }}>
-                                            {personsInColumn.length > 1 ? (
+                                            {peopleInColumn.length > 1 ? (
                                                 <AvatarGroup size="small" max={3} counterTooltipIsVirtualizedList>
-                                                    {personsInColumn.map(personData => {
-                                                        const cachedUser = cachedUsers[personData.id];
-                                                        const userName = cachedUser?.name || 'Unknown';
-                                                        const userPhoto = cachedUser?.photo_original;
-
-                                                        let avatarText = '?';
-                                                        if (cachedUser) {
-                                                            avatarText = (userName ? userName.substring(0, 2).toUpperCase() : 'NP');
-                                                            if (userName === "" && cachedUser.id) avatarText = cachedUser.id.substring(0, 2).toUpperCase();
-                                                        }
-
-                                                        return (
-                                                            <div
-                                                                key={personData.id}
-                                                                style={{ display: 'inline-block', position: 'relative' }}
-                                                            >
-                                                                <Dialog
-                                                                    position="bottom"
-                                                                    offset={{ y: 20 }}
-                                                                    open={cellDialogState.isOpen && cellDialogState.isHover && cellDialogState.user?.id === personData.id}
-                                                                    onClose={handleAvatarMouseLeave}
-                                                                    content={renderUserDetailsDialogContent(cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
-                                                                    showTrigger={[]}
-                                                                    hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
-                                                                    anchorElement={cellDialogState.anchorEl}
-                                                                    width="small"
-                                                                    style={{ zIndex: 999999 }}
-                                                                >
-                                                                    <Avatar
-                                                                        type={userPhoto ? Avatar.types.IMG : Avatar.types.TEXT}
-                                                                        src={userPhoto || undefined}
-                                                                        text={avatarText}
-                                                                        ariaLabel={getAvatarLabel(cachedUser || { id: personData.id })}
-                                                                        onClick={() => redirectToUserProfile(personData.id)}
-                                                                        onMouseEnter={(e) => handleAvatarMouseEnter(e, cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
-                                                                        onMouseLeave={handleAvatarMouseLeave}
-                                                                        className="monday-avatar"
-                                                                        size="small"
-                                                                    />
-                                                                </Dialog>
-                                                            </div>
-                                                        );
-                                                    })}
+                                                    {peopleInColumn.map(personData => (
+                                                        <div
+                                                            key={`${personData.kind}-${personData.id}`}
+                                                            style={{ display: 'inline-block', position: 'relative' }}
+                                                        >
+                                                            {renderPeopleAvatar(personData)}
+                                                        </div>
+                                                    ))}
                                                 </AvatarGroup>
                                             ) : (
-                                                (() => {
-                                                    const personData = personsInColumn[0];
-                                                    const cachedUser = cachedUsers[personData.id];
-                                                    const userName = cachedUser?.name || 'Unknown';
-                                                    const userPhoto = cachedUser?.photo_original;
-
-                                                    let avatarText = '?';
-                                                    if (cachedUser) {
-                                                        avatarText = (userName ? userName.substring(0, 2).toUpperCase() : 'NP');
-                                                        if (userName === "" && cachedUser.id) avatarText = cachedUser.id.substring(0, 2).toUpperCase();
-                                                    }
-
-                                                    return (
-                                                        <Dialog
-                                                            position="bottom"
-                                                            offset={{ y: 20 }}
-                                                            open={cellDialogState.isOpen && cellDialogState.isHover && cellDialogState.user?.id === personData.id}
-                                                            onClose={handleAvatarMouseLeave}
-                                                            content={renderUserDetailsDialogContent(cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
-                                                            showTrigger={[]}
-                                                            hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
-                                                            anchorElement={cellDialogState.anchorEl}
-                                                            width="small"
-                                                            style={{ zIndex: 999999 }}
-                                                        >
-                                                            <Avatar
-                                                                type={userPhoto ? Avatar.types.IMG : Avatar.types.TEXT}
-                                                                src={userPhoto || undefined}
-                                                                text={avatarText}
-                                                                ariaLabel={getAvatarLabel(cachedUser || { id: personData.id })}
-                                                                size="small"
-                                                                onClick={() => redirectToUserProfile(personData.id)}
-                                                                onMouseEnter={(e) => handleAvatarMouseEnter(e, cachedUser || { id: personData.id, name: userName, photo_original: userPhoto })}
-                                                                onMouseLeave={handleAvatarMouseLeave}
-                                                                className="monday-avatar"
-                                                            />
-                                                        </Dialog>
-                                                    );
-                                                })()
+                                                renderPeopleAvatar(peopleInColumn[0])
                                             )}
                                         </Flex>
                                     );
@@ -911,14 +1645,15 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                                     );
                                 }
                                 break;
+                            }
                             case 'numbers':
-                                displayContent = <Text type="text2" color="primary">{columnValue.text || (parsedValue?.number !== undefined && parsedValue?.number !== null ? parsedValue.number.toString() : '')}</Text>;
+                                displayContent = <Text type="text2" color="primary">{highlightMatches(columnValue.text || (parsedValue?.number !== undefined && parsedValue?.number !== null ? parsedValue.number.toString() : ''), searchQuery)}</Text>;
                                 break;
                             case 'link':
                                 if (parsedValue && parsedValue.url) {
                                     displayContent = (
                                         <Link
-                                            text={parsedValue.text || parsedValue.url}
+                                            text={highlightMatches(parsedValue.text || parsedValue.url, searchQuery)}
                                             href={parsedValue.url}
                                             target="_blank"
                                             rel="noopener noreferrer"
@@ -933,14 +1668,64 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                                 }
                                 break;
                             default:
-                                displayContent = <Text type="text2" color="primary">{columnValue.display_value || columnValue.text || ''}</Text>;
+                                displayContent = <Text type="text2" color="primary">{highlightMatches(columnValue.display_value || columnValue.text || '', searchQuery)}</Text>;
                                 break;
                         }
                     }
 
+                    if (columnType === 'person' || columnType === 'people') {
+                        // The people picker stays open across changes; each add or remove is saved right away
+                        const isPickerOpen = editingCell !== null && editingCell.itemId === item.id && editingCell.columnId === columnId;
+                        displayContent = renderCellDialog(isPickerOpen, {
+                            position: 'bottom',
+                            offset: { y: 20 },
+                            onClose: handleCancelCellEdit,
+                            content: isPickerOpen && (
+                                <PeoplePicker
+                                    entries={getPeopleEntries(columnValue ? columnValue.value : null)}
+                                    currentUserId={currentUserId}
+                                    isSingle={columnType === 'person'}
+                                    onChange={(valuePayloadString, optimisticValue) => saveColumnValue(item, columnMeta, valuePayloadString, optimisticValue)}
+                                />
+                            ),
+                        }, (
+                            <div className="monday-people-cell">
+                                {displayContent}
+                                <button
+                                    onClick={() => setEditingCell({ itemId: item.id, columnId })}
+                                    className="monday-people-edit-button"
+                                    title="Edit assignees"
+                                >
+                                    +
+                                </button>
+                            </div>
+                        ));
+                    } else if (EDITABLE_COLUMN_TYPES.includes(columnType)) {
+                        displayContent = (
+                            <EditableCell
+                                columnType={columnType}
+                                columnValue={columnValue}
+                                isEditing={editingCell !== null && editingCell.itemId === item.id && editingCell.columnId === columnId}
+                                onStartEdit={() => setEditingCell({ itemId: item.id, columnId })}
+                                onCancel={handleCancelCellEdit}
+                                onSave={(valuePayloadString, optimisticValue) => handleColumnValueSave(item, columnMeta, valuePayloadString, optimisticValue)}
+                            >
+                                {displayContent}
+                            </EditableCell>
+                        );
+                    }
+
+                    // Saving changes show a spinner; failed ones were rolled back and explain why until dismissed
+                    const cellKey = `${item.id}:${columnId}`;
+                    const isCellPending = Boolean(pendingCells && pendingCells[cellKey]);
+                    const cellError = cellErrors ? cellErrors[cellKey] : null;
+                    if (isCellPending) {
+                        cellClassName += ' monday-cell-pending';
+                    }
+
                     return (
                         <TableCell
-                            key={columnId}
+                            key={tableColumn.id}
                             className={cellClassName}
                             style={{
                                 textAlign: 'center',
@@ -952,19 +1737,140 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                             }}
                         >
                             {displayContent}
+                            {isCellPending && <Loader size={16} className="monday-cell-pending-indicator" />}
+                            {cellError && (
+                                <div
+                                    className="monday-cell-error"
+                                    onClick={() => onDismissCellError(cellKey)}
+                                    title={`${cellError} (click to dismiss)`}
+                                    role="alert"
+                                >
+                                    <Text type="text3" element="span" ellipsis>{cellError}</Text>
+                                </div>
+                            )}
                         </TableCell>
                     );
                 })}
             </TableRow>
         );
-    }, [columnsForTable, editingItemId, editedItemName, cachedUsers, mondayBaseUrl, handleSaveEdit, handleKeyDown, handleStatusChange, handleCellDialogClick, handleAvatarMouseEnter, handleAvatarMouseLeave, cellDialogState, redirectToUserProfile, renderUserDetailsDialogContent, activeFilters]);
+    }, [columnsForTable, renderedColumnIds, selectedItemIds, handleRowSelect, expandedItemIds, subitemLoadStates, handleToggleSubitems, updateSummaries, boardGroups, handleGroupChange, editingItemId, editedItemName, editingCell, cachedUsers, cachedTeams, mondayBaseUrl, handleSaveEdit, handleKeyDown, handleStatusChange, handleColumnValueSave, saveColumnValue, handleCancelCellEdit, currentUserId, pendingCells, cellErrors, onDismissCellError, handleCellDialogClick, handleAvatarMouseEnter, handleAvatarMouseLeave, cellDialogState, redirectToUserProfile, renderUserDetailsDialogContent, activeFilters, searchQuery]);
+
+    // Section header: fold toggle, label and item count in the first column, then a status distribution
+    // bar under each status column and the sum and average under each numbers column
+    const SectionRowRenderer = useCallback((section, isCollapsed) => (
+        <TableRow key={`section:${section.id}`} className="monday-table-row monday-section-row">
+            <TableCell className="monday-table-cell monday-cell-border monday-row-select-cell">
+                <button
+                    onClick={() => handleToggleSection(section.id)}
+                    className="monday-subitem-toggle"
+                    title={isCollapsed ? 'Expand section' : 'Collapse section'}
+                    aria-expanded={!isCollapsed}
+                >
+                    {isCollapsed ? '▸' : '▾'}
+                </button>
+            </TableCell>
+            {columnsForTable.map((columnMeta, index) => {
+                if (renderedColumnIds && !renderedColumnIds.has(columnMeta.id)) {
+                    return <TableCell key={columnMeta.id} className="monday-table-cell monday-cell-border" />;
+                }
+                let content = null;
+                if (index === 0) {
+                    content = (
+                        <Flex gap={Flex.gaps.XSMALL} align={Flex.align.CENTER} style={{ paddingLeft: `${section.depth * 16}px`, minWidth: 0 }}>
+                            <Text type="text2" weight="bold" color="primary" ellipsis>{section.label}</Text>
+                            <Text type="text3" color="secondary" style={{ flexShrink: 0 }}>
+                                {section.items.length} item{section.items.length === 1 ? '' : 's'}
+                            </Text>
+                        </Flex>
+                    );
+                } else if (columnMeta.type === 'status') {
+                    const countsByLabel = new Map();
+                    section.items.forEach(item => {
+                        const statusText = normalizeStatusText(getColumnValue(item, columnMeta.id)?.text);
+                        countsByLabel.set(statusText, (countsByLabel.get(statusText) || 0) + 1);
+                    });
+                    const distribution = [...countsByLabel.entries()].map(([label, count]) => ({
+                        label,
+                        count,
+                        color: (columnMeta.statusOptions || []).find(option => option.label === label)?.color || '#c4c4c4',
+                    }));
+                    content = (
+                        <div className="monday-status-distribution" title={distribution.map(entry => `${entry.label}: ${entry.count}`).join('\n')}>
+                            {distribution.map(entry => (
+                                <span key={entry.label} style={{ flexGrow: entry.count, backgroundColor: entry.color }} />
+                            ))}
+                        </div>
+                    );
+                } else if (columnMeta.type === 'numbers') {
+                    const numbers = section.items
+                        .map(item => parseFloat(getColumnValue(item, columnMeta.id)?.text))
+                        .filter(value => !isNaN(value));
+                    if (numbers.length > 0) {
+                        const sum = numbers.reduce((total, value) => total + value, 0);
+                        content = (
+                            <Text type="text3" color="secondary" ellipsis>
+                                Sum {formatAggregate(sum)} · Avg {formatAggregate(sum / numbers.length)}
+                            </Text>
+                        );
+                    }
+                }
+                return (
+                    <TableCell key={columnMeta.id} className={`monday-table-cell monday-cell-border${index === 0 ? ' main-column-cell' : ''}`}>
+                        {content}
+                    </TableCell>
+                );
+            })}
+        </TableRow>
+    ), [columnsForTable, renderedColumnIds, handleToggleSection]);
+
+    const renderTableRow = useCallback((row) => (
+        row.kind === 'section' ? SectionRowRenderer(row.section, row.isCollapsed) : RowRenderer(row.item, row.columnMap, row.isEven)
+    ), [SectionRowRenderer, RowRenderer]);
+
+    // The virtualized list scrolls both ways inside the body. Its horizontal position is kept in steps of
+    // half the column overscan, so rows re-render only when the set of rendered columns can change; the
+    // vertical one in steps of VERTICAL_VIEWPORT_STEP_PX, for the update badges.
+    const hasTableRows = tableRows.length > 0;
+    useEffect(() => {
+        const bodyElement = tableBodyRef.current;
+        if (!bodyElement) return undefined;
+        const step = COLUMN_OVERSCAN_PX / 2;
+        const updateViewport = (scrollLeft, width) => {
+            setHorizontalViewport(prev => {
+                const left = scrollLeft === null ? prev.left : Math.floor(scrollLeft / step) * step;
+                return prev.left === left && prev.width === width ? prev : { left, width };
+            });
+        };
+        const updateVerticalViewport = (scrollTop, height) => {
+            setVerticalViewport(prev => {
+                const top = scrollTop === null ? prev.top : Math.floor(scrollTop / VERTICAL_VIEWPORT_STEP_PX) * VERTICAL_VIEWPORT_STEP_PX;
+                return prev.top === top && prev.height === height ? prev : { top, height };
+            });
+        };
+        const handleScroll = (e) => {
+            updateViewport(e.target.scrollLeft, e.target.clientWidth);
+            updateVerticalViewport(e.target.scrollTop, e.target.clientHeight);
+        };
+        const resizeObserver = new ResizeObserver(() => {
+            updateViewport(null, bodyElement.clientWidth);
+            updateVerticalViewport(null, bodyElement.clientHeight);
+        });
+
+        bodyElement.addEventListener('scroll', handleScroll, true);
+        resizeObserver.observe(bodyElement);
+        return () => {
+            bodyElement.removeEventListener('scroll', handleScroll, true);
+            resizeObserver.disconnect();
+        };
+    }, [hasTableRows]);
 
     // uniquePeopleInBoardItems is still defined here for use in renderFilterDialogContent
     const uniquePeopleInBoardItems = useMemo(() => {
         const peopleMap = new Map();
         boardItems.forEach(item => {
+            const itemBoardColumns = getItemBoardColumns(item);
             item.column_values.forEach(cv => {
-                const columnMeta = allBoardColumns.find(col => col.id === cv.id);
+                const columnMeta = itemBoardColumns.find(col => col.id === cv.id);
                 if (columnMeta && (columnMeta.type === 'person' || columnMeta.type === 'people')) {
                     if (cv.value && String(cv.value).trim() !== '') {
                         try {
@@ -993,8 +1899,19 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
             });
         });
         return Array.from(peopleMap.values());
-    }, [boardItems, allBoardColumns, cachedUsers]);
+    }, [boardItems, getItemBoardColumns, cachedUsers]);
+
 
+    // Labels offered by dropdown filters: the column's own, plus any other board's labels found in the loaded items
+    const dropdownLabelsByColumnId = useMemo(() => {
+        const labelsByColumnId = {};
+        columnsForTable.filter(col => col.type === 'dropdown').forEach(col => {
+            const labels = new Set(col.dropdownOptions || []);
+            boardItems.forEach(item => getDropdownLabels(getColumnValue(item, col.id)).forEach(label => labels.add(label)));
+            labelsByColumnId[col.id] = [...labels];
+        });
+        return labelsByColumnId;
+    }, [columnsForTable, boardItems]);
 
     const renderFilterDialogContent = useCallback((columnMeta) => {
         const currentSelectedFilters = activeFilters[columnMeta.id] || [];
@@ -1113,6 +2030,100 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                             )}
                         </>
                     );
+                case 'dropdown': {
+                    const labels = dropdownLabelsByColumnId[columnMeta.id] || [];
+                    return (
+                        <>
+                            <Heading type="h4" style={{ marginBottom: '8px' }}>Filter by Label</Heading>
+                            {[...labels, NO_LABEL_FILTER_VALUE].map(label => {
+                                const isChecked = currentSelectedFilters.includes(label);
+                                return (
+                                    <Flex
+                                        key={label}
+                                        align={Flex.align.CENTER}
+                                        gap={Flex.gaps.XSMALL}
+                                        style={{ cursor: 'pointer', padding: '4px 0' }}
+                                        onClick={() => handleCheckboxChangeInternal(label, !isChecked)}
+                                    >
+                                        <Checkbox checked={isChecked} onChange={(e) => handleCheckboxChangeInternal(label, e.target.checked)} />
+                                        <Text type="text2" color={label === NO_LABEL_FILTER_VALUE ? 'secondary' : 'primary'}>{label}</Text>
+                                    </Flex>
+                                );
+                            })}
+                        </>
+                    );
+                }
+                case 'numbers':
+                    return (
+                        <>
+                            <Heading type="h4" style={{ marginBottom: '8px' }}>Filter by Value</Heading>
+                            {[{ operator: 'min', label: 'At least' }, { operator: 'max', label: 'At most' }].map(({ operator, label }) => (
+                                <label key={operator} className="monday-add-item-field">
+                                    <Text type="text3" color="secondary">{label}</Text>
+                                    <input
+                                        type="number"
+                                        value={getFilterOperand(currentSelectedFilters, operator)}
+                                        onChange={(e) => handleFilterConditionChange(columnMeta.id, operator, e.target.value)}
+                                        className="monday-cell-editor-input"
+                                    />
+                                </label>
+                            ))}
+                        </>
+                    );
+                case 'date': {
+                    const selectedRange = getFilterOperand(currentSelectedFilters, 'range');
+                    return (
+                        <>
+                            <Heading type="h4" style={{ marginBottom: '8px' }}>Filter by Date</Heading>
+                            {DATE_FILTER_RANGES.map(range => {
+                                const isChecked = selectedRange === range.value;
+                                const toggleRange = (isRangeChecked) => handleFilterConditionChange(columnMeta.id, 'range', isRangeChecked ? range.value : '');
+                                return (
+                                    <Flex
+                                        key={range.value}
+                                        align={Flex.align.CENTER}
+                                        gap={Flex.gaps.XSMALL}
+                                        style={{ cursor: 'pointer', padding: '4px 0' }}
+                                        onClick={() => toggleRange(!isChecked)}
+                                    >
+                                        <Checkbox checked={isChecked} onChange={(e) => toggleRange(e.target.checked)} />
+                                        <Text type="text2" color="primary">{range.label}</Text>
+                                    </Flex>
+                                );
+                            })}
+                            <Divider style={{ margin: '8px 0' }} />
+                            {[{ operator: 'after', label: 'After' }, { operator: 'before', label: 'Before' }].map(({ operator, label }) => (
+                                <label key={operator} className="monday-add-item-field">
+                                    <Text type="text3" color="secondary">{label}</Text>
+                                    <input
+                                        type="date"
+                                        value={getFilterOperand(currentSelectedFilters, operator)}
+                                        onChange={(e) => handleFilterConditionChange(columnMeta.id, operator, e.target.value)}
+                                        className="monday-cell-editor-input"
+                                    />
+                                </label>
+                            ))}
+                        </>
+                    );
+                }
+                case 'text':
+                case 'link':
+                    return (
+                        <>
+                            <Heading type="h4" style={{ marginBottom: '8px' }}>Filter by Text</Heading>
+                            {[{ operator: 'contains', label: 'Contains' }, { operator: 'not_contains', label: "Doesn't contain" }].map(({ operator, label }) => (
+                                <label key={operator} className="monday-add-item-field">
+                                    <Text type="text3" color="secondary">{label}</Text>
+                                    <input
+                                        type="text"
+                                        value={getFilterOperand(currentSelectedFilters, operator)}
+                                        onChange={(e) => handleFilterConditionChange(columnMeta.id, operator, e.target.value)}
+                                        className="monday-cell-editor-input"
+                                    />
+                                </label>
+                            ))}
+                        </>
+                    );
                 default:
                     return <Text type="text2" color="secondary">No filter options for this column type.</Text>;
             }
@@ -1138,30 +2149,45 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                 </Flex>
             </DialogContentContainer>
         );
-    }, [activeFilters, handleFilterChange, handleClearFilter, uniquePeopleInBoardItems, currentUserId, cachedUsers]);
+    }, [activeFilters, handleFilterChange, handleFilterConditionChange, handleClearFilter, uniquePeopleInBoardItems, dropdownLabelsByColumnId, currentUserId, cachedUsers]);
 
 
-    const HeaderRenderer = useCallback((columns) => {
-        const [openFilterDialogId, setOpenFilterDialogId] = useState(null);
-
-        const handleFilterButtonClick = useCallback((event, columnId) => {
-            setOpenFilterDialogId(prevId => (prevId === columnId ? null : columnId));
-        }, []);
+    const handleFilterButtonClick = useCallback((event, columnId) => {
+        setOpenFilterDialogId(prevId => (prevId === columnId ? null : columnId));
+    }, []);
 
-        const handleFilterDialogClose = useCallback(() => {
-            setOpenFilterDialogId(null);
-        }, []);
+    const handleFilterDialogClose = useCallback(() => {
+        setOpenFilterDialogId(null);
+    }, []);
 
+    const HeaderRenderer = useCallback((columns) => {
         return (
             <TableHeader>
+                <TableHeaderCell
+                    key={SELECTION_COLUMN.id}
+                    title={(
+                        <Checkbox
+                            checked={selectedItems.length > 0 && selectedItems.length === filteredAndSortedBoardItems.length}
+                            indeterminate={selectedItems.length > 0 && selectedItems.length < filteredAndSortedBoardItems.length}
+                            onChange={(e) => handleSelectAll(e.target.checked)}
+                            ariaLabel="Select all rows"
+                        />
+                    )}
+                    className="TableHeader monday-table-header-cell monday-cell-border monday-row-select-cell"
+                />
                 {columns.map((headerCell) => {
-                    const isFilterable = ['status', 'person', 'people'].includes(headerCell.type);
+                    const isFilterable = FILTERABLE_COLUMN_TYPES.includes(headerCell.type);
                     const hasActiveFilter = (activeFilters[headerCell.id] && activeFilters[headerCell.id].length > 0) ||
                                             (headerCell.id === 'current_user_filter' && activeFilters['current_user_filter'] && activeFilters['current_user_filter'].includes('true'));
+                    const sortIndex = sorting.findIndex(key => key.columnId === headerCell.id);
+                    const sortKey = sortIndex === -1 ? null : sorting[sortIndex];
 
                     let headerTitleContent = (
                         <Flex align={Flex.align.CENTER} justify={Flex.justify.CENTER} gap={Flex.gaps.XSMALL} style={{ width: '100%' }}>
                             <Text type="text2" weight="bold" color="primary">{headerCell.title}</Text>
+                            {sortKey && sorting.length > 1 && (
+                                <span className="monday-sort-priority" title={`Sort priority ${sortIndex + 1}`}>{sortIndex + 1}</span>
+                            )}
                             {isFilterable && (
                                 <Dialog
                                     position="bottom"
@@ -1195,17 +2221,55 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                             title={headerTitleContent}
                             className={`TableHeader monday-table-header-cell monday-cell-border`}
                             onSortClicked={sortState => onSort(headerCell.id, sortState)}
-                            sortState={sorting[headerCell.id]}
+                            sortState={sortKey ? sortKey.direction : 'none'}
                         />
                     );
                 })}
             </TableHeader>
         );
-    }, [onSort, sorting, activeFilters, handleFilterChange, handleClearFilter, uniquePeopleInBoardItems, currentUserId, cachedUsers, renderFilterDialogContent]);
+    }, [onSort, sorting, activeFilters, openFilterDialogId, handleFilterButtonClick, handleFilterDialogClose, renderFilterDialogContent, selectedItems, filteredAndSortedBoardItems, handleSelectAll]);
 
     return (
         <div className="monday-table-container">
-            <Flex justify={Flex.justify.END} style={{ marginBottom: '16px', paddingRight: '8px' }}>
+            <Flex justify={Flex.justify.END} gap={Flex.gaps.SMALL} style={{ marginBottom: '16px', paddingRight: '8px' }}>
+                <Search
+                    onChange={setSearchText}
+                    placeholder="Search items, boards, groups, people..."
+                    size="small"
+                    debounceRate={200}
+                    className="monday-quick-search"
+                    inputAriaLabel="Search the table"
+                />
+                <Flex gap={Flex.gaps.XSMALL} align={Flex.align.CENTER}>
+                    <Text type="text2" color="secondary">Group by</Text>
+                    {Array.from({ length: Math.min(groupByColumns.length + 1, MAX_GROUP_BY_LEVELS) }, (_, level) => (
+                        <select
+                            key={level}
+                            value={groupByColumns[level] ? groupByColumns[level].id : ''}
+                            onChange={(e) => handleGroupByChange(level, e.target.value)}
+                            className="monday-cell-editor-input monday-group-by-select"
+                            aria-label={level === 0 ? 'Group by' : 'Then group by'}
+                        >
+                            <option value="">{level === 0 ? 'None' : 'Then by...'}</option>
+                            {groupByOptions
+                                .filter(col => !groupByColumns.slice(0, level).some(groupByColumn => groupByColumn.id === col.id))
+                                .map(col => <option key={col.id} value={col.id}>{col.title}</option>)}
+                        </select>
+                    ))}
+                </Flex>
+                <Dialog
+                    position="bottom-start"
+                    offset={{ y: 6 }}
+                    open={isAddItemOpen}
+                    onClose={() => setIsAddItemOpen(false)}
+                    content={<AddItemForm boards={boards} columns={columnsForTable} onCreate={onCreateItem} />}
+                    showTrigger={[]}
+                    hideTrigger={['OUTSIDE_CLICK', 'ESCAPE_KEY']}
+                >
+                    <Button onClick={() => setIsAddItemOpen(prev => !prev)} kind={Button.kinds.PRIMARY} size="small">
+                        Add item
+                    </Button>
+                </Dialog>
                 <Button
                     onClick={() => handleFilterChange('current_user_filter', 'true', !activeFilters['current_user_filter']?.includes('true'))}
                     kind={activeFilters['current_user_filter']?.includes('true') ? Button.kinds.PRIMARY : Button.kinds.SECONDARY}
@@ -1223,19 +2287,54 @@ function TaskTable({ columnIds, allBoardColumns, boardItems, onItemUpdated }) {
                 </Button>
             </Flex>
 
+            <BulkActionBar
+                selectedItems={selectedItems}
+                columns={columnsForTable}
+                boards={boards}
+                boardGroups={boardGroups}
+                users={cachedUsers}
+                teams={cachedTeams}
+                onBulkAction={onBulkAction}
+                onClearSelection={handleClearSelection}
+                onMenuOpenChange={setIsBulkMenuOpen}
+            />
+
             {(boardItems && boardItems.length > 0) ? (
                 <Table
-                    columns={columnsForTable}
+                    columns={[SELECTION_COLUMN, ...tableColumns]}
                     className="monday-table"
                     size="large"
+                    style={{ height: `min(${(tableRows.length + 1) * ROW_HEIGHT + 8}px, calc(100vh - 200px))` }}
                 >
-                    {HeaderRenderer(columnsForTable)}
-                    <TableBody>
-                        {filteredAndSortedBoardItems.map(item => RowRenderer(item))}
-                    </TableBody>
+                    {hasTableRows ? (
+                        <TableVirtualizedBody
+                            ref={tableBodyRef}
+                            items={tableRows}
+                            rowRenderer={renderTableRow}
+                            columns={tableColumns}
+                            headerRenderer={HeaderRenderer}
+                            overscanCount={ROW_OVERSCAN_COUNT}
+                        />
+                    ) : (
+                        // The virtualized body renders nothing without rows; the header stays so filters can be cleared
+                        <>
+                            {HeaderRenderer(tableColumns)}
+                            <TableBody />
+                        </>
+                    )}
                 </Table>
             ) : (
-                <EmptyState title="No data to display" description="Check the selected boards and fields in the sidebar." size="large" />
+                <EmptyState title="No data to display" description='No items match the selected boards, fields and filters. Use "Add item" to create one.' size="large" />
+            )}
+
+            {updatesPanelItem && (
+                <UpdatesPanel
+                    item={updatesPanelItem}
+                    onClose={handleCloseUpdatesPanel}
+                    onOpenItemCard={handleOpenItemCard}
+                    onUpdatesLoaded={handleUpdatesLoaded}
+                    onUpdatePosted={handleUpdatePosted}
+                />
             )}
         </div>
     );
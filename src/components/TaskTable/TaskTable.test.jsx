@@ -0,0 +1,108 @@
+// TaskTable.test.jsx
+import { describe, it, expect, vi } from 'vitest';
+import { compareByColumn, buildSections } from './TaskTable';
+
+// TaskTable and its hooks create SDK instances when they're imported
+vi.mock('monday-sdk-js', () => ({ default: () => ({}) }));
+
+const item = (id, columnValues = {}, extra = {}) => ({
+    id,
+    name: `Item ${id}`,
+    column_values: Object.entries(columnValues).map(([columnId, columnValue]) => ({ id: columnId, ...columnValue })),
+    ...extra,
+});
+
+const people = (...entries) => ({ value: JSON.stringify({ personsAndTeams: entries.map(([kind, id]) => ({ kind, id })) }) });
+
+const users = { 1: { name: 'Zoe' }, 2: { name: 'Adam' } };
+const teams = { 9: { name: 'Design' } };
+
+const statusColumn = {
+    id: 'status',
+    type: 'status',
+    statusOptions: [{ id: '1', label: 'Working on it' }, { id: '0', label: 'Done' }, { id: 'clear', label: 'No status' }],
+};
+
+describe('compareByColumn', () => {
+    const sortIds = (items, columnMeta) => [...items].sort((a, b) => compareByColumn(a, b, columnMeta, users, teams)).map(current => current.id);
+
+    it('sorts names naturally and case-insensitively', () => {
+        const items = [item('a', {}, { name: 'task 10' }), item('b', {}, { name: 'Task 2' }), item('c', {}, { name: 'task 1' })];
+        expect(sortIds(items, { id: 'item_name_column', type: 'item_name' })).toEqual(['c', 'b', 'a']);
+    });
+
+    it('sorts numbers by value, treating empty cells as zero', () => {
+        const items = [item('a', { n: { text: '10' } }), item('b', { n: { text: '-2' } }), item('c', { n: { text: '' } }), item('d', { n: { text: '9.5' } })];
+        expect(sortIds(items, { id: 'n', type: 'numbers' })).toEqual(['b', 'c', 'd', 'a']);
+    });
+
+    it('sorts dates chronologically with empty dates first', () => {
+        const items = [item('a', { d: { text: '2026-05-01' } }), item('b', { d: { text: '' } }), item('c', { d: { text: '2025-12-31' } })];
+        expect(sortIds(items, { id: 'd', type: 'date' })).toEqual(['b', 'c', 'a']);
+    });
+
+    it('sorts statuses by the column label order with "No status" last', () => {
+        const items = [item('a', { status: { text: 'Done' } }), item('b', { status: { text: '' } }), item('c', { status: { text: 'Working on it' } })];
+        expect(sortIds(items, statusColumn)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('sorts people by all their assignees, users and teams alike', () => {
+        const items = [
+            item('a', { p: people(['person', 1]) }),
+            item('b', { p: people(['person', 1], ['person', 2]) }),
+            item('c', { p: people(['team', 9]) }),
+        ];
+        expect(sortIds(items, { id: 'p', type: 'people' })).toEqual(['b', 'c', 'a']);
+    });
+});
+
+describe('buildSections', () => {
+    const summarize = (sections) => sections.map(section => ({
+        label: section.label,
+        ids: section.items.map(current => current.id),
+        ...(section.children.length > 0 ? { children: summarize(section.children) } : {}),
+    }));
+
+    it('orders status sections by label order with "No status" last', () => {
+        const items = [item('a', { status: { text: '' } }), item('b', { status: { text: 'Done' } }), item('c', { status: { text: 'Working on it' } }), item('d', { status: { text: 'Done' } })];
+        expect(summarize(buildSections(items, [statusColumn], [], users, teams))).toEqual([
+            { label: 'Working on it', ids: ['c'] },
+            { label: 'Done', ids: ['b', 'd'] },
+            { label: 'No status', ids: ['a'] },
+        ]);
+    });
+
+    it('orders board sections by the board selection', () => {
+        const items = [item('a', {}, { boardId: '1', boardName: 'Alpha' }), item('b', {}, { boardId: '2', boardName: 'Beta' })];
+        const boards = [{ id: '2' }, { id: '1' }];
+        expect(summarize(buildSections(items, [{ id: 'board_name_column', type: 'board_link' }], boards, users, teams)).map(section => section.label)).toEqual(['Beta', 'Alpha']);
+    });
+
+    it('gives each combination of assignees its own section, unassigned last', () => {
+        const items = [
+            item('a', { p: people(['person', 2], ['person', 1]) }),
+            item('b', { p: people() }),
+            item('c', { p: people(['person', 1], ['person', 2]) }),
+            item('d', { p: people(['team', 9]) }),
+        ];
+        expect(summarize(buildSections(items, [{ id: 'p', type: 'people' }], [], users, teams))).toEqual([
+            { label: 'Adam, Zoe', ids: ['a', 'c'] },
+            { label: 'Design', ids: ['d'] },
+            { label: 'Unassigned', ids: ['b'] },
+        ]);
+    });
+
+    it('nests sections for a second group-by column with IDs unique per path', () => {
+        const items = [
+            item('a', { status: { text: 'Done' } }, { group: { id: 'g1', title: 'Backlog' } }),
+            item('b', { status: { text: 'Done' } }, { group: { id: 'g2', title: 'Sprint' } }),
+            item('c', { status: { text: 'Working on it' } }, { group: { id: 'g2', title: 'Sprint' } }),
+        ];
+        const sections = buildSections(items, [{ id: 'group_column', type: 'group' }, statusColumn], [], users, teams);
+        expect(summarize(sections)).toEqual([
+            { label: 'Backlog', ids: ['a'], children: [{ label: 'Done', ids: ['a'] }] },
+            { label: 'Sprint', ids: ['b', 'c'], children: [{ label: 'Working on it', ids: ['c'] }, { label: 'Done', ids: ['b'] }] },
+        ]);
+        expect(sections[1].children[1]).toMatchObject({ depth: 1, id: 'group_column=sprint|status=Done|' });
+    });
+});
@@ -0,0 +1,244 @@
+// UpdatesPanel.jsx
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    Avatar,
+    Button,
+    Divider,
+    Flex,
+    Heading,
+    Loader,
+    Text,
+} from '@vibe/core';
+import { useMondayAPI } from '../../hooks/useMondayAPI';
+import { useUserDirectory } from '../../hooks/useUserDirectory';
+import { GET_ITEM_UPDATES_QUERY, CREATE_UPDATE_QUERY } from '../../api/mondayQueries';
+
+// create_update takes HTML; typed text is escaped and keeps its line breaks
+const toUpdateBody = (text) => text
+    .trim()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
+
+const formatUpdateTime = (createdAt) => {
+    const date = new Date(createdAt);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * Side panel with an item's updates and their replies, where new updates and replies can be
+ * posted without leaving the app. Authors come from the user directory.
+ *
+ * @param {object} props
+ * @param {object} props.item - The item whose updates are shown.
+ * @param {function} props.onClose - Closes the panel.
+ * @param {function(object)} props.onOpenItemCard - Opens the item in monday.com's own item card.
+ * @param {function(string, object[])} props.onUpdatesLoaded - Called with the item ID and its loaded updates.
+ * @param {function(string, object)} props.onUpdatePosted - Called with the item ID and a new top-level update.
+ */
+function UpdatesPanel({ item, onClose, onOpenItemCard, onUpdatesLoaded, onUpdatePosted }) {
+    const { queryMonday } = useMondayAPI();
+    const { users, resolvePeople } = useUserDirectory();
+    const itemId = String(item.id);
+
+    const [updates, setUpdates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+    const [reloadCount, setReloadCount] = useState(0);
+    // Drafts by update ID; '' holds the new update's draft
+    const [drafts, setDrafts] = useState({});
+    const [replyingToId, setReplyingToId] = useState(null);
+    const [postingId, setPostingId] = useState(null);
+    const [postError, setPostError] = useState(null);
+
+    // Latest callback, read once updates arrive; a new callback (e.g. once the current user is known) doesn't refetch
+    const onUpdatesLoadedRef = useRef(onUpdatesLoaded);
+    useEffect(() => {
+        onUpdatesLoadedRef.current = onUpdatesLoaded;
+    }, [onUpdatesLoaded]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const fetchUpdates = async () => {
+            setIsLoading(true);
+            setLoadError(null);
+            try {
+                const data = await queryMonday(GET_ITEM_UPDATES_QUERY(itemId), {}, { signal: controller.signal });
+                const loadedItem = ((data && data.items) || [])[0];
+                const loadedUpdates = (loadedItem && loadedItem.updates) || [];
+                setUpdates(loadedUpdates);
+                onUpdatesLoadedRef.current(itemId, loadedUpdates);
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error("UpdatesPanel.jsx: Error loading updates:", err);
+                setLoadError('Could not load updates. Please try again.');
+            } finally {
+                if (!controller.signal.aborted) {
+                    setIsLoading(false);
+                }
+            }
+        };
+        fetchUpdates();
+        return () => controller.abort();
+    }, [itemId, reloadCount, queryMonday]);
+
+    useEffect(() => {
+        const authorRefs = [];
+        updates.forEach(update => {
+            [update, ...(update.replies || [])].forEach(entry => {
+                if (entry.creator_id) {
+                    authorRefs.push({ id: entry.creator_id, kind: 'person' });
+                }
+            });
+        });
+        resolvePeople(authorRefs);
+    }, [updates, resolvePeople]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    useEffect(() => {
+        setDrafts({});
+        setReplyingToId(null);
+        setPostError(null);
+    }, [itemId]);
+
+    const handlePost = useCallback(async (parentUpdateId) => {
+        const draftKey = parentUpdateId || '';
+        const text = drafts[draftKey] || '';
+        if (text.trim() === '' || postingId !== null) return;
+
+        setPostingId(draftKey);
+        setPostError(null);
+        try {
+            const data = await queryMonday(CREATE_UPDATE_QUERY(itemId, toUpdateBody(text), parentUpdateId));
+            const createdUpdate = data && data.create_update;
+            if (!createdUpdate) {
+                throw new Error('No update was returned');
+            }
+            if (parentUpdateId) {
+                setUpdates(prev => prev.map(update => (
+                    update.id === parentUpdateId ? { ...update, replies: [...(update.replies || []), createdUpdate] } : update
+                )));
+                setReplyingToId(null);
+            } else {
+                setUpdates(prev => [{ ...createdUpdate, replies: [] }, ...prev]);
+                onUpdatePosted(itemId, createdUpdate);
+            }
+            setDrafts(prev => ({ ...prev, [draftKey]: '' }));
+        } catch (err) {
+            console.error("UpdatesPanel.jsx: Error posting update:", err);
+            setPostError(`Couldn't post: ${err.message.replace(/^mondayQueries: /, '')}`);
+        } finally {
+            setPostingId(null);
+        }
+    }, [drafts, postingId, queryMonday, itemId, onUpdatePosted]);
+
+    const renderComposer = (parentUpdateId) => {
+        const draftKey = parentUpdateId || '';
+        return (
+            <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.STRETCH}>
+                <textarea
+                    value={drafts[draftKey] || ''}
+                    onChange={(e) => setDrafts(prev => ({ ...prev, [draftKey]: e.target.value }))}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                            handlePost(parentUpdateId);
+                        }
+                    }}
+                    placeholder={parentUpdateId ? 'Write a reply...' : 'Write an update...'}
+                    rows={parentUpdateId ? 2 : 3}
+                    className="monday-cell-editor-input"
+                    autoFocus={Boolean(parentUpdateId)}
+                />
+                <Flex gap={Flex.gaps.XSMALL} justify={Flex.justify.END}>
+                    {parentUpdateId && (
+                        <Button onClick={() => setReplyingToId(null)} kind={Button.kinds.TERTIARY} size="small">Cancel</Button>
+                    )}
+                    <Button
+                        onClick={() => handlePost(parentUpdateId)}
+                        size="small"
+                        loading={postingId === draftKey}
+                        disabled={(drafts[draftKey] || '').trim() === '' || (postingId !== null && postingId !== draftKey)}
+                    >
+                        {parentUpdateId ? 'Reply' : 'Post update'}
+                    </Button>
+                </Flex>
+            </Flex>
+        );
+    };
+
+    const renderEntry = (entry, isReply) => {
+        const author = users[entry.creator_id];
+        const authorName = author?.name || 'Unknown';
+        return (
+            <div key={entry.id} className={isReply ? 'monday-update monday-update-reply' : 'monday-update'}>
+                <Flex gap={Flex.gaps.SMALL} align={Flex.align.CENTER}>
+                    <Avatar
+                        type={author?.photo_original ? Avatar.types.IMG : Avatar.types.TEXT}
+                        src={author?.photo_original || undefined}
+                        text={author?.name ? author.name.substring(0, 2).toUpperCase() : '?'}
+                        ariaLabel={authorName}
+                        size="small"
+                    />
+                    <Text type="text2" weight="bold" color="primary" ellipsis>{authorName}</Text>
+                    <Text type="text3" color="secondary">{formatUpdateTime(entry.created_at)}</Text>
+                </Flex>
+                <Text type="text2" color="primary" element="div" className="monday-update-body">{entry.text_body}</Text>
+            </div>
+        );
+    };
+
+    return (
+        <aside className="monday-updates-panel" aria-label={`Updates for ${item.name}`}>
+            <Flex justify={Flex.justify.SPACE_BETWEEN} align={Flex.align.START} gap={Flex.gaps.SMALL}>
+                <Flex direction={Flex.directions.COLUMN} align={Flex.align.START}>
+                    <Heading type="h3" color="primary" ellipsis>{item.name}</Heading>
+                    <Text type="text3" color="secondary">{item.boardName}</Text>
+                </Flex>
+                <Flex gap={Flex.gaps.XSMALL}>
+                    <Button onClick={() => onOpenItemCard(item)} kind={Button.kinds.TERTIARY} size="small">Open item card</Button>
+                    <Button onClick={onClose} kind={Button.kinds.TERTIARY} size="small" ariaLabel="Close updates">✕</Button>
+                </Flex>
+            </Flex>
+            <Divider />
+
+            {renderComposer(null)}
+            {postError && <Text type="text3" className="monday-cell-editor-error">{postError}</Text>}
+
+            <div className="monday-updates-list">
+                {isLoading && updates.length === 0 && <Loader size={24} />}
+                {loadError && (
+                    <Flex direction={Flex.directions.COLUMN} gap={Flex.gaps.XSMALL} align={Flex.align.START}>
+                        <Text type="text2" className="monday-cell-editor-error">{loadError}</Text>
+                        <Button onClick={() => setReloadCount(count => count + 1)} kind={Button.kinds.SECONDARY} size="small">Retry</Button>
+                    </Flex>
+                )}
+                {!isLoading && !loadError && updates.length === 0 && (
+                    <Text type="text2" color="secondary">No updates yet.</Text>
+                )}
+                {updates.map(update => (
+                    <div key={update.id} className="monday-update-thread">
+                        {renderEntry(update, false)}
+                        {(update.replies || []).map(reply => renderEntry(reply, true))}
+                        <div className="monday-update-reply">
+                            {replyingToId === update.id ? renderComposer(update.id) : (
+                                <Button onClick={() => setReplyingToId(update.id)} kind={Button.kinds.TERTIARY} size="xs">Reply</Button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </aside>
+    );
+}
+
+export default UpdatesPanel;
@@ -0,0 +1,90 @@
+// src/hooks/useEditHistory.jsx
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Oldest entries are dropped beyond this many undo steps
+const MAX_HISTORY_LENGTH = 50;
+
+// Text fields keep their own native undo
+const isEditableTarget = (target) => (
+  Boolean(target) && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)
+);
+
+/**
+ * In-memory undo/redo history of table edits for the current session.
+ *
+ * Each entry is one user action (a single edit, or a whole bulk operation) with `undo` and `redo`
+ * functions that replay the inverse or original mutations and resolve to whether they succeeded.
+ * An entry whose replay fails stays on its stack, so it can be retried.
+ * Ctrl+Z / Cmd+Z undoes and Ctrl+Shift+Z / Cmd+Shift+Z (or Ctrl+Y) redoes, outside of text fields.
+ *
+ * @returns {{record: function, undo: function, redo: function, canUndo: boolean, canRedo: boolean, lastEntry: object|null}}
+ */
+export const useEditHistory = () => {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const isReplayingRef = useRef(false);
+  // Only re-render for what the UI shows; the stacks themselves live in refs
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false, lastEntry: null });
+
+  const syncState = useCallback((lastEntry) => {
+    setHistoryState(prev => ({
+      canUndo: undoStackRef.current.length > 0,
+      canRedo: redoStackRef.current.length > 0,
+      lastEntry: lastEntry === undefined ? prev.lastEntry : lastEntry,
+    }));
+  }, []);
+
+  /**
+   * Records a completed action. A new action clears the redo stack.
+   *
+   * @param {{label: string, undo: function(): Promise<boolean>, redo: function(): Promise<boolean>}} entry
+   */
+  const record = useCallback((entry) => {
+    undoStackRef.current = [...undoStackRef.current, entry].slice(-MAX_HISTORY_LENGTH);
+    redoStackRef.current = [];
+    syncState(entry);
+  }, [syncState]);
+
+  const replay = useCallback(async (fromStackRef, toStackRef, direction) => {
+    if (isReplayingRef.current || fromStackRef.current.length === 0) return;
+    isReplayingRef.current = true;
+    const entry = fromStackRef.current[fromStackRef.current.length - 1];
+    fromStackRef.current = fromStackRef.current.slice(0, -1);
+    syncState();
+    try {
+      const isSuccessful = await entry[direction]();
+      if (isSuccessful) {
+        toStackRef.current = [...toStackRef.current, entry];
+      } else {
+        fromStackRef.current = [...fromStackRef.current, entry];
+      }
+    } catch (error) {
+      console.error(`useEditHistory: Error during ${direction} of "${entry.label}":`, error);
+      fromStackRef.current = [...fromStackRef.current, entry];
+    } finally {
+      isReplayingRef.current = false;
+      syncState(null);
+    }
+  }, [syncState]);
+
+  const undo = useCallback(() => replay(undoStackRef, redoStackRef, 'undo'), [replay]);
+  const redo = useCallback(() => replay(redoStackRef, undoStackRef, 'redo'), [replay]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return { record, undo, redo, ...historyState };
+};
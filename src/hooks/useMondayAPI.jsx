@@ -1,43 +1,17 @@
 // src/hooks/useMondayAPI.jsx
 import { useCallback } from 'react';
-import mondaySdk from 'monday-sdk-js';
-
-const monday = mondaySdk();
+import { mondayClient } from '../api/mondayClient';
 
 export const useMondayAPI = () => {
 
-  const queryMonday = useCallback(async (query, variables = {}, retries = 3, delay = 500) => {
-    try {
-      const response = await monday.api(query, { variables });
-
-     
-      if (response.errors) {
-        const rateLimitError = response.errors.some(err => err.message.includes('Rate limit passed') || err.message.includes('Rate limit exceeded'));
-
-        if (rateLimitError && retries > 0) {
-          console.warn(`useMondayAPI: Rate limit hit, retrying in ${delay / 1000}s... (Retries left: ${retries - 1})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-
-          return queryMonday(query, variables, retries - 1, delay * 2);
-        }
-
-        throw new Error(response.errors.map(e => e.message).join('; '));
-      }
-
-
-      return response.data;
-    } catch (error) {
-      console.error("useMondayAPI: Error with request Monday API:", error);
-
-
-      if (error.message.includes('Rate limit passed') && retries > 0) {
-        console.warn(`useMondayAPI: Rate limit hit (caught), retrying in ${delay / 1000}s... (Retries left: ${retries - 1})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return queryMonday(query, variables, retries - 1, delay * 2);
-      }
-      throw error; 
-    }
+  // Queueing, throttling and retries all live in the shared mondayClient.
+  // `request` is either a plain query string or a `{ query, variables }` object as returned by
+  // the builders in mondayQueries. Explicit `variables` are merged over the builder's own.
+  // Pass `{ signal }` as the third argument to make the request cancellable, and `{ retry: false }`
+  // to get throttling errors back instead of having the request retried.
+  const queryMonday = useCallback((request, variables = {}, options = {}) => {
+    return mondayClient.request(request, variables, options);
   }, []);
 
   return { queryMonday };
-};
\ No newline at end of file
+};
@@ -0,0 +1,112 @@
+// src/hooks/useRefreshPolicy.jsx
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Choices offered in the settings panel. 'auto' lets the app pick (fast without live
+// events, slow safety net with them), 'manual' only refreshes on demand.
+export const REFRESH_INTERVAL_OPTIONS = [
+  { value: 'auto', label: 'Automatic' },
+  { value: 30000, label: 'Every 30 seconds' },
+  { value: 60000, label: 'Every minute' },
+  { value: 300000, label: 'Every 5 minutes' },
+  { value: 900000, label: 'Every 15 minutes' },
+  { value: 'manual', label: 'Manual only' },
+];
+
+// Each consecutive error or unchanged result doubles the wait, up to 2^MAX_BACKOFF_LEVEL times the interval
+const MAX_BACKOFF_LEVEL = 3;
+// While deferred (user mid-edit, dialog open), check again this often
+const DEFER_RECHECK_MS = 2000;
+
+/**
+ * Schedules periodic refreshes with a policy instead of a fixed setInterval:
+ *  - no refreshes while the document is hidden; an overdue refresh runs as soon as it's visible again;
+ *  - exponential backoff after errors or refreshes that changed nothing, reset by the next change;
+ *  - refreshes that come due while `isDeferred` is true wait until it turns false.
+ *
+ * @param {object} options
+ * @param {number|null} options.intervalMs - Base interval, or null for manual-only.
+ * @param {function(): Promise<{changed: boolean, error?: Error}>} options.onRefresh - Performs one refresh.
+ * @param {boolean} options.isEnabled - When false nothing is scheduled (e.g. nothing selected, initial load running).
+ * @param {boolean} options.isDeferred - When true, due refreshes wait.
+ * @returns {{refreshNow: function(): Promise<void>, isRefreshing: boolean, lastRefreshAt: number|null}}
+ */
+export const useRefreshPolicy = ({ intervalMs, onRefresh, isEnabled, isDeferred }) => {
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [lastRefreshAt, setLastRefreshAt] = useState(null);
+  const [isDocumentHidden, setIsDocumentHidden] = useState(document.visibilityState === 'hidden');
+
+  const backoffLevelRef = useRef(0);
+  const isRefreshingRef = useRef(false);
+  // Latest values for the timer callback, so the schedule isn't torn down on every render
+  const onRefreshRef = useRef(onRefresh);
+  const isDeferredRef = useRef(isDeferred);
+
+  useEffect(() => {
+    onRefreshRef.current = onRefresh;
+  }, [onRefresh]);
+
+  useEffect(() => {
+    isDeferredRef.current = isDeferred;
+  }, [isDeferred]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      setIsDocumentHidden(document.visibilityState === 'hidden');
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  const runRefresh = useCallback(async () => {
+    if (isRefreshingRef.current) return;
+    isRefreshingRef.current = true;
+    setIsRefreshing(true);
+    try {
+      const result = await onRefreshRef.current();
+      if (result && result.error) {
+        backoffLevelRef.current = Math.min(backoffLevelRef.current + 1, MAX_BACKOFF_LEVEL);
+      } else if (result && result.changed) {
+        backoffLevelRef.current = 0;
+      } else {
+        backoffLevelRef.current = Math.min(backoffLevelRef.current + 1, MAX_BACKOFF_LEVEL);
+      }
+    } catch (error) {
+      console.error("useRefreshPolicy: Refresh failed:", error);
+      backoffLevelRef.current = Math.min(backoffLevelRef.current + 1, MAX_BACKOFF_LEVEL);
+    } finally {
+      isRefreshingRef.current = false;
+      setIsRefreshing(false);
+      setLastRefreshAt(Date.now());
+    }
+  }, []);
+
+  // Schedules the next refresh; re-runs whenever a refresh completes or the inputs change
+  useEffect(() => {
+    if (!isEnabled || !intervalMs || isDocumentHidden) {
+      return undefined;
+    }
+
+    const delay = intervalMs * 2 ** backoffLevelRef.current;
+    const dueAt = (lastRefreshAt || Date.now()) + delay;
+    let timeoutId = null;
+
+    const tick = () => {
+      if (isDeferredRef.current) {
+        timeoutId = setTimeout(tick, DEFER_RECHECK_MS);
+        return;
+      }
+      runRefresh();
+    };
+
+    // Overdue refreshes (e.g. after the tab was hidden) run right away
+    timeoutId = setTimeout(tick, Math.max(0, dueAt - Date.now()));
+    return () => clearTimeout(timeoutId);
+  }, [isEnabled, intervalMs, isDocumentHidden, lastRefreshAt, runRefresh]);
+
+  // Manual refreshes run right away, whatever the schedule, visibility or deferral state
+  const refreshNow = useCallback(async () => {
+    await runRefresh();
+  }, [runRefresh]);
+
+  return { refreshNow, isRefreshing, lastRefreshAt };
+};
@@ -0,0 +1,136 @@
+// src/hooks/useUpdateSummaries.jsx
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import mondaySdk from 'monday-sdk-js';
+import { useMondayAPI } from './useMondayAPI';
+import { GET_ITEM_UPDATE_COUNTS_QUERY, MAX_ITEMS_PER_UPDATE_COUNTS_QUERY, MAX_COUNTED_UPDATES } from '../api/mondayQueries';
+
+const monday = mondaySdk();
+
+// "Last seen" times are kept per user in the app instance's storage, for this many items at most
+const SEEN_STORAGE_KEY_PREFIX = 'updatesSeen_';
+const MAX_SEEN_ENTRIES = 1000;
+
+// Count and latest time of a list of updates, newest first as monday.com returns them
+const summarizeUpdates = (updates) => ({
+  count: Math.min(updates.length, MAX_COUNTED_UPDATES),
+  isCapped: updates.length > MAX_COUNTED_UPDATES,
+  latestAt: updates.length > 0 ? updates[0].created_at : null,
+});
+
+/**
+ * Update badges for the item-name cells: how many updates each item has, and whether any were
+ * posted since the current user last opened the item's updates panel. Counts are fetched in
+ * batches for the items passed in (the rows on screen), and fetched again when a refresh or
+ * live event replaces an item's object; the panel and new posts keep them current in between.
+ *
+ * @param {object[]} items - The items whose rows are rendered.
+ * @param {string|null} currentUserId - The current user, whose "last seen" times are loaded and saved.
+ * @returns {{
+ *   summaries: Object<string, {count: number, isCapped: boolean, latestAt: string|null, isUnread: boolean}>,
+ *   recordLoaded: function(string, object[]),
+ *   recordPosted: function(string, object),
+ * }} `recordLoaded` takes the updates the panel loaded (and marks them seen), `recordPosted` a new top-level update.
+ */
+export const useUpdateSummaries = (items, currentUserId) => {
+  const { queryMonday } = useMondayAPI();
+  const [countsByItemId, setCountsByItemId] = useState({});
+  const [seenAtByItemId, setSeenAtByItemId] = useState({});
+  // Item objects whose counts were requested, by item ID; an item is fetched again once its object is replaced
+  const requestedItemsRef = useRef(new Map());
+  const seenAtByItemIdRef = useRef(seenAtByItemId);
+
+  useEffect(() => {
+    seenAtByItemIdRef.current = seenAtByItemId;
+  }, [seenAtByItemId]);
+
+  useEffect(() => {
+    if (!currentUserId) return;
+    const loadSeenTimes = async () => {
+      try {
+        const response = await monday.storage.instance.getItem(`${SEEN_STORAGE_KEY_PREFIX}${currentUserId}`);
+        const storedValue = response && response.data ? response.data.value : null;
+        if (typeof storedValue === 'string') {
+          const parsedValue = JSON.parse(storedValue);
+          if (parsedValue && typeof parsedValue === 'object') {
+            // Times seen in this session before storage answered win over the stored ones
+            setSeenAtByItemId(prev => ({ ...parsedValue, ...prev }));
+          }
+        }
+      } catch (err) {
+        console.error("useUpdateSummaries: Error loading seen updates from Monday storage:", err);
+      }
+    };
+    loadSeenTimes();
+  }, [currentUserId]);
+
+  useEffect(() => {
+    const staleItems = items.filter(item => requestedItemsRef.current.get(String(item.id)) !== item);
+    if (staleItems.length === 0) return;
+    staleItems.forEach(item => requestedItemsRef.current.set(String(item.id), item));
+    const staleItemIds = [...new Set(staleItems.map(item => String(item.id)))];
+
+    const fetchCounts = async () => {
+      for (let start = 0; start < staleItemIds.length; start += MAX_ITEMS_PER_UPDATE_COUNTS_QUERY) {
+        const batch = staleItemIds.slice(start, start + MAX_ITEMS_PER_UPDATE_COUNTS_QUERY);
+        try {
+          const data = await queryMonday(GET_ITEM_UPDATE_COUNTS_QUERY(batch));
+          const batchCounts = {};
+          ((data && data.items) || []).forEach(item => {
+            batchCounts[String(item.id)] = summarizeUpdates(item.updates || []);
+          });
+          setCountsByItemId(prev => ({ ...prev, ...batchCounts }));
+        } catch (err) {
+          // The badges are a convenience; the next time these items show up they're requested again
+          console.error("useUpdateSummaries: Error fetching update counts:", err);
+          batch.forEach(itemId => requestedItemsRef.current.delete(itemId));
+        }
+      }
+    };
+    fetchCounts();
+  }, [items, queryMonday]);
+
+  const markSeen = useCallback((itemId, latestAt) => {
+    if (!latestAt) return;
+    const nextSeenAt = { ...seenAtByItemIdRef.current, [itemId]: latestAt };
+    const trimmedEntries = Object.entries(nextSeenAt)
+      .sort(([, a], [, b]) => new Date(b).getTime() - new Date(a).getTime())
+      .slice(0, MAX_SEEN_ENTRIES);
+    const trimmedSeenAt = Object.fromEntries(trimmedEntries);
+    seenAtByItemIdRef.current = trimmedSeenAt;
+    setSeenAtByItemId(trimmedSeenAt);
+
+    if (currentUserId) {
+      monday.storage.instance.setItem(`${SEEN_STORAGE_KEY_PREFIX}${currentUserId}`, JSON.stringify(trimmedSeenAt))
+        .catch(err => console.error("useUpdateSummaries: Error saving seen updates to Monday storage:", err));
+    }
+  }, [currentUserId]);
+
+  const recordLoaded = useCallback((itemId, updates) => {
+    const summary = summarizeUpdates(updates);
+    setCountsByItemId(prev => ({ ...prev, [itemId]: summary }));
+    markSeen(itemId, summary.latestAt);
+  }, [markSeen]);
+
+  const recordPosted = useCallback((itemId, update) => {
+    setCountsByItemId(prev => {
+      const current = prev[itemId] || { count: 0, isCapped: false, latestAt: null };
+      const isCapped = current.isCapped || current.count + 1 > MAX_COUNTED_UPDATES;
+      return { ...prev, [itemId]: { count: Math.min(current.count + 1, MAX_COUNTED_UPDATES), isCapped, latestAt: update.created_at } };
+    });
+    markSeen(itemId, update.created_at);
+  }, [markSeen]);
+
+  const summaries = useMemo(() => {
+    const result = {};
+    Object.entries(countsByItemId).forEach(([itemId, counts]) => {
+      const seenAt = seenAtByItemId[itemId];
+      result[itemId] = {
+        ...counts,
+        isUnread: Boolean(counts.latestAt) && (!seenAt || new Date(counts.latestAt).getTime() > new Date(seenAt).getTime()),
+      };
+    });
+    return result;
+  }, [countsByItemId, seenAtByItemId]);
+
+  return { summaries, recordLoaded, recordPosted };
+};
@@ -0,0 +1,21 @@
+// src/hooks/useUserDirectory.jsx
+import { useCallback, useSyncExternalStore } from 'react';
+import { userDirectory } from '../api/userDirectory';
+
+export const useUserDirectory = () => {
+
+  // { users: { [id]: user }, teams: { [id]: team } }, updated whenever a batch lands
+  const { users, teams } = useSyncExternalStore(userDirectory.subscribe, userDirectory.getSnapshot);
+
+  // Accepts `personsAndTeams` entries ({ id, kind }) and resolves whatever isn't cached yet
+  const resolvePeople = useCallback((refs) => {
+    userDirectory.resolve(refs);
+  }, []);
+
+  // Stores users or teams fetched elsewhere, e.g. people picker search results
+  const rememberPeople = useCallback((kind, records) => {
+    userDirectory.remember(kind, records);
+  }, []);
+
+  return { users, teams, resolvePeople, rememberPeople };
+};